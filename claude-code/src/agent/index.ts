@@ -0,0 +1,218 @@
+/**
+ * Agent Module
+ *
+ * Runs a tool-using loop: the model may call tools to read, search and
+ * change the workspace, and each result is sent back until it answers.
+ * Tools are passed natively when the client supports it, otherwise they
+ * are described in the system prompt and called through JSON replies.
+ */
+
+import { AIClientInterface, AIUsage, Message, ToolCall } from '../ai/types.js';
+import { AGENT_SYSTEM_PROMPT, AGENT_JSON_TOOL_PROMPT } from '../ai/prompts.js';
+import { promptConfirm } from '../terminal/prompt.js';
+import { logger } from '../utils/logger.js';
+import { isAbortError } from '../utils/cancellation.js';
+import { createAgentTools } from './tools.js';
+import { AgentContext, AgentOptions, AgentResult, AgentStep, AgentTool } from './types.js';
+
+/**
+ * Default maximum number of tool calls in one run
+ */
+const DEFAULT_MAX_STEPS = 10;
+
+/**
+ * Build the system prompt for the given tool protocol
+ */
+function buildSystemPrompt(tools: AgentTool[], mode: AgentResult['mode'], baseSystem?: string): string {
+  const parts = [baseSystem, AGENT_SYSTEM_PROMPT.trim()];
+
+  if (mode === 'json') {
+    const toolList = tools
+      .map(tool => `- ${tool.definition.name}: ${tool.definition.description}\n  Arguments schema: ${JSON.stringify(tool.definition.parameters)}`)
+      .join('\n');
+
+    parts.push(AGENT_JSON_TOOL_PROMPT.trim() + '\n' + toolList);
+  }
+
+  return parts.filter(Boolean).join('\n\n');
+}
+
+/**
+ * Parse a tool call from a JSON-protocol reply
+ *
+ * Only replies that consist of a single JSON object (optionally in a code
+ * fence) count as tool calls, so answers that merely contain JSON do not.
+ */
+export function parseJsonToolCall(text: string, tools: AgentTool[]): ToolCall | null {
+  const trimmed = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '').trim();
+
+  if (!trimmed.startsWith('{') || !trimmed.endsWith('}')) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(trimmed);
+
+    if (typeof parsed?.tool !== 'string' || !tools.some(tool => tool.definition.name === parsed.tool)) {
+      return null;
+    }
+
+    return {
+      name: parsed.tool,
+      arguments: parsed.arguments && typeof parsed.arguments === 'object' ? parsed.arguments : {}
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Add the usage of one request to the running total
+ */
+function addUsage(total: AIUsage | undefined, usage: AIUsage | undefined): AIUsage | undefined {
+  if (!usage) {
+    return total;
+  }
+
+  if (!total) {
+    return { ...usage };
+  }
+
+  return {
+    inputTokens: total.inputTokens + usage.inputTokens,
+    outputTokens: total.outputTokens + usage.outputTokens,
+    totalTokens: (total.totalTokens ?? 0) + (usage.totalTokens ?? usage.inputTokens + usage.outputTokens),
+    estimated: total.estimated || usage.estimated
+  };
+}
+
+/**
+ * Run one tool call, asking for confirmation first if it changes the workspace
+ *
+ * onToolCall is told about the call first, along with the description of
+ * the change to confirm.
+ */
+async function runToolCall(
+  call: ToolCall,
+  tools: AgentTool[],
+  context: AgentContext,
+  options: AgentOptions
+): Promise<AgentStep> {
+  const tool = tools.find(candidate => candidate.definition.name === call.name);
+  const problem = await tool?.validate?.(call.arguments, context);
+  let description: string | undefined;
+
+  if (tool?.mutating && !problem) {
+    description = tool.describe
+      ? await tool.describe(call.arguments, context)
+      : `${call.name} ${JSON.stringify(call.arguments)}`;
+  }
+
+  options.onToolCall?.(call, description);
+
+  if (!tool) {
+    const available = tools.map(candidate => candidate.definition.name).join(', ');
+    return { call, result: `Error: Unknown tool ${call.name}. Available tools: ${available}` };
+  }
+
+  if (problem) {
+    return { call, result: `Error: ${problem}` };
+  }
+
+  if (description !== undefined) {
+    const approved = await promptConfirm(`Allow ${call.name}?`, { default: false });
+
+    if (!approved) {
+      return { call, result: 'The user declined this action.', declined: true };
+    }
+  }
+
+  try {
+    return { call, result: await tool.execute(call.arguments, context) };
+  } catch (error) {
+    logger.error(`Agent tool ${call.name} failed`, error);
+    return { call, result: `Error: ${error instanceof Error ? error.message : String(error)}` };
+  }
+}
+
+/**
+ * Run the agent loop for a task
+ */
+export async function runAgent(
+  client: AIClientInterface,
+  task: string,
+  context: AgentContext,
+  options: AgentOptions = {}
+): Promise<AgentResult> {
+  const { maxSteps = DEFAULT_MAX_STEPS, completionOptions = {} } = options;
+  const tools = createAgentTools();
+  const model = completionOptions.model;
+  const messages: Message[] = [{ role: 'user', content: task }];
+  const steps: AgentStep[] = [];
+  let mode: AgentResult['mode'] = client.supportsNativeTools?.(model) ? 'native' : 'json';
+  let usage: AIUsage | undefined;
+
+  logger.debug('Starting agent run', { mode, maxSteps });
+
+  while (true) {
+    let response;
+
+    try {
+      response = await client.generateCompletion({
+        messages,
+        options: {
+          ...completionOptions,
+          system: buildSystemPrompt(tools, mode, completionOptions.system),
+          tools: mode === 'native' ? tools.map(tool => tool.definition) : undefined
+        },
+        signal: options.signal
+      });
+    } catch (error) {
+      // The client reports when the model rejected native tools
+      if (mode === 'native' && !isAbortError(error) && !client.supportsNativeTools?.(model)) {
+        logger.info('Model does not support native tool calling, using the JSON protocol');
+        mode = 'json';
+        continue;
+      }
+
+      throw error;
+    }
+
+    usage = addUsage(usage, response.usage);
+
+    const calls = mode === 'native'
+      ? response.toolCalls || []
+      : [parseJsonToolCall(response.text, tools)].filter((call): call is ToolCall => call !== null);
+
+    if (calls.length === 0) {
+      return { text: response.text, steps, mode, usage };
+    }
+
+    if (steps.length >= maxSteps) {
+      logger.warn(`Agent stopped after ${maxSteps} tool calls`);
+      return {
+        text: `Stopped after reaching the limit of ${maxSteps} tool calls.`,
+        steps,
+        mode,
+        usage
+      };
+    }
+
+    messages.push(mode === 'native'
+      ? { role: 'assistant', content: response.text, toolCalls: calls }
+      : { role: 'assistant', content: response.text });
+
+    for (const call of calls) {
+      const step = await runToolCall(call, tools, context, options);
+      steps.push(step);
+      options.onStep?.(step);
+
+      messages.push(mode === 'native'
+        ? { role: 'tool', content: step.result, toolName: call.name }
+        : { role: 'user', content: `Result of ${call.name}:\n${step.result}` });
+    }
+  }
+}
+
+export { createAgentTools };
+export * from './types.js';
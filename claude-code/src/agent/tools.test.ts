@@ -0,0 +1,58 @@
+/**
+ * Tests for confining agent tools to the workspace
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { createAgentTools } from './tools.js';
+import { AgentContext } from './types.js';
+
+describe('workspace confinement', () => {
+  let root: string;
+  let context: AgentContext;
+
+  const tools = createAgentTools();
+  const validate = (tool: string, filePath: string) =>
+    tools.find(candidate => candidate.definition.name === tool)!.validate!({ path: filePath }, context);
+
+  beforeAll(async () => {
+    root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'agent-')));
+    await fs.mkdir(path.join(root, 'workspace/src'), { recursive: true });
+    await fs.mkdir(path.join(root, 'outside'));
+    await fs.symlink(path.join(root, 'outside'), path.join(root, 'workspace/escape'));
+    await fs.symlink(path.join(root, 'workspace/src'), path.join(root, 'workspace/source'));
+
+    // Only the workspace path is used by the checks
+    context = { workspacePath: path.join(root, 'workspace') } as AgentContext;
+  });
+
+  afterAll(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('allows paths inside the workspace, existing or not', async () => {
+    expect(await validate('read_file', 'src/app.ts')).toBeNull();
+    expect(await validate('list_directory', '.')).toBeNull();
+    expect(await validate('write_file', 'src/new/dir/file.ts')).toBeNull();
+    expect(await validate('read_file', path.join(root, 'workspace/src/app.ts'))).toBeNull();
+  });
+
+  it('allows names that only start with ..', async () => {
+    expect(await validate('read_file', '..config')).toBeNull();
+    expect(await validate('write_file', 'src/..hidden/file.ts')).toBeNull();
+  });
+
+  it('refuses paths that lead out of the workspace', async () => {
+    expect(await validate('read_file', '../outside/secret')).toMatch(/is outside the workspace/);
+    expect(await validate('list_directory', 'src/../..')).toMatch(/is outside the workspace/);
+    expect(await validate('write_file', path.join(root, 'outside/file.ts'))).toMatch(/is outside the workspace/);
+  });
+
+  it('follows symlinks before checking', async () => {
+    expect(await validate('read_file', 'escape/secret')).toMatch(/is outside the workspace/);
+    expect(await validate('write_file', 'escape/new/file.ts')).toMatch(/is outside the workspace/);
+    expect(await validate('read_file', 'source/app.ts')).toBeNull();
+  });
+});
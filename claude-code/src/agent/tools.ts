@@ -0,0 +1,245 @@
+/**
+ * Agent Tools
+ *
+ * Tools the agent can call to inspect and change the workspace.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { findFilesByContent } from '../codebase/index.js';
+import { AgentContext, AgentTool } from './types.js';
+
+/**
+ * Maximum number of characters of tool output returned to the model
+ */
+const MAX_RESULT_LENGTH = 20000;
+
+/**
+ * Maximum number of search matches returned to the model
+ */
+const MAX_SEARCH_RESULTS = 50;
+
+/**
+ * Timeout for commands run by the agent
+ */
+const COMMAND_TIMEOUT = 60000;
+
+/**
+ * Truncate tool output that would overflow the model context
+ */
+function truncate(text: string): string {
+  if (text.length <= MAX_RESULT_LENGTH) {
+    return text;
+  }
+
+  return `${text.slice(0, MAX_RESULT_LENGTH)}\n... (truncated ${text.length - MAX_RESULT_LENGTH} characters)`;
+}
+
+/**
+ * Resolve symlinks in a path, for a path that does not exist yet those of
+ * its nearest existing parent
+ */
+async function realpathOfNearest(target: string): Promise<string> {
+  try {
+    return await fs.realpath(target);
+  } catch {
+    const parent = path.dirname(target);
+    return parent === target ? target : path.join(await realpathOfNearest(parent), path.basename(target));
+  }
+}
+
+/**
+ * Refuse paths that resolve outside of the workspace, e.g. absolute paths
+ * to the user's home directory or symlinks pointing out of it
+ */
+async function checkWorkspacePath(args: Record<string, any>, context: AgentContext): Promise<string | null> {
+  const workspace = await realpathOfNearest(path.resolve(context.workspacePath));
+  const resolved = await realpathOfNearest(path.resolve(workspace, String(args.path || '.')));
+  const relative = path.relative(workspace, resolved);
+
+  if (relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative)) {
+    return `${args.path} is outside the workspace; use a path relative to the workspace root`;
+  }
+
+  return null;
+}
+
+/**
+ * Read a file from the workspace
+ */
+const readFileTool: AgentTool = {
+  definition: {
+    name: 'read_file',
+    description: 'Read the contents of a file in the workspace.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to the workspace root' }
+      },
+      required: ['path']
+    }
+  },
+  mutating: false,
+  validate: checkWorkspacePath,
+  async execute(args, context) {
+    const result = await context.fileOps.readFile(String(args.path));
+
+    if (!result.success) {
+      return `Error: ${result.error?.message || 'Failed to read file'}`;
+    }
+
+    return truncate(result.content || '');
+  }
+};
+
+/**
+ * List a directory in the workspace
+ */
+const listDirectoryTool: AgentTool = {
+  definition: {
+    name: 'list_directory',
+    description: 'List the entries of a directory in the workspace.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Directory path relative to the workspace root, "." for the root' }
+      },
+      required: ['path']
+    }
+  },
+  mutating: false,
+  validate: checkWorkspacePath,
+  async execute(args, context) {
+    const result = await context.fileOps.listDirectory(String(args.path || '.'));
+
+    if (!result.success) {
+      return `Error: ${result.error?.message || 'Failed to list directory'}`;
+    }
+
+    return result.files && result.files.length > 0 ? result.files.join('\n') : '(empty directory)';
+  }
+};
+
+/**
+ * Search file contents in the workspace
+ */
+const searchFilesTool: AgentTool = {
+  definition: {
+    name: 'search_files',
+    description: 'Search the contents of files in the workspace. Returns matching lines as path:line: content.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Regular expression to search for' },
+        extensions: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only search files with these extensions, e.g. ["ts", "js"]'
+        }
+      },
+      required: ['query']
+    }
+  },
+  mutating: false,
+  async execute(args, context) {
+    try {
+      const matches = await findFilesByContent(context.workspacePath, String(args.query), {
+        fileExtensions: Array.isArray(args.extensions) ? args.extensions.map(String) : [],
+        maxResults: MAX_SEARCH_RESULTS
+      });
+
+      if (matches.length === 0) {
+        return 'No matches found.';
+      }
+
+      return truncate(matches.map(match => `${match.path}:${match.line}: ${match.content}`).join('\n'));
+    } catch (error) {
+      return `Error: ${error instanceof Error ? error.message : String(error)}`;
+    }
+  }
+};
+
+/**
+ * Run a shell command in the workspace
+ */
+const runCommandTool: AgentTool = {
+  definition: {
+    name: 'run_command',
+    description: 'Run a shell command in the workspace root and return its output and exit code.',
+    parameters: {
+      type: 'object',
+      properties: {
+        command: { type: 'string', description: 'Shell command to run' }
+      },
+      required: ['command']
+    }
+  },
+  mutating: true,
+  async describe(args) {
+    return `Run command: ${args.command}`;
+  },
+  async execute(args, context) {
+    try {
+      const result = await context.execution.executeCommand(String(args.command), {
+        cwd: context.workspacePath,
+        timeout: COMMAND_TIMEOUT
+      });
+
+      return truncate(`Exit code: ${result.exitCode}\n${result.output}`);
+    } catch (error) {
+      return `Error: ${error instanceof Error ? error.message : String(error)}`;
+    }
+  }
+};
+
+/**
+ * Write a file in the workspace
+ */
+const writeFileTool: AgentTool = {
+  definition: {
+    name: 'write_file',
+    description: 'Create or overwrite a file in the workspace with the given content.',
+    parameters: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path relative to the workspace root' },
+        content: { type: 'string', description: 'Complete new content of the file' }
+      },
+      required: ['path', 'content']
+    }
+  },
+  mutating: true,
+  validate: checkWorkspacePath,
+  async describe(args, context) {
+    const filePath = String(args.path);
+    const existing = await context.fileOps.readFile(filePath);
+
+    if (!existing.success) {
+      return `Create file ${filePath}:\n${args.content}`;
+    }
+
+    return `Write file ${filePath}:\n${context.fileOps.generateDiff(existing.content || '', String(args.content))}`;
+  },
+  async execute(args, context) {
+    const result = await context.fileOps.writeFile(String(args.path), String(args.content), { createDirs: true });
+
+    if (!result.success) {
+      return `Error: ${result.error?.message || 'Failed to write file'}`;
+    }
+
+    return `Wrote ${args.path}`;
+  }
+};
+
+/**
+ * Create the set of tools available to the agent
+ */
+export function createAgentTools(): AgentTool[] {
+  return [
+    readFileTool,
+    listDirectoryTool,
+    searchFilesTool,
+    runCommandTool,
+    writeFileTool
+  ];
+}
@@ -0,0 +1,136 @@
+/**
+ * Agent Types
+ *
+ * Type definitions for the tool-using agent loop.
+ */
+
+import FileOperationsManager from '../fileops/index.js';
+import ExecutionEnvironment from '../execution/index.js';
+import { ToolDefinition, ToolCall, AIUsage, CompletionOptions } from '../ai/types.js';
+
+/**
+ * Subsystems available to tools while the agent runs
+ */
+export interface AgentContext {
+  /**
+   * Workspace root that file and search tools operate in
+   */
+  workspacePath: string;
+
+  /**
+   * File operations manager used for reads and writes
+   */
+  fileOps: FileOperationsManager;
+
+  /**
+   * Execution environment used to run commands
+   */
+  execution: ExecutionEnvironment;
+}
+
+/**
+ * Tool the agent can call
+ */
+export interface AgentTool {
+  /**
+   * Definition shown to the model
+   */
+  definition: ToolDefinition;
+
+  /**
+   * Whether the tool changes the workspace and needs user confirmation
+   */
+  mutating: boolean;
+
+  /**
+   * Check the arguments of a call before it is confirmed or run, returning
+   * why it is refused
+   */
+  validate?(args: Record<string, any>, context: AgentContext): Promise<string | null>;
+
+  /**
+   * Describe a call for the confirmation prompt
+   */
+  describe?(args: Record<string, any>, context: AgentContext): Promise<string>;
+
+  /**
+   * Run the tool and return the result text for the model
+   */
+  execute(args: Record<string, any>, context: AgentContext): Promise<string>;
+}
+
+/**
+ * Step taken by the agent
+ */
+export interface AgentStep {
+  /**
+   * Tool call the model requested
+   */
+  call: ToolCall;
+
+  /**
+   * Result text returned to the model
+   */
+  result: string;
+
+  /**
+   * Whether the user declined the call
+   */
+  declined?: boolean;
+}
+
+/**
+ * Options for an agent run
+ */
+export interface AgentOptions {
+  /**
+   * Maximum number of tool calls before the run stops
+   */
+  maxSteps?: number;
+
+  /**
+   * Completion options passed to every model request
+   */
+  completionOptions?: CompletionOptions;
+
+  /**
+   * Signal to cancel the run
+   */
+  signal?: AbortSignal;
+
+  /**
+   * Called before a tool runs, with the description shown before asking
+   * to confirm a call that changes the workspace
+   */
+  onToolCall?(call: ToolCall, description?: string): void;
+
+  /**
+   * Called after each completed step
+   */
+  onStep?(step: AgentStep): void;
+}
+
+/**
+ * Result of an agent run
+ */
+export interface AgentResult {
+  /**
+   * Final answer from the model
+   */
+  text: string;
+
+  /**
+   * Tool calls made during the run
+   */
+  steps: AgentStep[];
+
+  /**
+   * Whether the tools were passed natively or through the JSON protocol
+   */
+  mode: 'native' | 'json';
+
+  /**
+   * Token usage summed over all requests
+   */
+  usage?: AIUsage;
+}
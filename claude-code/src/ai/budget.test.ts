@@ -0,0 +1,144 @@
+/**
+ * Tests for fitting requests into the context window
+ */
+
+import { beforeEach, describe, expect, it } from 'vitest';
+import {
+  configureContextBudget,
+  getContextLimits,
+  planContext,
+  resolveContextLength,
+  splitIntoChunks
+} from './budget.js';
+import { AIClientInterface, CompletionRequest } from './types.js';
+import { ErrorCategory } from '../errors/types.js';
+
+/**
+ * Client that reports a context length and answers every request with a
+ * short summary
+ */
+function createClient(contextLength?: number): AIClientInterface & { requests: CompletionRequest[] } {
+  const requests: CompletionRequest[] = [];
+
+  return {
+    requests,
+    getContextLength: async () => contextLength,
+    generateCompletion: async request => {
+      requests.push(request);
+      return { text: 'summary', model: 'test' };
+    },
+    generateCompletionStream: async () => {},
+    testConnection: async () => true,
+    disconnect: async () => {}
+  };
+}
+
+/**
+ * Text of the given number of lines of 39 characters each (10 tokens with newline)
+ */
+function lines(count: number): string {
+  return Array.from({ length: count }, (_, index) => `line ${String(index).padStart(4, '0')} `.padEnd(39, 'x')).join('\n');
+}
+
+beforeEach(() => {
+  configureContextBudget({ models: {}, defaultLength: 4096, maxLength: 32768, reserveTokens: 1024, strategy: 'trim' });
+});
+
+describe('splitIntoChunks', () => {
+  it('splits on line boundaries without losing text', () => {
+    const text = lines(100);
+    const chunks = splitIntoChunks(text, 100);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.join('\n')).toBe(text);
+    expect(chunks.every(chunk => chunk.length <= 400)).toBe(true);
+    expect(chunks.every(chunk => chunk.startsWith('line '))).toBe(true);
+  });
+
+  it('splits lines longer than a chunk on characters', () => {
+    const chunks = splitIntoChunks('a'.repeat(1000), 100);
+
+    expect(chunks).toEqual(['a'.repeat(400), 'a'.repeat(400), 'a'.repeat(200)]);
+  });
+
+  it('keeps text that fits in one chunk', () => {
+    expect(splitIntoChunks('short\ntext', 100)).toEqual(['short\ntext']);
+    expect(splitIntoChunks('', 100)).toEqual(['']);
+  });
+});
+
+describe('getContextLimits', () => {
+  it('reserves the configured tokens for the answer', () => {
+    expect(getContextLimits(8192)).toEqual({ reserved: 1024, limit: 7168 });
+  });
+
+  it('reserves at most half of a small window', () => {
+    expect(getContextLimits(1000)).toEqual({ reserved: 500, limit: 500 });
+  });
+});
+
+describe('resolveContextLength', () => {
+  it('prefers the configured length, also by model family', async () => {
+    configureContextBudget({ models: { 'llama3.2': 131072 } });
+
+    expect(await resolveContextLength(createClient(8192), 'llama3.2:3b')).toEqual({ contextLength: 131072, source: 'config' });
+  });
+
+  it('caps the reported length at maxLength', async () => {
+    expect(await resolveContextLength(createClient(8192), 'm')).toEqual({ contextLength: 8192, source: 'model' });
+    expect(await resolveContextLength(createClient(200000), 'm')).toEqual({ contextLength: 32768, source: 'model' });
+  });
+
+  it('falls back to the default length', async () => {
+    expect(await resolveContextLength(createClient(), 'm')).toEqual({ contextLength: 4096, source: 'default' });
+  });
+});
+
+describe('planContext', () => {
+  it('sends a request that fits unchanged', async () => {
+    const plan = await planContext(createClient(4096), { prompt: 'Explain', files: [{ path: 'a.js', content: lines(10) }] });
+
+    expect(plan.requests).toHaveLength(1);
+    expect(plan.requests[0].messages[0].content).toContain(lines(10));
+    expect(plan.budget.adjustments).toEqual([]);
+  });
+
+  it('truncates files that do not fit', async () => {
+    const plan = await planContext(createClient(4096), { prompt: 'Explain', files: [{ path: 'a.js', content: lines(1000) }] });
+    const content = plan.requests[0].messages[0].content;
+
+    expect(plan.requests).toHaveLength(1);
+    expect(content).toMatch(/more lines truncated to fit the context window/);
+    expect(Math.ceil(content.length / 4)).toBeLessThanOrEqual(plan.budget.limit);
+    expect(plan.budget.adjustments[0]).toMatch(/^Truncated a\.js by \d+ line\(s\)$/);
+  });
+
+  it('splits files into labelled parts that each fit', async () => {
+    const plan = await planContext(createClient(4096), { prompt: 'Explain', files: [{ path: 'a.js', content: lines(1000) }] }, { strategy: 'chunk' });
+
+    expect(plan.requests.length).toBeGreaterThan(1);
+    expect(plan.requests[0].label).toBe(`Part 1 of ${plan.requests.length} (a.js)`);
+
+    for (const request of plan.requests) {
+      expect(Math.ceil(request.messages[0].content.length / 4)).toBeLessThanOrEqual(plan.budget.limit);
+    }
+  });
+
+  it('summarizes files in chunks that fit the window', async () => {
+    const client = createClient(4096);
+    const plan = await planContext(client, { prompt: 'Explain', files: [{ path: 'a.js', content: lines(1000) }] }, { strategy: 'summarize' });
+
+    expect(client.requests.length).toBeGreaterThan(1);
+    expect(client.requests.every(request => request.options?.maxTokens === 1024)).toBe(true);
+    expect(plan.requests[0].messages[0].content).toContain('Summary:\nsummary');
+  });
+
+  it('fails clearly when the window is too small to split files', async () => {
+    const input = { prompt: 'Explain', files: [{ path: 'a.js', content: lines(100) }] };
+
+    await expect(planContext(createClient(400), input, { strategy: 'summarize' }))
+      .rejects.toMatchObject({ category: ErrorCategory.CONFIGURATION });
+    await expect(planContext(createClient(400), input, { strategy: 'chunk' }))
+      .rejects.toMatchObject({ category: ErrorCategory.CONFIGURATION });
+  });
+});
@@ -0,0 +1,606 @@
+/**
+ * Context Budget
+ *
+ * Fits the system prompt, conversation history and attached files into the
+ * model's context window, keeping room for the answer. Content that does not
+ * fit is trimmed, split into chunks sent as separate requests, or summarized
+ * by the model, depending on the strategy.
+ */
+
+import { logger } from '../utils/logger.js';
+import { createUserError } from '../errors/formatter.js';
+import { ErrorCategory } from '../errors/types.js';
+import { AIClientInterface, ImageAttachment, Message } from './types.js';
+import { CONTEXT_SUMMARY_PROMPT, createFileContextMessage } from './prompts.js';
+
+/**
+ * How content that does not fit the context window is handled
+ */
+export type ContextStrategy = 'trim' | 'chunk' | 'summarize';
+
+/**
+ * File attached to a request
+ */
+export interface ContextFile {
+  /**
+   * Path shown to the model
+   */
+  path: string;
+
+  /**
+   * File content
+   */
+  content: string;
+
+  /**
+   * Language of the content, when the path does not tell it, e.g. for a
+   * line range or a directory listing
+   */
+  language?: string;
+
+  /**
+   * Whether the file is pinned to the conversation rather than attached to
+   * this prompt
+   */
+  pinned?: boolean;
+}
+
+/**
+ * Content of a request before it is fitted into the context window
+ */
+export interface ContextInput {
+  /**
+   * System prompt
+   */
+  system?: string;
+
+  /**
+   * Earlier messages of the conversation, oldest first
+   */
+  history?: Message[];
+
+  /**
+   * Instruction for this request
+   */
+  prompt: string;
+
+  /**
+   * Files attached after the instruction
+   */
+  files?: ContextFile[];
+
+  /**
+   * Images attached to the instruction
+   */
+  images?: ImageAttachment[];
+}
+
+/**
+ * Context budget configuration
+ */
+export interface ContextBudgetConfig {
+  /**
+   * Context lengths per model, overriding what the provider reports.
+   * Keys match the full model name or the name without its tag.
+   */
+  models: Record<string, number>;
+
+  /**
+   * Context length used when it is not configured or reported
+   */
+  defaultLength: number;
+
+  /**
+   * Upper limit for the context length, since larger windows need more memory
+   */
+  maxLength: number;
+
+  /**
+   * Tokens kept free for the answer
+   */
+  reserveTokens: number;
+
+  /**
+   * Strategy used when the content does not fit
+   */
+  strategy: ContextStrategy;
+}
+
+/**
+ * Token breakdown of a request
+ */
+export interface ContextBudget {
+  /**
+   * Model the budget was computed for
+   */
+  model?: string;
+
+  /**
+   * Context window size in tokens
+   */
+  contextLength: number;
+
+  /**
+   * Where the context length came from
+   */
+  source: 'config' | 'model' | 'default';
+
+  /**
+   * Tokens kept free for the answer
+   */
+  reserved: number;
+
+  /**
+   * Tokens available for the request itself
+   */
+  limit: number;
+
+  /**
+   * Estimated tokens of the system prompt
+   */
+  system: number;
+
+  /**
+   * Estimated tokens of the history
+   */
+  history: number;
+
+  /**
+   * Estimated tokens of the instruction
+   */
+  prompt: number;
+
+  /**
+   * Estimated tokens per attached file
+   */
+  files: Array<{ path: string; tokens: number; pinned?: boolean }>;
+
+  /**
+   * Estimated tokens of the request before fitting
+   */
+  total: number;
+
+  /**
+   * Strategy applied when the request did not fit
+   */
+  strategy: ContextStrategy;
+
+  /**
+   * What was done to make the request fit
+   */
+  adjustments: string[];
+
+  /**
+   * Problems with the request that were left as they are, e.g. pinned
+   * files crowding out the conversation
+   */
+  warnings: string[];
+}
+
+/**
+ * Request prepared to fit the context window
+ */
+export interface ContextRequest {
+  /**
+   * Messages to send
+   */
+  messages: Message[];
+
+  /**
+   * System prompt to send
+   */
+  system?: string;
+
+  /**
+   * Label shown before the answer when the input was split into parts
+   */
+  label?: string;
+}
+
+/**
+ * Result of fitting a request into the context window
+ */
+export interface ContextPlan {
+  /**
+   * Token breakdown
+   */
+  budget: ContextBudget;
+
+  /**
+   * Requests to send, more than one when files were split into chunks
+   */
+  requests: ContextRequest[];
+}
+
+/**
+ * Options for fitting a request
+ */
+export interface PlanContextOptions {
+  /**
+   * Model the request is for
+   */
+  model?: string;
+
+  /**
+   * Strategy overriding the configured one
+   */
+  strategy?: ContextStrategy;
+
+  /**
+   * Signal to cancel summarization requests
+   */
+  signal?: AbortSignal;
+}
+
+/**
+ * Rough number of characters per token, matching the estimate in the clients
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Tokens added per message for role markers and formatting
+ */
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Rough number of tokens per attached image; vision models use from a few
+ * hundred to a few thousand depending on the model and image size
+ */
+const IMAGE_TOKENS = 768;
+
+/**
+ * Share of the room for a request that pinned files may take before the
+ * conversation is considered crowded out
+ */
+const PINNED_WARNING_SHARE = 0.5;
+
+/**
+ * Fewest tokens of a file worth sending as one part when files are chunked
+ * or summarized
+ */
+const MIN_CHUNK_TOKENS = 256;
+
+/**
+ * Budget configuration loaded by initAI
+ */
+let budgetConfig: ContextBudgetConfig = {
+  models: {},
+  defaultLength: 4096,
+  maxLength: 32768,
+  reserveTokens: 1024,
+  strategy: 'trim'
+};
+
+/**
+ * Load the budget configuration from the `ai.context` config section
+ */
+export function configureContextBudget(config: Partial<ContextBudgetConfig> = {}): void {
+  budgetConfig = {
+    ...budgetConfig,
+    ...config,
+    models: { ...config.models }
+  };
+
+  logger.debug('Context budget configured', budgetConfig);
+}
+
+/**
+ * Estimate the number of tokens in a text
+ */
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the number of tokens a file takes once attached
+ */
+export function estimateFileTokens(file: ContextFile): number {
+  return estimateTokens(createFileContextMessage(file.path, file.content, file.language)) + 1;
+}
+
+/**
+ * Estimate the number of tokens of a list of messages
+ */
+function estimateMessageTokens(messages: Message[]): number {
+  return messages.reduce((total, message) =>
+    total + estimateTokens(message.content) + (message.images?.length || 0) * IMAGE_TOKENS + MESSAGE_OVERHEAD_TOKENS, 0);
+}
+
+/**
+ * Find the context length of a model
+ *
+ * The config table takes precedence over what the provider reports, and the
+ * result is capped at `maxLength`.
+ */
+export async function resolveContextLength(
+  client: AIClientInterface,
+  model?: string
+): Promise<{ contextLength: number; source: ContextBudget['source'] }> {
+  const configured = model && (budgetConfig.models[model] ?? budgetConfig.models[model.split(':')[0]]);
+
+  if (configured) {
+    return { contextLength: configured, source: 'config' };
+  }
+
+  const reported = await client.getContextLength?.(model);
+
+  if (reported) {
+    return { contextLength: Math.min(reported, budgetConfig.maxLength), source: 'model' };
+  }
+
+  return { contextLength: budgetConfig.defaultLength, source: 'default' };
+}
+
+/**
+ * Split a context window into the tokens kept free for the answer and
+ * those left for the request
+ */
+export function getContextLimits(contextLength: number): { reserved: number; limit: number } {
+  const reserved = Math.min(budgetConfig.reserveTokens, Math.floor(contextLength / 2));
+  return { reserved, limit: contextLength - reserved };
+}
+
+/**
+ * Warn when pinned files take so much of the room for a request that
+ * little is left for the conversation
+ */
+export function getPinnedWarning(pinnedTokens: number, limit: number): string | null {
+  if (pinnedTokens <= limit * PINNED_WARNING_SHARE) {
+    return null;
+  }
+
+  return `Pinned files take ${pinnedTokens} of the ${limit} tokens available for a request, leaving little room for the conversation`;
+}
+
+/**
+ * Build the user message for an instruction and its files
+ */
+export function buildPrompt(prompt: string, files: ContextFile[]): string {
+  return [prompt, ...files.map(file => createFileContextMessage(file.path, file.content, file.language))].join('\n\n');
+}
+
+/**
+ * Split text into chunks of at most maxTokens, on line boundaries where possible
+ */
+export function splitIntoChunks(text: string, maxTokens: number): string[] {
+  const maxChars = Math.max(1, maxTokens * CHARS_PER_TOKEN);
+  const chunks: string[] = [];
+  let current: string[] = [];
+  let currentLength = 0;
+
+  for (const line of text.split('\n')) {
+    // Lines longer than a whole chunk are split on characters
+    for (let start = 0; start === 0 || start < line.length; start += maxChars) {
+      const piece = line.slice(start, start + maxChars);
+
+      if (current.length > 0 && currentLength + piece.length + 1 > maxChars) {
+        chunks.push(current.join('\n'));
+        current = [];
+        currentLength = 0;
+      }
+
+      currentLength += piece.length + (current.length > 0 ? 1 : 0);
+      current.push(piece);
+    }
+  }
+
+  chunks.push(current.join('\n'));
+  return chunks;
+}
+
+/**
+ * Cut text down to at most maxTokens, keeping whole lines from the start
+ */
+function truncateToTokens(text: string, maxTokens: number): { text: string; removedLines: number } {
+  const [head] = splitIntoChunks(text, maxTokens);
+  const totalLines = text.split('\n').length;
+  const keptLines = head.split('\n').length;
+
+  return { text: head, removedLines: totalLines - keptLines };
+}
+
+/**
+ * Drop the oldest history messages until it fits
+ */
+function trimHistory(history: Message[], maxTokens: number): { kept: Message[]; dropped: Message[] } {
+  let start = 0;
+
+  while (start < history.length && estimateMessageTokens(history.slice(start)) > maxTokens) {
+    start++;
+  }
+
+  return { kept: history.slice(start), dropped: history.slice(0, start) };
+}
+
+/**
+ * Summarize text with the model, in chunks small enough for its context window
+ */
+async function summarize(
+  client: AIClientInterface,
+  text: string,
+  model: string | undefined,
+  contextLength: number,
+  signal?: AbortSignal
+): Promise<string> {
+  const { reserved, limit } = getContextLimits(contextLength);
+  const chunkTokens = limit - estimateTokens(CONTEXT_SUMMARY_PROMPT) - MESSAGE_OVERHEAD_TOKENS * 2;
+  const summaries: string[] = [];
+
+  checkChunkRoom(chunkTokens, contextLength);
+
+  for (const chunk of splitIntoChunks(text, chunkTokens)) {
+    const response = await client.generateCompletion({
+      messages: [{ role: 'user', content: chunk }],
+      options: {
+        model,
+        system: CONTEXT_SUMMARY_PROMPT.trim(),
+        temperature: 0,
+        maxTokens: reserved,
+        contextLength
+      },
+      signal
+    });
+
+    summaries.push(response.text.trim());
+  }
+
+  return summaries.join('\n\n');
+}
+
+/**
+ * Fail when the parts a file would be split into are too small to be of
+ * use, rather than sending a flood of requests
+ */
+function checkChunkRoom(tokens: number, contextLength: number): void {
+  if (tokens >= MIN_CHUNK_TOKENS) {
+    return;
+  }
+
+  throw createUserError(`The ${contextLength}-token context window leaves ${Math.max(0, tokens)} tokens for each part of a file, fewer than the ${MIN_CHUNK_TOKENS} needed to split it`, {
+    category: ErrorCategory.CONFIGURATION,
+    resolution: 'Set the length of the model in ai.context.models, lower ai.context.reserveTokens, attach less, or use --strategy trim.'
+  });
+}
+
+/**
+ * Compute the token budget of a request and fit it into the context window
+ */
+export async function planContext(
+  client: AIClientInterface,
+  input: ContextInput,
+  options: PlanContextOptions = {}
+): Promise<ContextPlan> {
+  const { model, signal } = options;
+  const strategy = options.strategy || budgetConfig.strategy;
+  const history = input.history || [];
+  const files = input.files || [];
+  const { contextLength, source } = await resolveContextLength(client, model);
+
+  const { reserved, limit } = getContextLimits(contextLength);
+  const systemTokens = input.system ? estimateTokens(input.system) + MESSAGE_OVERHEAD_TOKENS : 0;
+  const promptTokens = estimateTokens(input.prompt) + (input.images?.length || 0) * IMAGE_TOKENS + MESSAGE_OVERHEAD_TOKENS;
+  const fileTokens = files.map(file => ({
+    path: file.path,
+    tokens: estimateFileTokens(file),
+    pinned: file.pinned || undefined
+  }));
+  const filesTotal = fileTokens.reduce((total, file) => total + file.tokens, 0);
+  const pinnedTotal = fileTokens.reduce((total, file) => total + (file.pinned ? file.tokens : 0), 0);
+  const historyTokens = estimateMessageTokens(history);
+
+  const budget: ContextBudget = {
+    model,
+    contextLength,
+    source,
+    reserved,
+    limit,
+    system: systemTokens,
+    history: historyTokens,
+    prompt: promptTokens,
+    files: fileTokens,
+    total: systemTokens + historyTokens + promptTokens + filesTotal,
+    strategy,
+    adjustments: [],
+    warnings: []
+  };
+
+  const pinnedWarning = getPinnedWarning(pinnedTotal, limit);
+
+  if (pinnedWarning) {
+    budget.warnings.push(pinnedWarning);
+  }
+
+  const request = (requestFiles: ContextFile[], requestHistory: Message[], system = input.system, label?: string): ContextRequest => ({
+    messages: [...requestHistory, { role: 'user', content: buildPrompt(input.prompt, requestFiles), images: input.images }],
+    system,
+    label
+  });
+
+  if (budget.total <= limit) {
+    return { budget, requests: [request(files, history)] };
+  }
+
+  logger.debug('Request exceeds the context window', { total: budget.total, limit, strategy });
+
+  // The history gives way first, keeping the most recent messages
+  let system = input.system;
+  let keptHistory = history;
+  const historyRoom = Math.max(0, limit - systemTokens - promptTokens - filesTotal);
+
+  if (historyTokens > historyRoom) {
+    const { kept, dropped } = trimHistory(history, historyRoom);
+    keptHistory = kept;
+
+    if (strategy === 'summarize' && dropped.length > 0) {
+      const transcript = dropped.map(message => `${message.role}: ${message.content}`).join('\n\n');
+      const summary = await summarize(client, transcript, model, contextLength, signal);
+      system = [input.system, `Summary of the earlier conversation:\n${summary}`].filter(Boolean).join('\n\n');
+      budget.adjustments.push(`Summarized ${dropped.length} earlier message(s)`);
+    } else if (dropped.length > 0) {
+      budget.adjustments.push(`Dropped ${dropped.length} earlier message(s)`);
+    }
+
+    if (dropped.length > 0 && pinnedTotal > 0 && !pinnedWarning) {
+      budget.warnings.push(`Pinned files (${pinnedTotal} tokens) crowd out the conversation: ${dropped.length} earlier message(s) were left out`);
+    }
+  }
+
+  // Whatever is left is shared between the files in proportion to their size
+  const systemAfter = system ? estimateTokens(system) + MESSAGE_OVERHEAD_TOKENS : 0;
+  const fileRoom = limit - systemAfter - promptTokens - estimateMessageTokens(keptHistory);
+
+  if (filesTotal <= fileRoom) {
+    return { budget, requests: [request(files, keptHistory, system)] };
+  }
+
+  if (fileRoom <= 0) {
+    budget.adjustments.push('No room left for the attached files');
+    return { budget, requests: [request([], keptHistory, system)] };
+  }
+
+  // Room for a file's content once its path and code fence are accounted for
+  const contentRoom = (file: ContextFile, room: number) =>
+    Math.max(1, room - estimateTokens(createFileContextMessage(file.path, '', file.language)) - 1);
+  const shareOf = (tokens: number) => Math.floor(fileRoom * tokens / filesTotal);
+
+  if (strategy === 'chunk') {
+    // Each part is sent on its own, so it may use all of the room
+    const requests: ContextRequest[] = [];
+
+    for (const file of files) {
+      checkChunkRoom(contentRoom(file, fileRoom), contextLength);
+    }
+
+    const parts = files.flatMap(file =>
+      splitIntoChunks(file.content, contentRoom(file, fileRoom)).map(content => ({ ...file, content })));
+
+    parts.forEach((part, index) => {
+      const label = `Part ${index + 1} of ${parts.length} (${part.path})`;
+      requests.push(request([part], keptHistory, system, label));
+    });
+
+    budget.adjustments.push(`Split the attached files into ${parts.length} parts sent as separate requests`);
+    return { budget, requests };
+  }
+
+  const fitted: ContextFile[] = [];
+
+  for (const [index, file] of files.entries()) {
+    const share = shareOf(fileTokens[index].tokens);
+
+    if (fileTokens[index].tokens <= share) {
+      fitted.push(file);
+    } else if (strategy === 'summarize') {
+      const summary = await summarize(client, file.content, model, contextLength, signal);
+      fitted.push({ ...file, content: truncateToTokens(`Summary:\n${summary}`, contentRoom(file, share)).text });
+      budget.adjustments.push(`Summarized ${file.path}`);
+    } else {
+      // Leave room for the truncation marker
+      const { text, removedLines } = truncateToTokens(file.content, contentRoom(file, share) - 16);
+      fitted.push({ ...file, content: `${text}\n... [${removedLines} more lines truncated to fit the context window]` });
+      budget.adjustments.push(`Truncated ${file.path} by ${removedLines} line(s)`);
+    }
+  }
+
+  return { budget, requests: [request(fitted, keptHistory, system)] };
+}
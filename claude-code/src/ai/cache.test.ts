@@ -0,0 +1,167 @@
+/**
+ * Tests for the on-disk response cache
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { CachedAIClient, ResponseCache } from './cache.js';
+import { AIClientInterface, CompletionRequest, CompletionResponse } from './types.js';
+
+const REQUEST: CompletionRequest = {
+  messages: [{ role: 'user', content: 'Explain closures' }],
+  options: { temperature: 0, maxTokens: 100 }
+};
+
+const RESPONSE: CompletionResponse = { text: 'A closure is...', model: 'm', stopReason: 'stop' };
+
+/**
+ * Client answering every request with the next queued response
+ */
+function createClient(responses: CompletionResponse[]): AIClientInterface & { calls: number } {
+  const client = {
+    calls: 0,
+    getActiveModel: () => 'm',
+    generateCompletion: async () => {
+      client.calls++;
+      return responses.shift() ?? RESPONSE;
+    },
+    generateCompletionStream: async () => {},
+    testConnection: async () => true,
+    disconnect: async () => {}
+  };
+
+  return client;
+}
+
+describe('ResponseCache', () => {
+  let directory: string;
+  let cache: ResponseCache;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'response-cache-'));
+    cache = new ResponseCache({ directory, ttl: 60000, maxSizeBytes: 1024 * 1024 });
+  });
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  describe('createKey', () => {
+    it('gives the same key for the same request', () => {
+      expect(cache.createKey('ollama', 'm', REQUEST)).toBe(cache.createKey('ollama', 'm', structuredClone(REQUEST)));
+    });
+
+    it('tells apart providers, models, messages and options', () => {
+      const key = cache.createKey('ollama', 'm', REQUEST);
+
+      expect(cache.createKey('openai', 'm', REQUEST)).not.toBe(key);
+      expect(cache.createKey('ollama', 'other', REQUEST)).not.toBe(key);
+      expect(cache.createKey('ollama', 'm', { ...REQUEST, messages: [{ role: 'user', content: 'Explain promises' }] })).not.toBe(key);
+      expect(cache.createKey('ollama', 'm', { ...REQUEST, options: { ...REQUEST.options, maxTokens: 200 } })).not.toBe(key);
+      expect(cache.createKey('ollama', 'm', { ...REQUEST, options: { ...REQUEST.options, system: 'Be brief' } })).not.toBe(key);
+    });
+
+    it('ignores options that do not change the answer', () => {
+      const key = cache.createKey('ollama', 'm', REQUEST);
+
+      expect(cache.createKey('ollama', 'm', { ...REQUEST, options: { ...REQUEST.options, cache: true } })).toBe(key);
+    });
+  });
+
+  it('returns stored responses', async () => {
+    await cache.set('key', 'ollama', 'm', RESPONSE);
+
+    expect(await cache.get('key')).toEqual(RESPONSE);
+    expect(await cache.get('missing')).toBeNull();
+  });
+
+  it('drops entries once their TTL has passed', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    await cache.set('key', 'ollama', 'm', RESPONSE);
+
+    vi.setSystemTime(Date.now() + 59000);
+    expect(await cache.get('key')).toEqual(RESPONSE);
+
+    vi.setSystemTime(Date.now() + 2000);
+    expect(await cache.get('key')).toBeNull();
+    expect(await fs.readdir(directory)).toEqual([]);
+  });
+
+  it('removes the oldest entries once the cache outgrows its size limit', async () => {
+    const response = { ...RESPONSE, text: 'x'.repeat(300) };
+
+    for (const [index, key] of ['a', 'b', 'c'].entries()) {
+      await cache.set(key, 'ollama', 'm', response);
+      const mtime = new Date(Date.now() - 10000 + index * 1000);
+      await fs.utimes(path.join(directory, `${key}.json`), mtime, mtime);
+    }
+
+    // The first write of a process prunes, later ones once the limit is reached
+    const small = new ResponseCache({ directory, ttl: 60000, maxSizeBytes: 1000 });
+    await small.set('d', 'ollama', 'm', response);
+
+    expect((await fs.readdir(directory)).sort()).toEqual(['c.json', 'd.json']);
+
+    await small.set('e', 'ollama', 'm', response);
+
+    expect((await fs.readdir(directory)).sort()).toEqual(['d.json', 'e.json']);
+    expect((await small.getStats()).sizeBytes).toBeLessThanOrEqual(1000);
+  });
+});
+
+describe('CachedAIClient', () => {
+  let directory: string;
+  let cache: ResponseCache;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'response-cache-'));
+    cache = new ResponseCache({ directory, ttl: 60000, maxSizeBytes: 1024 * 1024 });
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('serves a repeated deterministic request from the cache', async () => {
+    const inner = createClient([]);
+    const client = new CachedAIClient(inner, cache, 'ollama');
+
+    await client.generateCompletion(REQUEST);
+    const response = await client.generateCompletion(REQUEST);
+
+    expect(inner.calls).toBe(1);
+    expect(response).toEqual({ ...RESPONSE, cached: true });
+  });
+
+  it('only caches requests at temperature 0 unless asked to', async () => {
+    const inner = createClient([]);
+    const client = new CachedAIClient(inner, cache, 'ollama');
+    const request = { ...REQUEST, options: { temperature: 0.7 } };
+
+    await client.generateCompletion(request);
+    await client.generateCompletion(request);
+    await client.generateCompletion({ ...request, options: { temperature: 0.7, cache: true } });
+    await client.generateCompletion({ ...request, options: { temperature: 0.7, cache: true } });
+
+    expect(inner.calls).toBe(3);
+  });
+
+  it('does not cache truncated answers or tool calls', async () => {
+    const inner = createClient([
+      { ...RESPONSE, stopReason: 'length' },
+      { ...RESPONSE, stopReason: 'stop', toolCalls: [{ name: 'read_file', arguments: { path: 'a.js' } }] }
+    ]);
+    const client = new CachedAIClient(inner, cache, 'ollama');
+
+    await client.generateCompletion(REQUEST);
+    await client.generateCompletion(REQUEST);
+    await client.generateCompletion(REQUEST);
+    const response = await client.generateCompletion(REQUEST);
+
+    expect(inner.calls).toBe(3);
+    expect(response.cached).toBe(true);
+  });
+});
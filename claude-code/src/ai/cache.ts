@@ -0,0 +1,482 @@
+/**
+ * AI Response Cache
+ *
+ * Caches completions on disk so that deterministic requests (temperature 0,
+ * or explicitly marked cacheable) are not regenerated for identical input.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import {
+  fileExists,
+  directoryExists,
+  ensureDirectory,
+  readTextFile,
+  writeTextFile,
+  deleteFile,
+  listDirectory,
+  getFileInfo
+} from '../fs/operations.js';
+import {
+  AIClientInterface,
+  AIModel,
+  CompletionRequest,
+  CompletionResponse,
+  EmbeddingOptions,
+  StreamCallback
+} from './types.js';
+
+/**
+ * Response cache configuration
+ */
+export interface ResponseCacheConfig {
+  /**
+   * Directory the cache entries are stored in
+   */
+  directory: string;
+
+  /**
+   * Time to live of an entry in milliseconds
+   */
+  ttl: number;
+
+  /**
+   * Maximum total size of the cache in bytes
+   */
+  maxSizeBytes: number;
+}
+
+/**
+ * Cached completion stored on disk
+ */
+interface CacheEntry {
+  key: string;
+  provider: string;
+  model: string;
+  createdAt: number;
+  response: CompletionResponse;
+}
+
+/**
+ * Cache statistics
+ */
+export interface ResponseCacheStats {
+  /**
+   * Cache directory
+   */
+  directory: string;
+
+  /**
+   * Number of entries on disk
+   */
+  entries: number;
+
+  /**
+   * Number of entries past their TTL
+   */
+  expired: number;
+
+  /**
+   * Total size of the entries in bytes
+   */
+  sizeBytes: number;
+
+  /**
+   * Creation time of the oldest entry
+   */
+  oldest?: number;
+
+  /**
+   * Creation time of the newest entry
+   */
+  newest?: number;
+}
+
+/**
+ * Default TTL of cache entries (7 days)
+ */
+const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Default maximum cache size (100MB)
+ */
+const DEFAULT_MAX_SIZE_BYTES = 100 * 1024 * 1024;
+
+/**
+ * Stop reasons of answers that were cut off, filtered or are waiting on a
+ * tool, which would be wrong to hand out again for the same request
+ */
+const UNCACHEABLE_STOP_REASONS = new Set([
+  'length',
+  'max_tokens',
+  'content_filter',
+  'tool_use',
+  'tool_calls',
+  'error',
+  'unknown'
+]);
+
+/**
+ * Whether a response is a complete answer worth caching
+ */
+function isCacheableResponse(response: Pick<CompletionResponse, 'stopReason' | 'toolCalls'>): boolean {
+  if (response.toolCalls && response.toolCalls.length > 0) {
+    return false;
+  }
+
+  return !response.stopReason || !UNCACHEABLE_STOP_REASONS.has(response.stopReason);
+}
+
+/**
+ * Build the response cache configuration from the application configuration
+ */
+export function getResponseCacheConfig(config: any): ResponseCacheConfig | null {
+  if (config.cache?.enabled === false || !config.paths?.cache) {
+    return null;
+  }
+
+  return {
+    directory: path.join(config.paths.cache, 'responses'),
+    ttl: config.cache?.ttl ?? DEFAULT_TTL,
+    maxSizeBytes: config.cache?.maxSizeBytes ?? DEFAULT_MAX_SIZE_BYTES
+  };
+}
+
+/**
+ * On-disk store of cached completions, one JSON file per entry
+ */
+export class ResponseCache {
+  private config: ResponseCacheConfig;
+
+  /**
+   * Size of the entries on disk as of the last prune plus what was written
+   * since, or null before the first prune of this process
+   */
+  private knownSizeBytes: number | null = null;
+
+  /**
+   * Create a new response cache
+   */
+  constructor(config: ResponseCacheConfig) {
+    this.config = config;
+  }
+
+  /**
+   * Compute the cache key for a request
+   */
+  createKey(provider: string, model: string, request: CompletionRequest): string {
+    const { options = {} } = request;
+
+    const keyData = {
+      provider,
+      model,
+      messages: request.messages,
+      system: options.system,
+      temperature: options.temperature,
+      topP: options.topP,
+      topK: options.topK,
+      maxTokens: options.maxTokens,
+      stopSequences: options.stopSequences,
+      contextLength: options.contextLength,
+      tools: options.tools,
+      think: options.think,
+      responseSchema: options.responseSchema
+    };
+
+    return crypto.createHash('sha256').update(JSON.stringify(keyData)).digest('hex');
+  }
+
+  /**
+   * Get the file path of an entry
+   */
+  private getEntryPath(key: string): string {
+    return path.join(this.config.directory, `${key}.json`);
+  }
+
+  /**
+   * Look up a cached response, dropping it if it has expired
+   */
+  async get(key: string): Promise<CompletionResponse | null> {
+    const entryPath = this.getEntryPath(key);
+
+    if (!await fileExists(entryPath)) {
+      return null;
+    }
+
+    try {
+      const entry = JSON.parse(await readTextFile(entryPath)) as CacheEntry;
+
+      if (Date.now() - entry.createdAt > this.config.ttl) {
+        await deleteFile(entryPath);
+        return null;
+      }
+
+      return entry.response;
+    } catch {
+      // Unreadable entries are cache misses
+      return null;
+    }
+  }
+
+  /**
+   * Store a response, pruning on the first write and whenever the writes
+   * since the last prune may have pushed the cache past its size limit
+   */
+  async set(key: string, provider: string, model: string, response: CompletionResponse): Promise<void> {
+    const entry: CacheEntry = {
+      key,
+      provider,
+      model,
+      createdAt: Date.now(),
+      response
+    };
+
+    try {
+      const data = JSON.stringify(entry);
+      await ensureDirectory(this.config.directory);
+      await writeTextFile(this.getEntryPath(key), data);
+
+      // Overwritten entries are counted twice, which only prunes early
+      const size = Buffer.byteLength(data);
+      if (this.knownSizeBytes === null || this.knownSizeBytes + size > this.config.maxSizeBytes) {
+        await this.prune();
+      } else {
+        this.knownSizeBytes += size;
+      }
+    } catch (error) {
+      // A failing cache must never fail the request itself
+      logger.warn('Failed to write response cache entry', error);
+    }
+  }
+
+  /**
+   * List the entry files with their size and modification time
+   */
+  private async listEntries(): Promise<Array<{ path: string; size: number; mtime: number }>> {
+    if (!await directoryExists(this.config.directory)) {
+      return [];
+    }
+
+    const files = (await listDirectory(this.config.directory)).filter(file => file.endsWith('.json'));
+    const entries = [];
+
+    for (const file of files) {
+      const entryPath = path.join(this.config.directory, file);
+      const info = await getFileInfo(entryPath);
+      entries.push({ path: entryPath, size: info.size, mtime: Math.floor(info.mtimeMs) });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Remove expired entries, then the oldest ones until the cache fits its size limit
+   *
+   * @returns Number of entries removed
+   */
+  async prune(): Promise<number> {
+    const entries = (await this.listEntries()).sort((a, b) => a.mtime - b.mtime);
+    const now = Date.now();
+    let totalSize = entries.reduce((total, entry) => total + entry.size, 0);
+    let removed = 0;
+
+    for (const entry of entries) {
+      const expired = now - entry.mtime > this.config.ttl;
+
+      if (!expired && totalSize <= this.config.maxSizeBytes) {
+        continue;
+      }
+
+      await deleteFile(entry.path);
+      totalSize -= entry.size;
+      removed++;
+    }
+
+    this.knownSizeBytes = totalSize;
+
+    if (removed > 0) {
+      logger.debug(`Pruned ${removed} response cache entries`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove all entries
+   *
+   * @returns Number of entries removed
+   */
+  async clear(): Promise<number> {
+    const entries = await this.listEntries();
+
+    for (const entry of entries) {
+      await deleteFile(entry.path);
+    }
+
+    this.knownSizeBytes = 0;
+    return entries.length;
+  }
+
+  /**
+   * Get statistics about the cache contents
+   */
+  async getStats(): Promise<ResponseCacheStats> {
+    const entries = await this.listEntries();
+    const now = Date.now();
+    const times = entries.map(entry => entry.mtime);
+
+    return {
+      directory: this.config.directory,
+      entries: entries.length,
+      expired: entries.filter(entry => now - entry.mtime > this.config.ttl).length,
+      sizeBytes: entries.reduce((total, entry) => total + entry.size, 0),
+      oldest: times.length > 0 ? Math.min(...times) : undefined,
+      newest: times.length > 0 ? Math.max(...times) : undefined
+    };
+  }
+}
+
+/**
+ * AI client wrapper that serves repeated deterministic requests from the cache
+ *
+ * A request is cached when `options.cache` is true, or when it is not set and
+ * the temperature is 0. Setting `options.cache` to false always bypasses it.
+ */
+export class CachedAIClient implements AIClientInterface {
+  readonly inner: AIClientInterface;
+  private cache: ResponseCache;
+  private provider: string;
+
+  listAvailableModels?: () => Promise<AIModel[]>;
+  setActiveModel?: (modelName: string) => void;
+  getActiveModel?: () => string;
+  supportsNativeTools?: (model?: string) => boolean;
+  getContextLength?: (model?: string) => Promise<number | undefined>;
+  embed?: (input: string[], options?: EmbeddingOptions) => Promise<number[][]>;
+
+  /**
+   * Create a new caching client around another client
+   */
+  constructor(inner: AIClientInterface, cache: ResponseCache, provider: string) {
+    this.inner = inner;
+    this.cache = cache;
+    this.provider = provider;
+
+    // Expose only the optional capabilities the wrapped client has
+    this.listAvailableModels = inner.listAvailableModels?.bind(inner);
+    this.setActiveModel = inner.setActiveModel?.bind(inner);
+    this.getActiveModel = inner.getActiveModel?.bind(inner);
+    this.supportsNativeTools = inner.supportsNativeTools?.bind(inner);
+    this.getContextLength = inner.getContextLength?.bind(inner);
+    this.embed = inner.embed?.bind(inner);
+  }
+
+  /**
+   * Get the cache key for a request, or null if it should not be cached
+   */
+  private getKey(request: CompletionRequest): string | null {
+    const { options = {} } = request;
+    const cacheable = options.cache ?? options.temperature === 0;
+
+    if (!cacheable) {
+      return null;
+    }
+
+    const model = options.model || this.inner.getActiveModel?.() || 'default';
+    return this.cache.createKey(this.provider, model, request);
+  }
+
+  /**
+   * Generate a completion, using the cache when possible
+   */
+  async generateCompletion(request: CompletionRequest): Promise<CompletionResponse> {
+    const key = this.getKey(request);
+
+    if (key) {
+      const cached = await this.cache.get(key);
+
+      if (cached) {
+        logger.debug('Response served from cache', { key });
+        return { ...cached, cached: true };
+      }
+    }
+
+    const response = await this.inner.generateCompletion(request);
+
+    if (key && isCacheableResponse(response)) {
+      await this.cache.set(key, this.provider, response.model, response);
+    }
+
+    return response;
+  }
+
+  /**
+   * Generate a streaming completion, replaying cached responses as one chunk
+   */
+  async generateCompletionStream(request: CompletionRequest, callback: StreamCallback): Promise<void> {
+    const key = this.getKey(request);
+
+    if (!key) {
+      return this.inner.generateCompletionStream(request, callback);
+    }
+
+    const cached = await this.cache.get(key);
+
+    if (cached) {
+      logger.debug('Streamed response served from cache', { key });
+      callback({ text: cached.text, reasoning: cached.reasoning, done: false });
+      callback({ text: '', done: true, stopReason: cached.stopReason, usage: cached.usage, cached: true });
+      return;
+    }
+
+    let text = '';
+    let reasoning = '';
+    let finalEvent: any = null;
+
+    await this.inner.generateCompletionStream(request, event => {
+      text += event.text || '';
+      reasoning += event.reasoning || '';
+
+      if (event.done) {
+        finalEvent = event;
+      }
+
+      callback(event);
+    });
+
+    // Only complete streams are cached; a cancelled request throws before this
+    if (finalEvent && isCacheableResponse(finalEvent)) {
+      const model = request.options?.model || this.inner.getActiveModel?.() || 'default';
+
+      await this.cache.set(key, this.provider, model, {
+        text,
+        model,
+        stopReason: finalEvent.stopReason,
+        usage: finalEvent.usage,
+        reasoning: reasoning || undefined
+      });
+    }
+  }
+
+  /**
+   * Test the connection of the wrapped client
+   */
+  async testConnection(): Promise<boolean> {
+    return this.inner.testConnection();
+  }
+
+  /**
+   * Disconnect the wrapped client
+   */
+  async disconnect(): Promise<void> {
+    return this.inner.disconnect();
+  }
+}
+
+/**
+ * Get the client behind a caching wrapper
+ */
+export function unwrapAIClient(client: AIClientInterface): AIClientInterface {
+  return client instanceof CachedAIClient ? client.inner : client;
+}
@@ -7,14 +7,19 @@
 
 import { logger } from '../utils/logger.js';
 import { createUserError } from '../errors/formatter.js';
-import { ErrorCategory } from '../errors/types.js';
-import { withTimeout, withRetry } from '../utils/async.js';
+import { ErrorCategory, UserError } from '../errors/types.js';
+import { withRetry, RetryOptions } from '../utils/async.js';
+import { createAbortError, isAbortError } from '../utils/cancellation.js';
 import { truncate } from '../utils/formatting.js';
 
 // Types for API requests and responses
+export type ContentBlock =
+  | { type: 'text'; text: string }
+  | { type: 'image'; source: { type: 'base64'; media_type: string; data: string } };
+
 export interface Message {
   role: 'user' | 'assistant' | 'system';
-  content: string;
+  content: string | ContentBlock[];
 }
 
 export interface CompletionOptions {
@@ -26,6 +31,7 @@ export interface CompletionOptions {
   stopSequences?: string[];
   stream?: boolean;
   system?: string;
+  signal?: AbortSignal;
 }
 
 export interface CompletionRequest {
@@ -66,11 +72,22 @@ export interface StreamEvent {
     }[];
     stop_reason?: string;
     stop_sequence?: string;
+    usage?: {
+      input_tokens: number;
+      output_tokens: number;
+    };
   };
   index?: number;
   delta?: {
     type: string;
     text: string;
+    stop_reason?: string;
+  };
+  /**
+   * Output tokens so far, on message_delta events
+   */
+  usage?: {
+    output_tokens: number;
   };
   usage_metadata?: {
     input_tokens: number;
@@ -78,6 +95,122 @@ export interface StreamEvent {
   };
 }
 
+/**
+ * One of the rate limits reported in the anthropic-ratelimit-* headers,
+ * e.g. requests, tokens, input-tokens or output-tokens
+ */
+export interface RateLimit {
+  limit?: number;
+  remaining?: number;
+  /**
+   * When the limit is fully replenished, as an RFC 3339 timestamp
+   */
+  reset?: string;
+}
+
+/**
+ * Status codes of failures that did not change anything on the server and
+ * are worth trying again
+ */
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504, 529]);
+
+/**
+ * Longest wait asked for by the server that is still waited out; beyond
+ * this the error is reported instead
+ */
+const MAX_RETRY_AFTER_MS = 60000;
+
+/**
+ * Read the rate limits from the anthropic-ratelimit-* headers
+ */
+export function parseRateLimits(headers: Headers): Record<string, RateLimit> {
+  const limits: Record<string, RateLimit> = {};
+
+  headers.forEach((value, name) => {
+    const match = /^anthropic-ratelimit-(.+)-(limit|remaining|reset)$/.exec(name.toLowerCase());
+    if (!match) {
+      return;
+    }
+
+    const [, kind, field] = match;
+    const limit = limits[kind] ??= {};
+
+    if (field === 'reset') {
+      limit.reset = value;
+    } else if (!isNaN(Number(value))) {
+      limit[field as 'limit' | 'remaining'] = Number(value);
+    }
+  });
+
+  return limits;
+}
+
+/**
+ * Work out how long the server asks to wait before the next request
+ *
+ * Uses the retry-after header, in seconds or as a date, and otherwise the
+ * reset time of the latest exhausted rate limit.
+ */
+export function getRetryAfterMs(headers: Headers, limits: Record<string, RateLimit> = parseRateLimits(headers)): number | undefined {
+  const retryAfter = headers.get('retry-after');
+
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  const resets = Object.values(limits)
+    .filter(limit => limit.remaining === 0 && limit.reset)
+    .map(limit => Date.parse(limit.reset!) - Date.now())
+    .filter(ms => !isNaN(ms));
+
+  return resets.length > 0 ? Math.max(0, ...resets) : undefined;
+}
+
+/**
+ * Format rate limits as e.g. "requests 49/50, tokens 39000/40000"
+ */
+function formatRateLimits(limits: Record<string, RateLimit>): string {
+  return Object.entries(limits)
+    .filter(([, limit]) => limit.remaining !== undefined)
+    .map(([kind, limit]) => `${kind} ${limit.remaining}${limit.limit !== undefined ? `/${limit.limit}` : ''}`)
+    .join(', ');
+}
+
+/**
+ * Check whether a failed request can be sent again
+ *
+ * Only failures the server did not act on are retried: rate limits,
+ * overload, server errors, timeouts and requests that never connected.
+ * Client errors such as a bad request or a wrong API key would fail the
+ * same way again, and cancellations are never retried.
+ */
+function isRetryableError(error: Error): boolean {
+  if (isAbortError(error)) {
+    return false;
+  }
+
+  if (error instanceof UserError) {
+    const { status, retryAfterMs } = error.details as { status?: number; retryAfterMs?: number };
+
+    if (status !== undefined) {
+      return RETRYABLE_STATUSES.has(status) && (retryAfterMs === undefined || retryAfterMs <= MAX_RETRY_AFTER_MS);
+    }
+
+    return error.category === ErrorCategory.TIMEOUT;
+  }
+
+  return error.name === 'TimeoutError' || error.name === 'FetchError' ||
+    (error instanceof TypeError && error.message === 'fetch failed');
+}
+
 // Default API configuration
 const DEFAULT_CONFIG = {
   apiBaseUrl: 'https://api.anthropic.com',
@@ -99,6 +232,7 @@ const DEFAULT_CONFIG = {
 export class AIClient {
   private config: typeof DEFAULT_CONFIG;
   private authToken: string;
+  private rateLimits: Record<string, RateLimit> = {};
   
   /**
    * Create a new AI client
@@ -126,6 +260,102 @@ export class AIClient {
     };
   }
   
+  /**
+   * Rate limits reported with the last response
+   */
+  getRateLimits(): Record<string, RateLimit> {
+    return this.rateLimits;
+  }
+  
+  /**
+   * Retry options for a request, waiting as long as the server asks and
+   * showing a countdown meanwhile
+   */
+  private getRetryOptions(
+    signal: AbortSignal | undefined,
+    isRetryable: (error: Error) => boolean = isRetryableError
+  ): RetryOptions {
+    return {
+      maxRetries: this.config.retryOptions.maxRetries,
+      initialDelayMs: this.config.retryOptions.initialDelayMs,
+      maxDelayMs: this.config.retryOptions.maxDelayMs,
+      isRetryable,
+      getRetryDelay: error => error instanceof UserError
+        ? (error.details as { retryAfterMs?: number }).retryAfterMs
+        : undefined,
+      wait: (ms, error, attempt) => this.waitBeforeRetry(ms, error, attempt, signal)
+    };
+  }
+  
+  /**
+   * Wait before a retry, counting down the seconds on the terminal
+   */
+  private waitBeforeRetry(ms: number, error: Error, attempt: number, signal?: AbortSignal): Promise<void> {
+    const maxRetries = this.config.retryOptions.maxRetries;
+    const interactive = Boolean(process.stderr.isTTY);
+    const deadline = Date.now() + ms;
+    
+    const render = () => {
+      const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+      return `${error.message.replace(/\.$/, '')}. Retrying in ${seconds}s (attempt ${attempt} of ${maxRetries})...`;
+    };
+    
+    if (interactive) {
+      process.stderr.write(`\r${render()}\x1b[K`);
+    } else {
+      logger.warn(render());
+    }
+    
+    return new Promise((resolve, reject) => {
+      const ticker = interactive
+        ? setInterval(() => process.stderr.write(`\r${render()}\x1b[K`), 1000)
+        : undefined;
+      
+      const finish = () => {
+        clearTimeout(timer);
+        clearInterval(ticker);
+        signal?.removeEventListener('abort', onAbort);
+        if (interactive) {
+          process.stderr.write('\r\x1b[K');
+        }
+      };
+      
+      const onAbort = () => {
+        finish();
+        reject(createAbortError());
+      };
+      
+      const timer = setTimeout(() => {
+        finish();
+        resolve();
+      }, ms);
+      
+      if (signal?.aborted) {
+        onAbort();
+      } else {
+        signal?.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+  
+  /**
+   * Remember the rate limits reported with a response and show what is
+   * left in verbose mode
+   */
+  private recordRateLimits(headers: Headers): void {
+    const limits = parseRateLimits(headers);
+    
+    if (Object.keys(limits).length === 0) {
+      return;
+    }
+    
+    this.rateLimits = limits;
+    
+    if (logger.isVerbose()) {
+      logger.info(`Claude API quota remaining: ${formatRateLimits(limits)}`, limits);
+    }
+  }
+  
   /**
    * Send a completion request to Claude
    */
@@ -154,29 +384,27 @@ export class AIClient {
     if (options.stopSequences) request.stop_sequences = options.stopSequences;
     if (options.system) request.system = options.system;
     
-    // Make the API request with timeout and retry
+    // Make the API request with retry; each attempt times out on its own
     try {
-      // Wrap the sendRequest method to handle timeouts correctly
-      const sendRequestWithPath = async (path: string, requestOptions: RequestInit) => {
-        return this.sendRequest(path, requestOptions);
-      };
-      
-      const timeoutFn = withTimeout(sendRequestWithPath, this.config.timeout);
-      
-      const retryFn = withRetry(timeoutFn, {
-        maxRetries: this.config.retryOptions.maxRetries,
-        initialDelayMs: this.config.retryOptions.initialDelayMs,
-        maxDelayMs: this.config.retryOptions.maxDelayMs
-      });
+      const retryFn = withRetry(
+        (path: string, requestOptions: RequestInit) => this.sendRequest(path, requestOptions),
+        this.getRetryOptions(options.signal)
+      );
       
       const response = await retryFn('/v1/messages', {
         method: 'POST',
         headers: this.getHeaders(),
-        body: JSON.stringify(request)
+        body: JSON.stringify(request),
+        signal: options.signal
       });
       
       return response;
     } catch (error) {
+      // Cancellation is not a failure, and API errors already say what to do
+      if (isAbortError(error) || error instanceof UserError) {
+        throw error;
+      }
+      
       logger.error('Completion request failed', error);
       
       throw createUserError('Failed to get response from Claude', {
@@ -216,14 +444,30 @@ export class AIClient {
     if (options.stopSequences) request.stop_sequences = options.stopSequences;
     if (options.system) request.system = options.system;
     
-    // Make the API request
-    try {
-      await this.sendStreamRequest('/v1/messages', {
+    // Make the API request. Once events have been passed on, a retry would
+    // repeat them, so only failures before the first event are retried.
+    let delivered = false;
+    
+    const retryFn = withRetry(
+      () => this.sendStreamRequest('/v1/messages', {
         method: 'POST',
         headers: this.getHeaders(),
-        body: JSON.stringify(request)
-      }, onEvent);
+        body: JSON.stringify(request),
+        signal: options.signal
+      }, event => {
+        delivered = true;
+        onEvent(event);
+      }),
+      this.getRetryOptions(options.signal, error => !delivered && isRetryableError(error))
+    );
+    
+    try {
+      await retryFn();
     } catch (error) {
+      if (isAbortError(error) || error instanceof UserError) {
+        throw error;
+      }
+      
       logger.error('Streaming completion request failed', error);
       
       throw createUserError('Failed to get streaming response from Claude', {
@@ -257,14 +501,30 @@ export class AIClient {
   
   /**
    * Send a request to the Claude API
+   * 
+   * The request is aborted when the full response takes longer than the
+   * configured timeout, so that a retry never races an earlier attempt.
    */
   private async sendRequest(path: string, options: RequestInit): Promise<any> {
     const url = `${this.config.apiBaseUrl}${path}`;
     
     logger.debug(`Sending request to ${url}`);
     
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    let timedOut = false;
+    
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.config.timeout);
+    
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+    
     try {
-      const response = await fetch(url, options);
+      const response = await fetch(url, { ...options, signal: controller.signal });
+      
+      this.recordRateLimits(response.headers);
       
       if (!response.ok) {
         await this.handleErrorResponse(response);
@@ -273,19 +533,29 @@ export class AIClient {
       const data = await response.json();
       return data;
     } catch (error) {
-      if (error instanceof Error && error.name === 'AbortError') {
-        throw createUserError('Request timed out', {
+      if (options.signal?.aborted) {
+        throw createAbortError();
+      }
+      
+      if (timedOut) {
+        throw createUserError(`Request timed out after ${this.config.timeout / 1000}s`, {
           category: ErrorCategory.TIMEOUT,
           resolution: 'Try again or increase the timeout setting.'
         });
       }
       
       throw error;
+    } finally {
+      clearTimeout(timer);
+      options.signal?.removeEventListener('abort', onAbort);
     }
   }
   
   /**
    * Send a streaming request to the Claude API
+   * 
+   * The request times out when the response or the next chunk of it takes
+   * longer than the configured timeout.
    */
   private async sendStreamRequest(
     path: string, 
@@ -296,8 +566,26 @@ export class AIClient {
     
     logger.debug(`Sending streaming request to ${url}`);
     
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    let timedOut = false;
+    let timer: NodeJS.Timeout | undefined;
+    
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, this.config.timeout);
+    };
+    
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+    resetTimer();
+    
     try {
-      const response = await fetch(url, options);
+      const response = await fetch(url, { ...options, signal: controller.signal });
+      
+      this.recordRateLimits(response.headers);
       
       if (!response.ok) {
         await this.handleErrorResponse(response);
@@ -318,6 +606,8 @@ export class AIClient {
           break;
         }
         
+        resetTimer();
+        
         // Decode the chunk and add to buffer
         buffer += decoder.decode(value, { stream: true });
         
@@ -355,14 +645,21 @@ export class AIClient {
         }
       }
     } catch (error) {
-      if (error instanceof Error && error.name === 'AbortError') {
-        throw createUserError('Streaming request timed out', {
+      if (options.signal?.aborted) {
+        throw createAbortError();
+      }
+      
+      if (timedOut) {
+        throw createUserError(`Streaming request timed out after ${this.config.timeout / 1000}s without data`, {
           category: ErrorCategory.TIMEOUT,
           resolution: 'Try again or increase the timeout setting.'
         });
       }
       
       throw error;
+    } finally {
+      clearTimeout(timer);
+      options.signal?.removeEventListener('abort', onAbort);
     }
   }
   
@@ -387,6 +684,11 @@ export class AIClient {
     
     logger.error('API error response', { status: response.status, errorData });
     
+    // Kept on the error so retries can tell what failed and how long to wait
+    const retryAfterMs = getRetryAfterMs(response.headers);
+    const details = { status: response.status, retryAfterMs };
+    const waitHint = retryAfterMs !== undefined ? ` Try again in ${Math.ceil(retryAfterMs / 1000)}s.` : '';
+    
     // Handle specific error codes
     switch (response.status) {
       case 401:
@@ -410,21 +712,32 @@ export class AIClient {
       case 429:
         throw createUserError('Rate limit exceeded.', {
           category: ErrorCategory.RATE_LIMIT,
-          resolution: 'Please wait before sending more requests.'
+          details,
+          resolution: `Please wait before sending more requests.${waitHint}`
+        });
+        
+      case 529:
+        throw createUserError('Claude is overloaded.', {
+          category: ErrorCategory.SERVER,
+          details,
+          resolution: `The API is temporarily overloaded. Please try again later.${waitHint}`
         });
         
+      case 408:
       case 500:
       case 502:
       case 503:
       case 504:
         throw createUserError('The API server encountered an error.', {
           category: ErrorCategory.SERVER,
+          details,
           resolution: 'This is likely a temporary issue. Please try again later.'
         });
         
       default:
         throw createUserError(errorMessage, {
           category: ErrorCategory.API,
+          details,
           resolution: 'Check the error details and try again.'
         });
     }
@@ -11,7 +11,12 @@ import { createUserError } from '../errors/formatter.js';
 import { ErrorCategory } from '../errors/types.js';
 import { authManager } from '../auth/index.js';
 import { AIClientInterface } from './types.js';
-import { createAIClient, AIProvider, ProviderConfig } from './providers/index.js';
+import { createAIClient, parseProviderName, AIProvider, ProviderConfig } from './providers/index.js';
+import { CachedAIClient, ResponseCache, getResponseCacheConfig } from './cache.js';
+import { configureModelRouting } from './routing.js';
+import { configureContextBudget } from './budget.js';
+import { ReplayClient } from './providers/replay/client.js';
+import { DEFAULT_REPLAY_CONFIG, ReplayConfig } from './providers/replay/types.js';
 
 // Singleton AI client instance
 let aiClient: AIClientInterface | null = null;
@@ -30,26 +35,50 @@ export async function initAI(config: any = {}, terminal: any = null): Promise<AI
   }
   
   try {
-    // Check which provider to use - first from config, then from env var
-    const providerFromEnv = process.env.TERM_CODE_PROVIDER?.toLowerCase();
+    // Check which provider to use - first from explicit options, then from
+    // env var, then from the config file
+    const providerFromEnv = parseProviderName(process.env.TERM_CODE_PROVIDER);
+    const providerFromFile = parseProviderName(config.ai?.provider);
     let selectedProvider: AIProvider;
     
     if (config.provider) {
       selectedProvider = config.provider;
-    } else if (providerFromEnv === 'ollama') {
-      selectedProvider = AIProvider.OLLAMA;
-      logger.debug('Using Ollama provider from environment variable');
-    } else if (providerFromEnv === 'claude') {
-      selectedProvider = AIProvider.CLAUDE;
-      logger.debug('Using Claude provider from environment variable');
+    } else if (providerFromEnv) {
+      selectedProvider = providerFromEnv;
+      logger.debug(`Using ${providerFromEnv} provider from environment variable`);
+    } else if (providerFromFile) {
+      selectedProvider = providerFromFile;
+      logger.debug(`Using ${providerFromFile} provider from configuration file`);
     } else {
       // Default to Ollama if not specified
       selectedProvider = AIProvider.OLLAMA;
     }
     
+    // Recording a cassette wraps a client for the provider being recorded
+    let recordConfig: ReplayConfig | null = null;
+    let clientProvider = selectedProvider;
+    
+    if (selectedProvider === AIProvider.REPLAY) {
+      const replayConfig: ReplayConfig = { ...DEFAULT_REPLAY_CONFIG, ...config.ai?.providerOptions?.replay };
+      
+      if (replayConfig.mode === 'record') {
+        const recordedProvider = parseProviderName(replayConfig.provider);
+        
+        if (!recordedProvider || recordedProvider === AIProvider.REPLAY) {
+          throw createUserError(`Cannot record provider: ${replayConfig.provider}`, {
+            category: ErrorCategory.CONFIGURATION,
+            resolution: 'Set TERM_CODE_RECORD_PROVIDER to ollama, claude or openai-compatible.'
+          });
+        }
+        
+        recordConfig = replayConfig;
+        clientProvider = recordedProvider;
+      }
+    }
+    
     const providerConfig: Partial<ProviderConfig> = {
-      provider: selectedProvider,
-      options: config.providerOptions || {}
+      provider: clientProvider,
+      options: config.providerOptions || config.ai?.providerOptions?.[clientProvider] || {}
     };
     
     // Only require authentication for Claude
@@ -71,16 +100,38 @@ export async function initAI(config: any = {}, terminal: any = null): Promise<AI
         });
       }
       
-      // Add auth token to provider options
-      providerConfig.options = { 
-        ...providerConfig.options, 
-        authToken: authToken.accessToken 
+      // Add auth token and API settings to provider options
+      providerConfig.options = {
+        ...(config.api?.baseUrl && { baseUrl: config.api.baseUrl }),
+        ...(config.api?.timeout && { timeout: config.api.timeout }),
+        ...(config.ai?.model && { model: config.ai.model }),
+        ...providerConfig.options,
+        authToken: authToken.accessToken
       };
     }
     
     // Create AI client based on provider
     aiClient = createAIClient(providerConfig);
-    activeProvider = providerConfig.provider || AIProvider.OLLAMA;
+    activeProvider = selectedProvider;
+    
+    if (recordConfig) {
+      aiClient = new ReplayClient(recordConfig, aiClient);
+      logger.debug(`Recording ${clientProvider} to cassette ${recordConfig.cassette}`);
+    }
+    
+    // Per-command models and the fallback chain
+    configureModelRouting(config.ai?.routing);
+    
+    // Context window limits and how oversized requests are fitted
+    configureContextBudget(config.ai?.context);
+    
+    // Serve repeated deterministic requests from the response cache; cassettes
+    // bypass it, since a cached response would never reach the recording
+    const cacheConfig = activeProvider !== AIProvider.REPLAY ? getResponseCacheConfig(config) : null;
+    if (cacheConfig) {
+      aiClient = new CachedAIClient(aiClient, new ResponseCache(cacheConfig), activeProvider);
+      logger.debug(`Response cache enabled at ${cacheConfig.directory}`);
+    }
     
     // Update terminal interface with new provider
     if (terminalInstance && typeof terminalInstance.updateProvider === 'function') {
@@ -155,4 +206,10 @@ export function isAIInitialized(): boolean {
 // Re-export types and components
 export * from './client.js';
 export * from './prompts.js';
+export * from './cache.js';
+export * from './routing.js';
+export * from './budget.js';
+export * from './mentions.js';
+export * from './reasoning.js';
+export * from './structured.js';
 export * from './providers/index.js'; 
\ No newline at end of file
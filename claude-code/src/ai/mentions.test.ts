@@ -0,0 +1,92 @@
+/**
+ * Tests for file references and @ mentions
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import {
+  extractFileMentions,
+  formatFileReference,
+  parseFileReference,
+  resolveFileReferences
+} from './mentions.js';
+import { ErrorCategory } from '../errors/types.js';
+
+describe('parseFileReference', () => {
+  it('parses paths with and without a line range', () => {
+    expect(parseFileReference('src/app.ts')).toEqual({ path: 'src/app.ts' });
+    expect(parseFileReference('src/app.ts:30')).toEqual({ path: 'src/app.ts', start: 30, end: 30 });
+    expect(parseFileReference('src/app.ts:30-90')).toEqual({ path: 'src/app.ts', start: 30, end: 90 });
+  });
+
+  it('keeps colons that are not followed by a line number', () => {
+    expect(parseFileReference('C:/src/app.ts')).toEqual({ path: 'C:/src/app.ts' });
+  });
+
+  it('rejects empty and reversed ranges', () => {
+    expect(() => parseFileReference('src/app.ts:0')).toThrow(expect.objectContaining({ category: ErrorCategory.VALIDATION }));
+    expect(() => parseFileReference('src/app.ts:90-30')).toThrow(expect.objectContaining({ category: ErrorCategory.VALIDATION }));
+  });
+
+  it('reads what formatFileReference writes', () => {
+    for (const reference of ['src/app.ts', 'src/app.ts:30', 'src/app.ts:30-90']) {
+      expect(formatFileReference(parseFileReference(reference))).toBe(reference);
+    }
+  });
+});
+
+describe('extractFileMentions', () => {
+  it('finds mentions at the start, after whitespace and in parentheses', () => {
+    expect(extractFileMentions('@a.ts compare with @src/b.ts:10-20 (see @docs/*.md)')).toEqual(['a.ts', 'src/b.ts:10-20', 'docs/*.md']);
+  });
+
+  it('drops trailing punctuation', () => {
+    expect(extractFileMentions('Why does @src/app.ts fail? Check @lib/util.ts, then @README.md.')).toEqual(['src/app.ts', 'lib/util.ts', 'README.md']);
+  });
+
+  it('ignores e-mail addresses and a lone @', () => {
+    expect(extractFileMentions('Mail me at user@example.com @ noon')).toEqual([]);
+  });
+});
+
+describe('resolveFileReferences', () => {
+  let root: string;
+
+  beforeAll(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'mentions-'));
+    await fs.mkdir(path.join(root, 'src'));
+    await fs.writeFile(path.join(root, 'src/a.ts'), 'one\ntwo\nthree\n');
+    await fs.writeFile(path.join(root, 'src/b.ts'), 'export {};\n');
+    await fs.writeFile(path.join(root, 'src/c.bin'), 'x\0y');
+  });
+
+  afterAll(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('attaches files, line ranges and directory listings', async () => {
+    const files = await resolveFileReferences([`${root}/src/a.ts:2-3`, `${root}/src`]);
+
+    expect(files).toEqual([
+      { path: `${root}/src/a.ts (lines 2-3)`, content: 'two\nthree', language: 'typescript' },
+      { path: `${root}/src/`, content: 'a.ts\nb.ts\nc.bin', language: 'text' }
+    ]);
+  });
+
+  it('attaches the text files a glob matches', async () => {
+    const files = await resolveFileReferences([`${root}/src/*`]);
+
+    expect(files.map(file => file.path)).toEqual([path.join(root, 'src/a.ts'), path.join(root, 'src/b.ts')]);
+  });
+
+  it('fails on references that match nothing unless told to ignore them', async () => {
+    await expect(resolveFileReferences([`${root}/missing.ts`])).rejects.toMatchObject({ category: ErrorCategory.FILE_NOT_FOUND });
+    expect(await resolveFileReferences([`${root}/missing.ts`], { ignoreMissing: true })).toEqual([]);
+  });
+
+  it('refuses binary files named directly', async () => {
+    await expect(resolveFileReferences([`${root}/src/c.bin`])).rejects.toMatchObject({ category: ErrorCategory.VALIDATION });
+  });
+});
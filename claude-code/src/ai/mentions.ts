@@ -0,0 +1,262 @@
+/**
+ * File Mentions
+ *
+ * Turns references to files into files attached to a request. References
+ * come from `@` mentions in a prompt, e.g. `@src/auth/oauth.ts:30-90`, or
+ * from --context options. A reference is a file, optionally with a line
+ * range, a directory, whose listing is attached, or a glob pattern.
+ */
+
+import fs from 'fs/promises';
+import { logger } from '../utils/logger.js';
+import { createUserError } from '../errors/formatter.js';
+import { ErrorCategory } from '../errors/types.js';
+import { fileExists, directoryExists, readTextFile, readFileLines } from '../fs/operations.js';
+import { isGlobPattern, expandGlob } from '../fs/glob.js';
+import { getLanguageFromFilePath } from './prompts.js';
+import { ContextFile } from './budget.js';
+
+/**
+ * Path with an optional line range, 1-based and inclusive
+ */
+export interface FileReference {
+  path: string;
+  start?: number;
+  end?: number;
+}
+
+/**
+ * `@` followed by a path, at the start of the text, after whitespace or
+ * after an opening parenthesis
+ */
+const MENTION_PATTERN = /(?:^|[\s(])@([^\s]+)/g;
+
+/**
+ * Most files a single glob pattern may attach
+ */
+export const MAX_GLOB_MATCHES = 50;
+
+/**
+ * Parse a reference such as `src/app.ts`, `src/app.ts:30` or
+ * `src/app.ts:30-90`
+ */
+export function parseFileReference(reference: string): FileReference {
+  const match = /^(.+?):(\d+)(?:-(\d+))?$/.exec(reference);
+
+  if (!match) {
+    return { path: reference };
+  }
+
+  const start = parseInt(match[2], 10);
+  const end = match[3] ? parseInt(match[3], 10) : start;
+
+  if (start < 1 || end < start) {
+    throw createUserError(`Invalid line range in ${reference}`, {
+      category: ErrorCategory.VALIDATION,
+      resolution: 'Give a range as path:start-end with 1 <= start <= end, e.g. src/app.ts:30-90.'
+    });
+  }
+
+  return { path: match[1], start, end };
+}
+
+/**
+ * Format a reference the way parseFileReference reads it
+ */
+export function formatFileReference(reference: FileReference): string {
+  if (reference.start === undefined) {
+    return reference.path;
+  }
+
+  return reference.end === undefined || reference.end === reference.start
+    ? `${reference.path}:${reference.start}`
+    : `${reference.path}:${reference.start}-${reference.end}`;
+}
+
+/**
+ * Find the `@` mentions in a prompt, without trailing punctuation
+ */
+export function extractFileMentions(text: string): string[] {
+  return [...text.matchAll(MENTION_PATTERN)]
+    .map(match => match[1].replace(/[.,;:!?)'"`]+$/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Read a file or a range of its lines
+ */
+async function readFileContent(reference: FileReference): Promise<ContextFile> {
+  if (reference.start === undefined || reference.end === undefined) {
+    return { path: reference.path, content: await readTextFile(reference.path) };
+  }
+
+  const lines = await readFileLines(reference.path, reference.start, reference.end);
+
+  if (lines.length === 0) {
+    throw createUserError(`${reference.path} has no line ${reference.start}`, {
+      category: ErrorCategory.VALIDATION,
+      resolution: 'Check the line range and try again.'
+    });
+  }
+
+  const last = reference.start + lines.length - 1;
+  const range = last === reference.start ? `line ${last}` : `lines ${reference.start}-${last}`;
+
+  return {
+    path: `${reference.path} (${range})`,
+    content: lines.join('\n'),
+    language: getLanguageFromFilePath(reference.path)
+  };
+}
+
+/**
+ * List the entries of a directory, with a trailing / on subdirectories
+ */
+async function readDirectoryListing(dirPath: string): Promise<ContextFile> {
+  const entries = await fs.readdir(dirPath, { withFileTypes: true });
+  const names = entries
+    .map(entry => entry.isDirectory() ? `${entry.name}/` : entry.name)
+    .sort();
+
+  return {
+    path: `${dirPath.replace(/\/+$/, '')}/`,
+    content: names.length > 0 ? names.join('\n') : '(empty directory)',
+    language: 'text'
+  };
+}
+
+/**
+ * Read the file, line range or directory listing a reference points to,
+ * without expanding globs
+ */
+export async function readFileReference(reference: FileReference): Promise<ContextFile> {
+  return await directoryExists(reference.path)
+    ? readDirectoryListing(reference.path)
+    : readFileContent(reference);
+}
+
+/**
+ * Check if file content looks binary
+ */
+export function isBinary(content: string): boolean {
+  return content.includes('\0');
+}
+
+/**
+ * Resolve file references into files to attach
+ *
+ * Files are attached whole or as their line range, directories as a
+ * listing of their entries, and glob patterns as every text file they
+ * match. References that match nothing fail, unless ignoreMissing is set,
+ * e.g. for mentions that may just be text.
+ */
+export async function resolveFileReferences(
+  references: string[],
+  options: { ignoreMissing?: boolean } = {}
+): Promise<ContextFile[]> {
+  const files: ContextFile[] = [];
+
+  for (const raw of references) {
+    const reference = parseFileReference(raw);
+
+    // A path that exists is taken literally, even with glob characters
+    if (await directoryExists(reference.path) || await fileExists(reference.path)) {
+      const file = await readFileReference(reference);
+
+      if (isBinary(file.content)) {
+        throw createUserError(`${reference.path} is a binary file`, {
+          category: ErrorCategory.VALIDATION,
+          resolution: 'Attach text files only.'
+        });
+      }
+
+      files.push(file);
+      continue;
+    }
+
+    if (isGlobPattern(reference.path)) {
+      const matches = await expandGlob(reference.path);
+
+      if (matches.length > MAX_GLOB_MATCHES) {
+        throw createUserError(`${reference.path} matches ${matches.length} files, more than the ${MAX_GLOB_MATCHES} that can be attached`, {
+          category: ErrorCategory.VALIDATION,
+          resolution: 'Use a narrower pattern.'
+        });
+      }
+
+      for (const match of matches) {
+        const file = await readFileContent({ ...reference, path: match });
+
+        if (isBinary(file.content)) {
+          logger.debug(`Skipping binary file ${match}`);
+          continue;
+        }
+
+        files.push(file);
+      }
+
+      if (matches.length > 0) {
+        continue;
+      }
+    }
+
+    if (options.ignoreMissing) {
+      logger.debug(`No file matches the mention @${raw}`);
+      continue;
+    }
+
+    throw createUserError(`No file or directory matches ${raw}`, {
+      category: ErrorCategory.FILE_NOT_FOUND,
+      resolution: 'Check the path or pattern and try again.'
+    });
+  }
+
+  return files;
+}
+
+/**
+ * Resolve the files for a prompt: the given references, then the files
+ * mentioned in the prompt, each attached once
+ */
+export async function resolvePromptFiles(prompt: string, references: string[] = []): Promise<ContextFile[]> {
+  const files = [
+    ...await resolveFileReferences(references),
+    ...await resolveFileReferences(extractFileMentions(prompt), { ignoreMissing: true })
+  ];
+
+  return files.filter((file, index) => files.findIndex(other => other.path === file.path) === index);
+}
+
+/**
+ * Complete the path being typed in a line of input, for a readline
+ * completer
+ *
+ * Completes `@` mentions and the value of --context or -c.
+ *
+ * @returns The candidate completions and the text they replace
+ */
+export async function completeFilePath(line: string): Promise<[string[], string]> {
+  const mention = /(?:^|[\s(])@([^\s]*)$/.exec(line);
+  const option = /(?:^|\s)(?:--context|-c)\s+([^\s-][^\s]*|)$/.exec(line);
+  const partial = mention?.[1] ?? option?.[1];
+
+  if (partial === undefined) {
+    return [[], line];
+  }
+
+  const prefix = mention ? '@' : '';
+  const dir = partial.slice(0, partial.lastIndexOf('/') + 1);
+  const name = partial.slice(dir.length);
+
+  try {
+    const entries = await fs.readdir(dir || '.', { withFileTypes: true });
+    const completions = entries
+      .filter(entry => entry.name.startsWith(name) && (name.startsWith('.') || !entry.name.startsWith('.')))
+      .map(entry => `${prefix}${dir}${entry.name}${entry.isDirectory() ? '/' : ''}`)
+      .sort();
+
+    return [completions, `${prefix}${partial}`];
+  } catch {
+    return [[], line];
+  }
+}
@@ -77,6 +77,43 @@ Guidelines:
 - Adjust explanation depth based on the apparent complexity of the question
 `;
 
+/**
+ * System prompt for the tool-using agent
+ */
+export const AGENT_SYSTEM_PROMPT = `
+You are an AI coding agent working inside the user's project workspace.
+You can call tools to read files, list directories, search code, run commands and write files.
+
+Guidelines:
+- Inspect the relevant files before answering or changing anything
+- Call one tool at a time and use its result to decide the next step
+- Only write files or run commands when the task requires it; the user must approve each one
+- When you have enough information, answer the user directly without calling a tool
+`;
+
+/**
+ * Instructions for calling tools through plain JSON replies, for models
+ * without native tool calling
+ */
+export const AGENT_JSON_TOOL_PROMPT = `
+To call a tool, reply with ONLY a JSON object and nothing else, in this format:
+{"tool": "<tool name>", "arguments": { ... }}
+
+The tool result will be sent back to you in the next message.
+To give your final answer, reply with plain text instead of JSON.
+
+Available tools:
+`;
+
+/**
+ * Instructions for condensing content that does not fit the context window
+ */
+export const CONTEXT_SUMMARY_PROMPT = `
+Summarize the following content so it can stand in for the original in a later request.
+Keep names, signatures, file paths, decisions and open questions; drop repetition and boilerplate.
+Reply with the summary only.
+`;
+
 /**
  * Interface for prompt templates
  */
@@ -216,6 +253,24 @@ export function usePromptTemplate(
   };
 }
 
+/**
+ * Build the system prompt of a conversation
+ * 
+ * @param options.systemPrompt Prompt replacing CODE_ASSISTANT_SYSTEM_PROMPT
+ * @param options.instructions Additional instructions, e.g. project conventions
+ * @param options.cwd Working directory to tell the model about
+ * @returns System prompt string
+ */
+export function buildConversationSystemPrompt(
+  options: { systemPrompt?: string; instructions?: string; cwd?: string } = {}
+): string {
+  return [
+    (options.systemPrompt || CODE_ASSISTANT_SYSTEM_PROMPT).trim(),
+    options.instructions?.trim(),
+    options.cwd && `The user is working in the directory ${options.cwd}.`
+  ].filter(Boolean).join('\n\n');
+}
+
 /**
  * Create a conversation from a prompt
  * 
@@ -291,7 +346,7 @@ export function createFileContextMessage(
 /**
  * Get language from file path
  */
-function getLanguageFromFilePath(filePath: string): string {
+export function getLanguageFromFilePath(filePath: string): string {
   const extension = filePath.split('.').pop()?.toLowerCase() || '';
   
   const languageMap: Record<string, string> = {
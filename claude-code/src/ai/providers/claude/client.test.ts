@@ -0,0 +1,155 @@
+/**
+ * Tests for the Claude client against a local stand-in for /v1/messages
+ */
+
+import { createServer, IncomingMessage, Server, ServerResponse } from 'node:http';
+import { AddressInfo } from 'node:net';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { AIClient } from '../../client.js';
+import { ClaudeClient } from './client.js';
+
+type Reply = (req: IncomingMessage, res: ServerResponse) => void;
+
+const MESSAGE = {
+  id: 'msg_1',
+  model: 'claude-3-haiku-20240307',
+  content: [{ type: 'text', text: 'Hello' }],
+  stop_reason: 'end_turn',
+  usage: { input_tokens: 12, output_tokens: 5 }
+};
+
+/**
+ * Answer with the given status, JSON body and headers
+ */
+function json(status: number, body: unknown, headers: Record<string, string> = {}): Reply {
+  return (_req, res) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+}
+
+/**
+ * Answer with server-sent events, one per object
+ */
+function sse(events: Array<Record<string, unknown>>): Reply {
+  return (_req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const event of events) {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+    res.end();
+  };
+}
+
+const overloaded = json(529, { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } });
+
+describe('Claude client', () => {
+  let server: Server;
+  let baseUrl: string;
+  let replies: Reply[];
+  let requests: Array<{ path?: string; time: number; body: any }>;
+
+  beforeEach(async () => {
+    replies = [];
+    requests = [];
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ path: req.url, time: Date.now(), body: JSON.parse(body || '{}') });
+        const reply = replies.shift() ?? json(500, { error: { message: 'No reply queued' } });
+        reply(req, res);
+      });
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  function createClient(): AIClient {
+    return new AIClient({
+      apiBaseUrl: baseUrl,
+      timeout: 5000,
+      retryOptions: { maxRetries: 2, initialDelayMs: 1, maxDelayMs: 5 }
+    }, 'test-key');
+  }
+
+  it('retries an overloaded server until it answers', async () => {
+    replies.push(overloaded, overloaded, json(200, MESSAGE));
+
+    const response = await createClient().complete('Hi');
+
+    expect(response.content[0].text).toBe('Hello');
+    expect(requests).toHaveLength(3);
+    expect(requests.every(request => request.path === '/v1/messages')).toBe(true);
+  });
+
+  it('gives up once the retries are used up', async () => {
+    replies.push(overloaded, overloaded, overloaded, json(200, MESSAGE));
+
+    await expect(createClient().complete('Hi')).rejects.toThrow();
+    expect(requests).toHaveLength(3);
+  });
+
+  it('does not retry a request the server rejected', async () => {
+    replies.push(json(400, { error: { type: 'invalid_request_error', message: 'Bad request' } }), json(200, MESSAGE));
+
+    await expect(createClient().complete('Hi')).rejects.toThrow();
+    expect(requests).toHaveLength(1);
+  });
+
+  it('waits as long as Retry-After asks before retrying', async () => {
+    replies.push(
+      json(429, { error: { type: 'rate_limit_error', message: 'Rate limited' } }, { 'retry-after': '1' }),
+      json(200, MESSAGE)
+    );
+
+    await createClient().complete('Hi');
+
+    expect(requests).toHaveLength(2);
+    expect(requests[1].time - requests[0].time).toBeGreaterThanOrEqual(900);
+  });
+
+  it('reports a Retry-After too long to wait out instead of retrying', async () => {
+    replies.push(
+      json(429, { error: { type: 'rate_limit_error', message: 'Rate limited' } }, { 'retry-after': '120' }),
+      json(200, MESSAGE)
+    );
+
+    await expect(createClient().complete('Hi')).rejects.toMatchObject({ details: { status: 429, retryAfterMs: 120000 } });
+    expect(requests).toHaveLength(1);
+  });
+
+  it('streams text and reports usage and the stop reason when done', async () => {
+    replies.push(overloaded, sse([
+      { type: 'message_start', message: { ...MESSAGE, content: [], stop_reason: null, usage: { input_tokens: 12, output_tokens: 1 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+      { type: 'ping' },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hel' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'lo' } },
+      { type: 'content_block_stop', index: 0 },
+      { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 5 } },
+      { type: 'message_stop' }
+    ]));
+
+    const client = new ClaudeClient({ baseUrl, authToken: 'test-key', model: 'claude-3-haiku-20240307' });
+    const chunks: any[] = [];
+
+    await client.generateCompletionStream({
+      messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Hi' }]
+    }, chunk => { chunks.push(chunk); });
+
+    expect(requests).toHaveLength(2);
+    expect(requests[1].body).toMatchObject({ stream: true, system: 'Be brief', messages: [{ role: 'user', content: 'Hi' }] });
+    expect(chunks.filter(chunk => !chunk.done).map(chunk => chunk.text).join('')).toBe('Hello');
+    expect(chunks[chunks.length - 1]).toEqual({
+      text: '',
+      done: true,
+      stopReason: 'end_turn',
+      usage: { inputTokens: 12, outputTokens: 5, totalTokens: 17 }
+    });
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Claude Client
+ *
+ * Adapts the Anthropic API client to the provider-neutral AI client interface.
+ */
+
+import { logger } from '../../../utils/logger.js';
+import { AIClient, StreamEvent, Message as ClaudeMessage, ContentBlock } from '../../client.js';
+import {
+  AIClientInterface,
+  CompletionRequest,
+  CompletionResponse,
+  CompletionOptions,
+  StreamCallback,
+  Message,
+  AIUsage
+} from '../../types.js';
+import { ClaudeConfig, DEFAULT_CLAUDE_CONFIG } from './types.js';
+
+/**
+ * Context lengths of Claude models by name prefix, first match wins
+ */
+const CONTEXT_LENGTHS: Array<[RegExp, number]> = [
+  [/^claude-(?:instant|2\.0)/, 100000],
+  [/^claude-/, 200000]
+];
+
+/**
+ * Client for interacting with the Claude API
+ */
+export class ClaudeClient implements AIClientInterface {
+  private _config: ClaudeConfig;
+  private client: AIClient;
+
+  /**
+   * Create a new Claude client
+   */
+  constructor(config: Partial<ClaudeConfig> = {}) {
+    this._config = { ...DEFAULT_CLAUDE_CONFIG, ...config };
+    this.client = this.createClient();
+    logger.debug('ClaudeClient initialized', { baseUrl: this._config.baseUrl, model: this._config.model });
+  }
+
+  /**
+   * Get the current configuration
+   */
+  get config(): ClaudeConfig {
+    return this._config;
+  }
+
+  /**
+   * Update the client configuration
+   */
+  updateConfig(config: Partial<ClaudeConfig>): void {
+    this._config = { ...this._config, ...config };
+    this.client = this.createClient();
+    logger.debug('ClaudeClient configuration updated', { baseUrl: this._config.baseUrl });
+  }
+
+  /**
+   * Create the underlying API client from the current configuration
+   */
+  private createClient(): AIClient {
+    return new AIClient({
+      apiBaseUrl: this._config.baseUrl,
+      timeout: this._config.timeout,
+      defaultModel: this._config.model,
+      defaultMaxTokens: this._config.maxTokens
+    }, this._config.authToken);
+  }
+
+  /**
+   * Set the active model
+   */
+  setActiveModel(modelName: string): void {
+    this.updateConfig({ model: modelName });
+    logger.debug(`Active model set to ${modelName}`);
+  }
+
+  /**
+   * Get the currently active model
+   */
+  getActiveModel(): string {
+    return this._config.model;
+  }
+
+  /**
+   * Get the context length of a model, which the API does not report
+   */
+  async getContextLength(model: string = this._config.model): Promise<number | undefined> {
+    return CONTEXT_LENGTHS.find(([pattern]) => pattern.test(model))?.[1];
+  }
+
+  /**
+   * Test connection to the Claude API
+   */
+  async testConnection(): Promise<boolean> {
+    return this.client.testConnection();
+  }
+
+  /**
+   * Split a conversation into API messages and a combined system prompt
+   *
+   * The Messages API only accepts user and assistant turns, so system
+   * messages are lifted out and joined with any explicit system option.
+   */
+  private convertMessages(messages: Message[], options: CompletionOptions): {
+    messages: ClaudeMessage[];
+    system?: string;
+  } {
+    const systemParts = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content);
+
+    if (options.system) {
+      systemParts.unshift(options.system);
+    }
+
+    return {
+      messages: messages
+        .filter(message => message.role !== 'system')
+        // Tool results are not sent natively, so they travel as user turns
+        .map(message => ({ role: message.role === 'tool' ? 'user' : message.role, content: this.convertContent(message) })),
+      system: systemParts.length > 0 ? systemParts.join('\n\n') : undefined
+    };
+  }
+
+  /**
+   * Build the content of an API message, with attached images as image
+   * blocks ahead of the text
+   */
+  private convertContent(message: Message): string | ContentBlock[] {
+    if (!message.images || message.images.length === 0) {
+      return message.content;
+    }
+
+    return [
+      ...message.images.map((image): ContentBlock => ({
+        type: 'image',
+        source: { type: 'base64', media_type: image.mediaType, data: image.data }
+      })),
+      { type: 'text', text: message.content }
+    ];
+  }
+
+  /**
+   * Generate a completion
+   */
+  async generateCompletion(request: CompletionRequest): Promise<CompletionResponse> {
+    const { options = {} } = request;
+    const { messages, system } = this.convertMessages(request.messages, options);
+
+    const response = await this.client.complete(messages, { ...options, system, signal: request.signal });
+
+    const text = response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    const usage: AIUsage = {
+      inputTokens: response.usage?.input_tokens ?? 0,
+      outputTokens: response.usage?.output_tokens ?? 0,
+      totalTokens: (response.usage?.input_tokens ?? 0) + (response.usage?.output_tokens ?? 0)
+    };
+
+    return {
+      text,
+      model: response.model,
+      stopReason: response.stop_reason,
+      usage
+    };
+  }
+
+  /**
+   * Generate a streaming completion
+   */
+  async generateCompletionStream(request: CompletionRequest, callback: StreamCallback): Promise<void> {
+    const { options = {} } = request;
+    const { messages, system } = this.convertMessages(request.messages, options);
+
+    // Input tokens come with message_start, and the output tokens and stop
+    // reason with message_delta, ahead of the final message_stop
+    let inputTokens = 0;
+    let outputTokens = 0;
+    let stopReason: string | undefined;
+
+    await this.client.completeStream(messages, { ...options, system, signal: request.signal }, (event: StreamEvent) => {
+      switch (event.type) {
+        case 'message_start':
+          inputTokens = event.message?.usage?.input_tokens ?? 0;
+          outputTokens = event.message?.usage?.output_tokens ?? 0;
+          break;
+
+        case 'content_block_delta':
+          if (event.delta?.text) {
+            callback({ text: event.delta.text, done: false });
+          }
+          break;
+
+        case 'message_delta':
+          outputTokens = event.usage?.output_tokens ?? outputTokens;
+          stopReason = event.delta?.stop_reason ?? stopReason;
+          break;
+
+        case 'message_stop': {
+          const usage: AIUsage = { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens };
+          callback({ text: '', done: true, stopReason, usage });
+          break;
+        }
+
+        default:
+          // Other events carry no text
+          break;
+      }
+    });
+  }
+
+  /**
+   * Disconnect from the Claude API
+   */
+  async disconnect(): Promise<void> {
+    // Requests are stateless, nothing to disconnect
+    return Promise.resolve();
+  }
+}
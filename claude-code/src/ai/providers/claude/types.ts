@@ -0,0 +1,47 @@
+/**
+ * Claude API Types
+ * 
+ * Type definitions for the Claude provider integration.
+ */
+
+/**
+ * Claude client configuration
+ */
+export interface ClaudeConfig {
+  /**
+   * Base URL of the Anthropic API (or a compatible stand-in)
+   */
+  baseUrl: string;
+  
+  /**
+   * API key or OAuth access token
+   */
+  authToken: string;
+  
+  /**
+   * Default model used when a request does not name one
+   */
+  model: string;
+  
+  /**
+   * Request timeout in milliseconds
+   */
+  timeout?: number;
+  
+  /**
+   * Default maximum tokens to generate
+   */
+  maxTokens?: number;
+}
+
+/**
+ * Default Claude configuration
+ */
+export const DEFAULT_CLAUDE_CONFIG: ClaudeConfig = {
+  // Use environment variable or the public API by default
+  baseUrl: process.env.CLAUDE_API_URL || 'https://api.anthropic.com',
+  authToken: '',
+  model: process.env.CLAUDE_MODEL || 'claude-3-opus-20240229',
+  timeout: parseInt(process.env.CLAUDE_TIMEOUT || '60000', 10),
+  maxTokens: 4096
+};
@@ -6,6 +6,10 @@
 
 import { AIClientInterface } from '../types.js';
 import { OllamaClient } from './ollama/client.js';
+import { ClaudeClient } from './claude/client.js';
+import { OpenAICompatibleClient } from './openai/client.js';
+import { ReplayClient } from './replay/client.js';
+import { unwrapAIClient } from '../cache.js';
 import { logger } from '../../utils/logger.js';
 
 /**
@@ -13,7 +17,38 @@ import { logger } from '../../utils/logger.js';
  */
 export enum AIProvider {
   CLAUDE = 'claude',
-  OLLAMA = 'ollama'
+  OLLAMA = 'ollama',
+  OPENAI_COMPATIBLE = 'openai-compatible',
+  REPLAY = 'replay'
+}
+
+/**
+ * Alternative names accepted for providers in TERM_CODE_PROVIDER and config files
+ */
+const PROVIDER_ALIASES: Record<string, AIProvider> = {
+  anthropic: AIProvider.CLAUDE,
+  openai: AIProvider.OPENAI_COMPATIBLE,
+  llamacpp: AIProvider.OPENAI_COMPATIBLE,
+  'llama.cpp': AIProvider.OPENAI_COMPATIBLE,
+  vllm: AIProvider.OPENAI_COMPATIBLE,
+  lmstudio: AIProvider.OPENAI_COMPATIBLE
+};
+
+/**
+ * Parse a provider name, returning null if it is not recognized
+ */
+export function parseProviderName(name: string | null | undefined): AIProvider | null {
+  if (!name) {
+    return null;
+  }
+  
+  const normalized = name.trim().toLowerCase();
+  
+  if ((Object.values(AIProvider) as string[]).includes(normalized)) {
+    return normalized as AIProvider;
+  }
+  
+  return PROVIDER_ALIASES[normalized] || null;
 }
 
 /**
@@ -45,9 +80,13 @@ export function createAIClient(config: Partial<ProviderConfig> = {}): AIClientIn
       return new OllamaClient(fullConfig.options);
     
     case AIProvider.CLAUDE:
-      // Preserve original Claude integration - this would normally use your AIClient from before
-      // For now, just throw an error since we haven't integrated with the real client yet
-      throw new Error('Claude provider not implemented yet');
+      return new ClaudeClient(fullConfig.options);
+    
+    case AIProvider.OPENAI_COMPATIBLE:
+      return new OpenAICompatibleClient(fullConfig.options);
+    
+    case AIProvider.REPLAY:
+      return new ReplayClient(fullConfig.options);
     
     default:
       throw new Error(`Unsupported AI provider: ${fullConfig.provider}`);
@@ -57,12 +96,25 @@ export function createAIClient(config: Partial<ProviderConfig> = {}): AIClientIn
 /**
  * Get provider name from an AIClientInterface instance
  */
-export function getProviderName(client: AIClientInterface): AIProvider {
+export function getProviderName(client: AIClientInterface): AIProvider | null {
+  client = unwrapAIClient(client);
+  
   if (client instanceof OllamaClient) {
     return AIProvider.OLLAMA;
   }
   
-  // Add more checks for other provider types
+  if (client instanceof ClaudeClient) {
+    return AIProvider.CLAUDE;
+  }
+  
+  if (client instanceof OpenAICompatibleClient) {
+    return AIProvider.OPENAI_COMPATIBLE;
+  }
+  
+  if (client instanceof ReplayClient) {
+    return AIProvider.REPLAY;
+  }
   
-  return AIProvider.CLAUDE; // Default
+  // Unknown client implementation
+  return null;
 } 
\ No newline at end of file
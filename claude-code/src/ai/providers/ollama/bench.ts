@@ -0,0 +1,366 @@
+/**
+ * Ollama Benchmark
+ *
+ * Runs a fixed suite of prompts against installed models and collects the
+ * timings Ollama reports, so models and quantizations can be compared on
+ * the same machine and across machines.
+ */
+
+import os from 'os';
+import { OllamaClient } from './client.js';
+import { AIUsage } from '../../types.js';
+import { logger } from '../../../utils/logger.js';
+import { isAbortError } from '../../../utils/cancellation.js';
+
+/**
+ * Prompt in the benchmark suite
+ */
+export interface BenchmarkCase {
+  name: string;
+  description: string;
+  prompt: string;
+  maxTokens: number;
+}
+
+/**
+ * Measurements of one case against one model
+ */
+export interface BenchmarkResult {
+  model: string;
+  parameterSize?: string;
+  quantization?: string;
+  case: string;
+  /**
+   * Time Ollama spent loading the model, only significant for the first case
+   */
+  loadMs?: number;
+  timeToFirstTokenMs?: number;
+  totalMs?: number;
+  promptTokens?: number;
+  promptTokensPerSecond?: number;
+  outputTokens?: number;
+  outputTokensPerSecond?: number;
+  /**
+   * Largest memory footprint of the model reported by /api/ps during the case
+   */
+  peakMemoryBytes?: number;
+  peakVramBytes?: number;
+  error?: string;
+}
+
+/**
+ * Benchmark results with the machine and server they were measured on
+ */
+export interface BenchmarkReport {
+  createdAt: string;
+  machine: {
+    hostname: string;
+    platform: string;
+    arch: string;
+    cpu: string;
+    cpuCount: number;
+    totalMemoryBytes: number;
+  };
+  server: {
+    baseUrl: string;
+    version: string;
+  };
+  results: BenchmarkResult[];
+}
+
+/**
+ * Options for a benchmark run
+ */
+export interface BenchmarkOptions {
+  /**
+   * Names of the cases to run, defaults to all
+   */
+  cases?: string[];
+
+  /**
+   * Called before each case starts
+   */
+  onCase?: (model: string, benchmarkCase: BenchmarkCase) => void;
+
+  /**
+   * Signal to cancel the run
+   */
+  signal?: AbortSignal;
+}
+
+/**
+ * Context window used for every case, so the model is loaded only once
+ */
+const BENCH_CONTEXT_LENGTH = 8192;
+
+/**
+ * How often the memory footprint is sampled while a case runs
+ */
+const MEMORY_POLL_INTERVAL_MS = 500;
+
+/**
+ * Build the document summarized by the long-context case
+ *
+ * The text is generated so that it is identical on every machine and
+ * around 3,000 tokens long.
+ */
+function createLongDocument(): string {
+  const services = ['auth', 'billing', 'search', 'storage', 'notifications', 'reporting'];
+  const changes = [
+    'moved session handling to a shared cache',
+    'added retries with exponential backoff to outgoing requests',
+    'replaced the hand-written query builder with prepared statements',
+    'split the nightly job into smaller batches to reduce lock contention',
+    'started emitting structured logs with a request id on every line',
+    'dropped support for the deprecated v1 endpoints'
+  ];
+  const lines = ['# Engineering change log', ''];
+
+  for (let i = 1; i <= 60; i++) {
+    const service = services[i % services.length];
+    const change = changes[(i * 5) % changes.length];
+    lines.push(
+      `## Entry ${i}: ${service}`,
+      `The ${service} team ${change}. Latency at the 99th percentile went from ${100 + (i * 37) % 400}ms ` +
+      `to ${60 + (i * 23) % 200}ms, and error rates changed by ${((i * 7) % 11) - 5} basis points. ` +
+      `Follow-up work is tracked as task ${1000 + i * 3}.`,
+      ''
+    );
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * The benchmark suite
+ */
+export const BENCHMARK_CASES: BenchmarkCase[] = [
+  {
+    name: 'chat',
+    description: 'Short chat',
+    prompt: 'In two sentences, what is the difference between a process and a thread?',
+    maxTokens: 128
+  },
+  {
+    name: 'code',
+    description: 'Code generation',
+    prompt: 'Write a TypeScript function that parses an INI file into a nested object, with sections, ' +
+      'comments and quoted values. Include the type definitions. Reply with only the code.',
+    maxTokens: 512
+  },
+  {
+    name: 'summary',
+    description: 'Long-context summary',
+    prompt: `Summarize the main themes of this change log in five bullet points.\n\n${createLongDocument()}`,
+    maxTokens: 256
+  }
+];
+
+/**
+ * Compute a rate in tokens per second
+ */
+function tokensPerSecond(tokens: number | undefined, durationMs: number | undefined): number | undefined {
+  if (tokens === undefined || !durationMs) {
+    return undefined;
+  }
+
+  return Math.round(tokens / (durationMs / 1000) * 10) / 10;
+}
+
+/**
+ * Whether an /api/ps entry is the given model
+ */
+function isSameModel(running: string, model: string): boolean {
+  return running === model || running === `${model}:latest`;
+}
+
+/**
+ * Run one case against a model
+ */
+async function runCase(
+  client: OllamaClient,
+  model: string,
+  benchmarkCase: BenchmarkCase,
+  signal?: AbortSignal
+): Promise<BenchmarkResult> {
+  const result: BenchmarkResult = { model, case: benchmarkCase.name };
+  const startTime = Date.now();
+  let usage: AIUsage | undefined;
+
+  // Sample the memory footprint while the case runs
+  const sampleMemory = async () => {
+    try {
+      const { models } = await client.listRunningModels();
+      const running = models.find(entry => isSameModel(entry.name, model));
+
+      if (running && running.size > (result.peakMemoryBytes || 0)) {
+        result.peakMemoryBytes = running.size;
+        result.peakVramBytes = running.size_vram;
+      }
+    } catch (error) {
+      logger.debug('Could not sample model memory', error);
+    }
+  };
+  const timer = setInterval(() => void sampleMemory(), MEMORY_POLL_INTERVAL_MS);
+
+  try {
+    await client.generateCompletionStream({
+      messages: [{ role: 'user', content: benchmarkCase.prompt }],
+      options: {
+        model,
+        temperature: 0,
+        maxTokens: benchmarkCase.maxTokens,
+        contextLength: BENCH_CONTEXT_LENGTH
+      },
+      signal
+    }, event => {
+      if (result.timeToFirstTokenMs === undefined && (event.text || event.reasoning)) {
+        result.timeToFirstTokenMs = Date.now() - startTime;
+      }
+
+      if (event.done) {
+        usage = event.usage;
+      }
+    });
+
+    await sampleMemory();
+  } finally {
+    clearInterval(timer);
+  }
+
+  result.totalMs = Date.now() - startTime;
+  result.loadMs = usage?.loadDuration !== undefined ? Math.round(usage.loadDuration) : undefined;
+  result.promptTokens = usage?.inputTokens;
+  result.promptTokensPerSecond = tokensPerSecond(usage?.inputTokens, usage?.promptEvalDuration);
+  result.outputTokens = usage?.outputTokens;
+  result.outputTokensPerSecond = tokensPerSecond(usage?.outputTokens, usage?.evalDuration);
+
+  return result;
+}
+
+/**
+ * Run the benchmark suite against a model
+ *
+ * The model is unloaded first so the first case measures a cold load. A
+ * failing case ends the run for that model, recording the error; a
+ * cancelled run throws.
+ */
+export async function runBenchmark(
+  client: OllamaClient,
+  model: string,
+  options: BenchmarkOptions = {}
+): Promise<BenchmarkResult[]> {
+  const cases = options.cases
+    ? BENCHMARK_CASES.filter(benchmarkCase => options.cases!.includes(benchmarkCase.name))
+    : BENCHMARK_CASES;
+  const results: BenchmarkResult[] = [];
+  let details: { parameterSize?: string; quantization?: string } = {};
+
+  try {
+    const info = await client.showModel(model);
+    details = {
+      parameterSize: info.details?.parameter_size,
+      quantization: info.details?.quantization_level
+    };
+
+    const { models } = await client.listRunningModels();
+    if (models.some(entry => isSameModel(entry.name, model))) {
+      await client.unloadModel(model);
+    }
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    return [{ model, case: cases[0]?.name || 'setup', error: message }];
+  }
+
+  for (const benchmarkCase of cases) {
+    options.onCase?.(model, benchmarkCase);
+
+    try {
+      results.push({ ...details, ...await runCase(client, model, benchmarkCase, options.signal) });
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+
+      logger.error(`Benchmark case ${benchmarkCase.name} failed for ${model}`, error);
+      results.push({
+        model,
+        ...details,
+        case: benchmarkCase.name,
+        error: error instanceof Error ? error.message : String(error)
+      });
+      break;
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Wrap benchmark results with details of the machine and server
+ */
+export async function createBenchmarkReport(client: OllamaClient, results: BenchmarkResult[]): Promise<BenchmarkReport> {
+  const cpus = os.cpus();
+  let version = 'unknown';
+
+  try {
+    version = await client.getVersion();
+  } catch (error) {
+    logger.debug('Could not get the Ollama version', error);
+  }
+
+  return {
+    createdAt: new Date().toISOString(),
+    machine: {
+      hostname: os.hostname(),
+      platform: os.platform(),
+      arch: os.arch(),
+      cpu: cpus[0]?.model || 'unknown',
+      cpuCount: cpus.length,
+      totalMemoryBytes: os.totalmem()
+    },
+    server: {
+      baseUrl: client.endpoints.join(','),
+      version
+    },
+    results
+  };
+}
+
+/**
+ * Format a benchmark report as CSV, one row per result with the machine
+ * details repeated so files from several machines can be concatenated
+ */
+export function formatBenchmarkCsv(report: BenchmarkReport): string {
+  const columns: Array<[string, (result: BenchmarkResult) => unknown]> = [
+    ['created_at', () => report.createdAt],
+    ['hostname', () => report.machine.hostname],
+    ['platform', () => report.machine.platform],
+    ['arch', () => report.machine.arch],
+    ['cpu', () => report.machine.cpu],
+    ['total_memory_bytes', () => report.machine.totalMemoryBytes],
+    ['ollama_version', () => report.server.version],
+    ['model', result => result.model],
+    ['parameter_size', result => result.parameterSize],
+    ['quantization', result => result.quantization],
+    ['case', result => result.case],
+    ['load_ms', result => result.loadMs],
+    ['time_to_first_token_ms', result => result.timeToFirstTokenMs],
+    ['total_ms', result => result.totalMs],
+    ['prompt_tokens', result => result.promptTokens],
+    ['prompt_tokens_per_second', result => result.promptTokensPerSecond],
+    ['output_tokens', result => result.outputTokens],
+    ['output_tokens_per_second', result => result.outputTokensPerSecond],
+    ['peak_memory_bytes', result => result.peakMemoryBytes],
+    ['peak_vram_bytes', result => result.peakVramBytes],
+    ['error', result => result.error]
+  ];
+
+  const escape = (value: unknown): string => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  const rows = report.results.map(result => columns.map(([, get]) => escape(get(result))).join(','));
+  return [columns.map(([name]) => name).join(','), ...rows].join('\n') + '\n';
+}
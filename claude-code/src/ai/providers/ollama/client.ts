@@ -4,15 +4,19 @@
  * Implementation of the AI client for Ollama LLMs.
  */
 
-import fetch from 'node-fetch';
+import fetch, { Response, RequestInit } from 'node-fetch';
 import { logger } from '../../../utils/logger.js';
 import { 
   AIClientInterface, 
+  AIModel,
   CompletionRequest, 
   CompletionResponse, 
+  CompletionOptions,
   StreamCallback, 
   Message,
-  AIUsage
+  AIUsage,
+  ToolCall,
+  EmbeddingOptions
 } from '../../types.js';
 import { 
   OllamaConfig, 
@@ -20,21 +24,44 @@ import {
   OllamaCompletionRequest,
   OllamaCompletionResponse,
   OllamaListModelsResponse,
-  OllamaModel
+  OllamaModel,
+  OllamaChatMessage,
+  OllamaChatRequest,
+  OllamaChatResponse,
+  OllamaResponseMetrics,
+  OllamaShowResponse,
+  OllamaProgressResponse,
+  OllamaCreateRequest,
+  OllamaPsResponse,
+  OllamaEmbedRequest,
+  OllamaEmbedResponse,
+  OllamaTool
 } from './types.js';
+import { splitReasoning, ReasoningStreamParser } from '../../reasoning.js';
+import { OllamaEndpointPool, EndpointStatus, isConnectionError } from './pool.js';
+import { createUserError } from '../../../errors/formatter.js';
+import { ErrorCategory } from '../../../errors/types.js';
+
+const NANOSECONDS_PER_MILLISECOND = 1_000_000;
 
 /**
  * Client for interacting with Ollama API
  */
 export class OllamaClient implements AIClientInterface {
   private _config: OllamaConfig;
+  private pool: OllamaEndpointPool;
   private activeModel: string;
+  private chatUnsupportedEndpoints: Set<string> = new Set();
+  private chatUnsupportedModels: Set<string> = new Set();
+  private toolsUnsupportedModels: Set<string> = new Set();
+  private modelDetails: Map<string, OllamaShowResponse> = new Map();
 
   /**
    * Create a new Ollama client
    */
   constructor(config: Partial<OllamaConfig> = {}, defaultModel: string = 'deepseek-r1:8b') {
     this._config = { ...DEFAULT_OLLAMA_CONFIG, ...config };
+    this.pool = new OllamaEndpointPool(this._config.baseUrl);
     this.activeModel = defaultModel;
     logger.debug('OllamaClient initialized', { baseUrl: this._config.baseUrl, defaultModel });
   }
@@ -51,6 +78,7 @@ export class OllamaClient implements AIClientInterface {
    */
   updateConfig(config: Partial<OllamaConfig>): void {
     this._config = { ...this._config, ...config };
+    this.pool = new OllamaEndpointPool(this._config.baseUrl);
     logger.debug('OllamaClient configuration updated', { baseUrl: this._config.baseUrl });
   }
 
@@ -71,33 +99,59 @@ export class OllamaClient implements AIClientInterface {
    * List available models from Ollama
    */
   async listModels(): Promise<OllamaListModelsResponse> {
-    const url = `${this._config.baseUrl}/api/tags`;
+    const statuses = await this.pool.refresh();
+    const models: OllamaModel[] = [];
     
-    try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Failed to list models: ${response.statusText} - ${errorText}`);
+    // With several servers, a model installed on more than one is listed once
+    const allDown = statuses.every(status => !status.healthy);
+    
+    for (const status of statuses) {
+      if (!status.healthy) {
+        if (allDown) {
+          logger.error('Error listing Ollama models', { error: status.error, url: status.url });
+        } else {
+          logger.warn(`Ollama server ${status.url} is unavailable: ${status.error}`);
+        }
+        continue;
       }
       
-      const data = await response.json() as any;
-      
-      // Ensure the response has the expected format
-      if (!data || !Array.isArray(data.models)) {
-        logger.warn('Unexpected response format from Ollama API', { data });
-        // Return a safe default
-        return { models: [] };
+      for (const model of status.models) {
+        if (!models.some(entry => entry.name === model.name)) {
+          models.push(model);
+        }
       }
-      
-      return data as OllamaListModelsResponse;
-    } catch (error) {
-      logger.error('Error listing Ollama models', { 
-        error: error instanceof Error ? error.message : String(error),
-        url 
-      });
-      // Return an empty list instead of throwing
-      return { models: [] };
     }
+    
+    // An unreachable server gives an empty list instead of throwing
+    return { models };
+  }
+
+  /**
+   * Check every configured server and list its models
+   */
+  async checkEndpoints(): Promise<EndpointStatus[]> {
+    return this.pool.refresh();
+  }
+
+  /**
+   * Configured server URLs, in order of preference
+   */
+  get endpoints(): string[] {
+    return this.pool.urls;
+  }
+
+  /**
+   * List available models in the provider-neutral format
+   */
+  async listAvailableModels(): Promise<AIModel[]> {
+    const response = await this.listModels();
+    
+    return response.models.map(model => ({
+      id: model.name,
+      name: model.name,
+      version: model.details?.parameter_size,
+      supportsStreaming: true
+    }));
   }
 
   /**
@@ -121,6 +175,285 @@ export class OllamaClient implements AIClientInterface {
     }
   }
 
+  /**
+   * Get the details Ollama reports for a model via /api/show
+   */
+  async showModel(modelName: string): Promise<OllamaShowResponse> {
+    const response = await this.sendManagementRequest('/api/show', 'POST', { model: modelName }, undefined, modelName);
+    return await response.json() as OllamaShowResponse;
+  }
+
+  /**
+   * Send a request to the first server that accepts the connection
+   *
+   * Servers are tried in the pool's order for the model; only connection
+   * failures move on to the next one, since any other error would happen
+   * there as well.
+   */
+  private async fetchWithFailover(path: string, init: RequestInit, model?: string): Promise<Response> {
+    const candidates = await this.pool.candidates(model);
+    let lastError: unknown;
+    
+    for (const [index, url] of candidates.entries()) {
+      try {
+        return await fetch(`${url}${path}`, init);
+      } catch (error) {
+        if (!isConnectionError(error)) {
+          throw error;
+        }
+        
+        this.pool.markFailed(url, error);
+        lastError = error;
+        
+        if (index < candidates.length - 1) {
+          logger.warn(`Ollama server ${url} is unreachable, trying ${candidates[index + 1]}`);
+        }
+      }
+    }
+    
+    throw lastError;
+  }
+
+  /**
+   * Send a request to the model management API and check the response
+   *
+   * @param model Model the request is about, used to pick the server
+   */
+  private async sendManagementRequest(
+    path: string,
+    method: string,
+    body?: unknown,
+    signal?: AbortSignal,
+    model?: string
+  ): Promise<Response> {
+    const response = await this.fetchWithFailover(path, {
+      method,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal
+    }, model);
+    
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Ollama API error: ${response.statusText} - ${errorText}`);
+    }
+    
+    return response;
+  }
+
+  /**
+   * Read a progress stream from /api/pull or /api/create
+   */
+  private async readProgressStream(
+    response: Response,
+    onProgress?: (progress: OllamaProgressResponse) => void
+  ): Promise<void> {
+    let failure: string | undefined;
+    
+    await this.readJsonStream<OllamaProgressResponse>(response, progress => {
+      if (progress.error) {
+        failure = progress.error;
+        return true;
+      }
+      
+      onProgress?.(progress);
+      return progress.status === 'success';
+    });
+    
+    if (failure) {
+      throw new Error(`Ollama API error: ${failure}`);
+    }
+  }
+
+  /**
+   * Download a model from the registry, reporting progress per layer
+   */
+  async pullModel(
+    modelName: string,
+    onProgress?: (progress: OllamaProgressResponse) => void,
+    signal?: AbortSignal
+  ): Promise<void> {
+    const response = await this.sendManagementRequest('/api/pull', 'POST', { model: modelName, stream: true }, signal, modelName);
+    await this.readProgressStream(response, onProgress);
+    logger.info(`Pulled Ollama model ${modelName}`);
+  }
+
+  /**
+   * Create a model from a base model and Modelfile settings
+   */
+  async createModel(
+    request: OllamaCreateRequest,
+    onProgress?: (progress: OllamaProgressResponse) => void,
+    signal?: AbortSignal
+  ): Promise<void> {
+    const response = await this.sendManagementRequest('/api/create', 'POST', { ...request, stream: true }, signal);
+    await this.readProgressStream(response, onProgress);
+    logger.info(`Created Ollama model ${request.model}`);
+  }
+
+  /**
+   * Delete a model
+   */
+  async deleteModel(modelName: string): Promise<void> {
+    await this.sendManagementRequest('/api/delete', 'DELETE', { model: modelName }, undefined, modelName);
+    this.modelDetails.delete(modelName);
+    logger.info(`Deleted Ollama model ${modelName}`);
+  }
+
+  /**
+   * Copy a model to a new name
+   */
+  async copyModel(source: string, destination: string): Promise<void> {
+    await this.sendManagementRequest('/api/copy', 'POST', { source, destination }, undefined, source);
+    logger.info(`Copied Ollama model ${source} to ${destination}`);
+  }
+
+  /**
+   * Create embeddings with /api/embed
+   *
+   * Inputs longer than the model's context are truncated by the server.
+   */
+  async embed(input: string[], options: EmbeddingOptions = {}): Promise<number[][]> {
+    const request: OllamaEmbedRequest = {
+      model: options.model || this.activeModel,
+      input,
+      truncate: true
+    };
+    
+    const response = await this.sendManagementRequest('/api/embed', 'POST', request, options.signal, request.model);
+    const data = await response.json() as OllamaEmbedResponse;
+    
+    if (!Array.isArray(data?.embeddings) || data.embeddings.length !== input.length) {
+      throw new Error(`Unexpected embedding response from Ollama for ${request.model}`);
+    }
+    
+    return data.embeddings;
+  }
+
+  /**
+   * Get the version of the Ollama server
+   */
+  async getVersion(): Promise<string> {
+    const response = await this.sendManagementRequest('/api/version', 'GET');
+    const data = await response.json() as { version?: string };
+    
+    return data?.version || 'unknown';
+  }
+
+  /**
+   * List the models currently loaded in memory
+   */
+  async listRunningModels(): Promise<OllamaPsResponse> {
+    if (this.pool.urls.length === 1) {
+      const response = await this.sendManagementRequest('/api/ps', 'GET');
+      const data = await response.json() as OllamaPsResponse;
+      
+      return { models: Array.isArray(data?.models) ? data.models : [] };
+    }
+    
+    // With several servers, the models loaded on every reachable one
+    const healthy = (await this.pool.getStatuses()).filter(status => status.healthy);
+    const results = await Promise.allSettled(healthy.map(async status => {
+      const response = await fetch(`${status.url}/api/ps`);
+      
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      
+      const data = await response.json() as OllamaPsResponse;
+      return Array.isArray(data?.models) ? data.models : [];
+    }));
+    
+    return {
+      models: results.flatMap((result, index) => {
+        if (result.status === 'fulfilled') {
+          return result.value;
+        }
+        
+        logger.warn(`Could not list the running models of Ollama server ${healthy[index].url}: ${result.reason instanceof Error ? result.reason.message : String(result.reason)}`);
+        return [];
+      })
+    };
+  }
+
+  /**
+   * Unload a model from memory by expiring its keep-alive
+   */
+  async unloadModel(modelName: string): Promise<void> {
+    await this.sendManagementRequest('/api/generate', 'POST', { model: modelName, keep_alive: 0 }, undefined, modelName);
+    logger.info(`Unloaded Ollama model ${modelName}`);
+  }
+
+  /**
+   * Get the /api/show details of a model, cached for the life of the client
+   */
+  private async getModelDetails(modelName: string): Promise<OllamaShowResponse | null> {
+    const cached = this.modelDetails.get(modelName);
+    if (cached) {
+      return cached;
+    }
+    
+    try {
+      const info = await this.showModel(modelName);
+      this.modelDetails.set(modelName, info);
+      return info;
+    } catch (error) {
+      logger.debug(`Could not get the details of ${modelName}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the context length a model was trained with, from /api/show
+   */
+  async getContextLength(modelName: string = this.activeModel): Promise<number | undefined> {
+    const info = await this.getModelDetails(modelName);
+    const architecture = info?.model_info?.['general.architecture'];
+    const contextLength = info?.model_info?.[`${architecture}.context_length`];
+    
+    return typeof contextLength === 'number' ? contextLength : undefined;
+  }
+
+  /**
+   * Resolve the native `think` flag for a request
+   *
+   * The flag is only sent to models that report the thinking capability,
+   * since others reject it. Older servers report no capabilities, and their
+   * reasoning models still write <think> tags into the response.
+   */
+  private async resolveThink(model: string, options: CompletionOptions): Promise<boolean | undefined> {
+    const info = await this.getModelDetails(model);
+    
+    if (!info?.capabilities?.includes('thinking')) {
+      return undefined;
+    }
+    
+    return options.think ?? true;
+  }
+
+  /**
+   * Reject images for models that /api/show reports without the vision
+   * capability, which would otherwise ignore them and answer regardless.
+   * Older servers report no capabilities, so their models are given the
+   * benefit of the doubt.
+   */
+  private async checkVision(model: string, messages: Message[]): Promise<void> {
+    if (!messages.some(message => message.images && message.images.length > 0)) {
+      return;
+    }
+    
+    const info = await this.getModelDetails(model);
+    
+    if (info?.capabilities && !info.capabilities.includes('vision')) {
+      throw createUserError(`Model ${model} cannot read images`, {
+        category: ErrorCategory.AI_SERVICE,
+        resolution: 'Use a vision model such as llama3.2-vision or llava, e.g. tcode ollama:use llama3.2-vision'
+      });
+    }
+  }
+
   /**
    * Set the active model
    */
@@ -136,6 +469,21 @@ export class OllamaClient implements AIClientInterface {
     return this.activeModel;
   }
 
+  /**
+   * Collect all system messages (and the system option) into one system prompt
+   */
+  private extractSystemPrompt(messages: Message[], options: CompletionOptions): string | undefined {
+    const systemParts = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content);
+    
+    if (options.system) {
+      systemParts.unshift(options.system);
+    }
+    
+    return systemParts.length > 0 ? systemParts.join('\n\n') : undefined;
+  }
+
   /**
    * Convert messages to Ollama prompt format
    */
@@ -143,172 +491,415 @@ export class OllamaClient implements AIClientInterface {
     return messages
       .filter(message => message.role !== 'system')
       .map(message => {
-        const role = message.role === 'assistant' ? 'Assistant' : 'User';
+        const role = message.role === 'assistant' ? 'Assistant' : message.role === 'tool' ? 'Tool' : 'User';
         return `${role}: ${message.content}`;
       })
       .join('\n\n') + '\n\nAssistant:';
   }
 
   /**
-   * Generate a completion
+   * Convert messages to Ollama chat messages, keeping their roles
    */
-  async generateCompletion(request: CompletionRequest): Promise<CompletionResponse> {
-    const { messages, options = {} } = request;
+  private convertMessagesToChat(messages: Message[], options: CompletionOptions): OllamaChatMessage[] {
+    const chatMessages: OllamaChatMessage[] = messages.map(message => {
+      const chatMessage: OllamaChatMessage = {
+        role: message.role,
+        content: message.content
+      };
+      
+      if (message.toolCalls) {
+        chatMessage.tool_calls = message.toolCalls.map(call => ({
+          function: { name: call.name, arguments: call.arguments }
+        }));
+      }
+      
+      if (message.toolName) {
+        chatMessage.tool_name = message.toolName;
+      }
+      
+      if (message.images && message.images.length > 0) {
+        chatMessage.images = message.images.map(image => image.data);
+      }
+      
+      return chatMessage;
+    });
     
-    // Extract system message if present
-    const systemMessage = messages.find(msg => msg.role === 'system')?.content;
+    if (options.system) {
+      chatMessages.unshift({ role: 'system', content: options.system });
+    }
     
-    // Prepare the request payload
-    const ollamaRequest: OllamaCompletionRequest = {
-      model: options.model || this.activeModel,
-      prompt: this.convertMessagesToPrompt(messages),
-      system: systemMessage,
-      stream: false,
-      options: {
-        temperature: options.temperature,
-        top_p: options.topP,
-        top_k: options.topK,
-        num_predict: options.maxTokens,
-        stop: options.stopSequences
-      }
+    return chatMessages;
+  }
+
+  /**
+   * Map completion options to Ollama model options
+   */
+  private buildModelOptions(options: CompletionOptions): OllamaCompletionRequest['options'] {
+    return {
+      temperature: options.temperature,
+      top_p: options.topP,
+      top_k: options.topK,
+      num_predict: options.maxTokens,
+      stop: options.stopSequences,
+      num_ctx: options.contextLength
     };
+  }
+
+  /**
+   * Convert tool definitions to Ollama's function tool format
+   */
+  private convertTools(tools: CompletionOptions['tools']): OllamaTool[] | undefined {
+    if (!tools || tools.length === 0) {
+      return undefined;
+    }
     
-    // Send request to Ollama
-    const url = `${this._config.baseUrl}/api/generate`;
-    const startTime = Date.now();
+    return tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+  }
+
+  /**
+   * Whether the `tools` option is sent natively for the given model
+   *
+   * Returns false once the model has rejected tools, so callers can switch
+   * to describing tools in the prompt instead.
+   */
+  supportsNativeTools(model: string = this.activeModel): boolean {
+    return this.shouldUseChat(model) && !this.toolsUnsupportedModels.has(model);
+  }
+
+  /**
+   * Whether a request for the given model should go to /api/chat
+   */
+  private shouldUseChat(model: string): boolean {
+    return this._config.useChat !== false &&
+      !this.pool.urls.every(url => this.chatUnsupportedEndpoints.has(url)) &&
+      !this.chatUnsupportedModels.has(model);
+  }
+
+  /**
+   * Send a request to /api/chat
+   * 
+   * Returns null when the server or model has no chat support, so the
+   * caller can fall back to /api/generate.
+   */
+  private async sendChatRequest(chatRequest: OllamaChatRequest, signal?: AbortSignal): Promise<Response | null> {
+    // Older servers among several keep answering through /api/generate
+    const [preferred] = await this.pool.candidates(chatRequest.model);
+    if (this.chatUnsupportedEndpoints.has(preferred)) {
+      return null;
+    }
     
-    const response = await fetch(url, {
+    const response = await this.fetchWithFailover('/api/chat', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify(ollamaRequest)
-    });
+      body: JSON.stringify(chatRequest),
+      signal
+    }, chatRequest.model);
     
-    if (!response.ok) {
-      throw new Error(`Ollama API error: ${response.statusText}`);
+    if (response.ok) {
+      return response;
     }
     
-    const ollamaResponse = await response.json() as OllamaCompletionResponse;
-    const duration = Date.now() - startTime;
+    const errorText = await response.text();
     
-    logger.debug('Ollama completion generated', { 
-      model: ollamaResponse.model,
-      duration: `${duration}ms`
-    });
+    // Servers predating /api/chat answer with a plain 404 page; a missing
+    // model also gives 404, but mentions the model in the error body
+    if (response.status === 404 && !/model/i.test(errorText)) {
+      const endpoint = response.url.replace(/\/api\/chat$/, '');
+      logger.warn(`Ollama server ${endpoint} does not support /api/chat, falling back to /api/generate`);
+      this.chatUnsupportedEndpoints.add(endpoint);
+      return null;
+    }
     
-    // Estimate token usage (Ollama doesn't provide token counts)
-    const inputChars = ollamaRequest.prompt.length;
-    const outputChars = ollamaResponse.response.length;
-    // Rough approximation: average token is ~4 characters
-    const inputTokens = Math.ceil(inputChars / 4);
-    const outputTokens = Math.ceil(outputChars / 4);
+    // Models without a chat template are rejected by /api/chat
+    if (response.status === 400 && /template|does not support chat/i.test(errorText)) {
+      logger.warn(`Model ${chatRequest.model} does not support chat, falling back to /api/generate`);
+      this.chatUnsupportedModels.add(chatRequest.model);
+      return null;
+    }
     
-    const usage: AIUsage = {
-      inputTokens,
-      outputTokens,
-      totalTokens: inputTokens + outputTokens
-    };
+    // Remember models without tool support so supportsNativeTools() reports it
+    if (response.status === 400 && chatRequest.tools && /does not support tools/i.test(errorText)) {
+      logger.warn(`Model ${chatRequest.model} does not support native tool calling`);
+      this.toolsUnsupportedModels.add(chatRequest.model);
+    }
     
-    // Convert to standard response format
-    return {
-      text: ollamaResponse.response.trim(),
-      model: ollamaResponse.model,
-      stopReason: ollamaResponse.done ? 'stop' : 'unknown',
-      usage
-    };
+    throw new Error(`Ollama API error: ${response.statusText} - ${errorText}`);
   }
 
   /**
-   * Generate a streaming completion
+   * Send a request to /api/generate
    */
-  async generateCompletionStream(request: CompletionRequest, callback: StreamCallback): Promise<void> {
-    const { messages, options = {} } = request;
-    
-    // Extract system message if present
-    const systemMessage = messages.find(msg => msg.role === 'system')?.content;
-    
-    // Prepare the request payload
-    const ollamaRequest: OllamaCompletionRequest = {
-      model: options.model || this.activeModel,
-      prompt: this.convertMessagesToPrompt(messages),
-      system: systemMessage,
-      stream: true,
-      options: {
-        temperature: options.temperature,
-        top_p: options.topP,
-        top_k: options.topK,
-        num_predict: options.maxTokens,
-        stop: options.stopSequences
-      }
-    };
-    
-    // Send request to Ollama
-    const url = `${this._config.baseUrl}/api/generate`;
-    
-    const response = await fetch(url, {
+  private async sendGenerateRequest(generateRequest: OllamaCompletionRequest, signal?: AbortSignal): Promise<Response> {
+    const response = await this.fetchWithFailover('/api/generate', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify(ollamaRequest)
-    });
+      body: JSON.stringify(generateRequest),
+      signal
+    }, generateRequest.model);
     
     if (!response.ok) {
-      throw new Error(`Ollama API error: ${response.statusText}`);
+      const errorText = await response.text();
+      throw new Error(`Ollama API error: ${response.statusText} - ${errorText}`);
     }
     
-    // Process the stream
-    const reader = response.body ? (response.body as any).getReader() : null;
-    if (!reader) {
-      throw new Error('Failed to get stream reader');
+    return response;
+  }
+
+  /**
+   * Build the /api/generate fallback request for a conversation
+   */
+  private async buildGenerateRequest(messages: Message[], options: CompletionOptions, stream: boolean): Promise<OllamaCompletionRequest> {
+    const model = options.model || this.activeModel;
+    
+    // The prompt is a single turn, so every image goes with it
+    const images = messages.flatMap(message => message.images || []).map(image => image.data);
+    
+    return {
+      model,
+      prompt: this.convertMessagesToPrompt(messages),
+      system: this.extractSystemPrompt(messages, options),
+      stream,
+      think: await this.resolveThink(model, options),
+      format: options.responseSchema,
+      images: images.length > 0 ? images : undefined,
+      options: this.buildModelOptions(options)
+    };
+  }
+
+  /**
+   * Read a newline-delimited JSON stream, calling onChunk for each object
+   * 
+   * Stops early when onChunk returns true.
+   */
+  private async readJsonStream<T>(response: Response, onChunk: (chunk: T) => boolean | void): Promise<void> {
+    if (!response.body) {
+      throw new Error('Failed to get response stream');
     }
     
     const decoder = new TextDecoder();
     let buffer = '';
     
-    try {
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        
-        buffer += decoder.decode(value, { stream: true });
-        
-        // Process complete JSON objects
-        let startPos = 0;
-        let endPos = buffer.indexOf('\n', startPos);
-        
-        while (endPos !== -1) {
-          const jsonStr = buffer.substring(startPos, endPos).trim();
-          if (jsonStr) {
-            try {
-              const chunk = JSON.parse(jsonStr) as OllamaCompletionResponse;
-              
-              // Call the callback with the chunk
-              callback({
-                text: chunk.response,
-                done: chunk.done
-              });
-              
-              if (chunk.done) {
-                // End of stream
-                return;
-              }
-            } catch (error) {
-              logger.error('Failed to parse JSON from stream', error);
-            }
+    for await (const value of response.body) {
+      buffer += decoder.decode(value as Uint8Array, { stream: true });
+      
+      // Process complete JSON objects
+      let startPos = 0;
+      let endPos = buffer.indexOf('\n', startPos);
+      
+      while (endPos !== -1) {
+        const jsonStr = buffer.substring(startPos, endPos).trim();
+        if (jsonStr) {
+          let chunk: T | null = null;
+          
+          try {
+            chunk = JSON.parse(jsonStr) as T;
+          } catch (error) {
+            logger.error('Failed to parse JSON from stream', error);
           }
           
-          startPos = endPos + 1;
-          endPos = buffer.indexOf('\n', startPos);
+          if (chunk && onChunk(chunk)) {
+            // End of stream
+            return;
+          }
         }
         
-        // Keep the remainder for the next iteration
-        buffer = buffer.substring(startPos);
+        startPos = endPos + 1;
+        endPos = buffer.indexOf('\n', startPos);
+      }
+      
+      // Keep the remainder for the next iteration
+      buffer = buffer.substring(startPos);
+    }
+  }
+
+  /**
+   * Convert the metrics from a final response to the standard usage format
+   *
+   * Ollama omits the counts in some cases (e.g. a fully cached prompt or an
+   * older server), so missing counts fall back to a chars/4 estimate.
+   */
+  private buildUsage(metrics: OllamaResponseMetrics, inputChars: number, outputChars: number): AIUsage {
+    const toMilliseconds = (nanoseconds?: number) =>
+      nanoseconds !== undefined ? nanoseconds / NANOSECONDS_PER_MILLISECOND : undefined;
+    
+    const inputTokens = metrics.prompt_eval_count ?? Math.ceil(inputChars / 4);
+    const outputTokens = metrics.eval_count ?? Math.ceil(outputChars / 4);
+    
+    const usage: AIUsage = {
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens,
+      estimated: metrics.prompt_eval_count === undefined || metrics.eval_count === undefined,
+      loadDuration: toMilliseconds(metrics.load_duration),
+      promptEvalDuration: toMilliseconds(metrics.prompt_eval_duration),
+      evalDuration: toMilliseconds(metrics.eval_duration),
+      totalDuration: toMilliseconds(metrics.total_duration)
+    };
+    
+    if (metrics.eval_count !== undefined && metrics.eval_duration) {
+      usage.tokensPerSecond = metrics.eval_count / (metrics.eval_duration / 1e9);
+    }
+    
+    return usage;
+  }
+
+  /**
+   * Generate a completion
+   */
+  async generateCompletion(request: CompletionRequest): Promise<CompletionResponse> {
+    const { messages, options = {}, signal } = request;
+    const model = options.model || this.activeModel;
+    const startTime = Date.now();
+    
+    let text = '';
+    let thinking = '';
+    let toolCalls: ToolCall[] | undefined;
+    let finalResponse: OllamaChatResponse | OllamaCompletionResponse | null = null;
+    let inputChars = 0;
+    
+    await this.checkVision(model, messages);
+    
+    if (this.shouldUseChat(model)) {
+      const chatRequest: OllamaChatRequest = {
+        model,
+        messages: this.convertMessagesToChat(messages, options),
+        stream: false,
+        tools: this.supportsNativeTools(model) ? this.convertTools(options.tools) : undefined,
+        think: await this.resolveThink(model, options),
+        format: options.responseSchema,
+        options: this.buildModelOptions(options)
+      };
+      
+      const response = await this.sendChatRequest(chatRequest, signal);
+      
+      if (response) {
+        const chatResponse = await response.json() as OllamaChatResponse;
+        text = chatResponse.message?.content || '';
+        thinking = chatResponse.message?.thinking || '';
+        toolCalls = chatResponse.message?.tool_calls?.map(call => ({
+          name: call.function.name,
+          arguments: call.function.arguments || {}
+        }));
+        finalResponse = chatResponse;
+        inputChars = chatRequest.messages.reduce((total, message) => total + message.content.length, 0);
+      }
+    }
+    
+    if (!finalResponse) {
+      const generateRequest = await this.buildGenerateRequest(messages, options, false);
+      const response = await this.sendGenerateRequest(generateRequest, signal);
+      const ollamaResponse = await response.json() as OllamaCompletionResponse;
+      
+      text = ollamaResponse.response;
+      thinking = ollamaResponse.thinking || '';
+      finalResponse = ollamaResponse;
+      inputChars = generateRequest.prompt.length + (generateRequest.system?.length || 0);
+    }
+    
+    const duration = Date.now() - startTime;
+    const usage = this.buildUsage(finalResponse, inputChars, text.length + thinking.length);
+    
+    // Models without native thinking support write their reasoning inline
+    const parts = splitReasoning(text);
+    const reasoning = [thinking.trim(), parts.reasoning].filter(Boolean).join('\n\n');
+    
+    logger.debug('Ollama completion generated', { 
+      model: finalResponse.model,
+      duration: `${duration}ms`,
+      tokensPerSecond: usage.tokensPerSecond
+    });
+    
+    // Convert to standard response format
+    return {
+      text: parts.text,
+      model: finalResponse.model,
+      stopReason: finalResponse.done_reason || (finalResponse.done ? 'stop' : 'unknown'),
+      usage,
+      reasoning: reasoning || undefined,
+      toolCalls: toolCalls && toolCalls.length > 0 ? toolCalls : undefined
+    };
+  }
+
+  /**
+   * Generate a streaming completion
+   */
+  async generateCompletionStream(request: CompletionRequest, callback: StreamCallback): Promise<void> {
+    const { messages, options = {}, signal } = request;
+    const model = options.model || this.activeModel;
+    
+    let outputChars = 0;
+    const parser = new ReasoningStreamParser();
+    
+    await this.checkVision(model, messages);
+    
+    // Forward a chunk with its reasoning split out, attaching usage to the final one
+    const emit = (content: string, thinking: string | undefined, chunk: OllamaChatResponse | OllamaCompletionResponse, inputChars: number) => {
+      outputChars += content.length + (thinking?.length || 0);
+      
+      const parts = parser.push(content);
+      if (chunk.done) {
+        const rest = parser.end();
+        parts.text += rest.text;
+        parts.reasoning += rest.reasoning;
+      }
+      
+      const reasoning = (thinking || '') + parts.reasoning;
+      
+      if (!chunk.done) {
+        if (parts.text || reasoning) {
+          callback({ text: parts.text, reasoning: reasoning || undefined, done: false });
+        }
+        return false;
+      }
+      
+      callback({
+        text: parts.text,
+        reasoning: reasoning || undefined,
+        done: true,
+        stopReason: chunk.done_reason || 'stop',
+        usage: this.buildUsage(chunk, inputChars, outputChars)
+      });
+      return true;
+    };
+    
+    if (this.shouldUseChat(model)) {
+      const chatMessages = this.convertMessagesToChat(messages, options);
+      const response = await this.sendChatRequest({
+        model,
+        messages: chatMessages,
+        stream: true,
+        think: await this.resolveThink(model, options),
+        format: options.responseSchema,
+        options: this.buildModelOptions(options)
+      }, signal);
+      
+      if (response) {
+        const inputChars = chatMessages.reduce((total, message) => total + message.content.length, 0);
+        await this.readJsonStream<OllamaChatResponse>(response, chunk =>
+          emit(chunk.message?.content || '', chunk.message?.thinking, chunk, inputChars)
+        );
+        return;
       }
-    } finally {
-      reader.releaseLock();
     }
+    
+    const generateRequest = await this.buildGenerateRequest(messages, options, true);
+    const response = await this.sendGenerateRequest(generateRequest, signal);
+    const inputChars = generateRequest.prompt.length + (generateRequest.system?.length || 0);
+    
+    await this.readJsonStream<OllamaCompletionResponse>(response, chunk =>
+      emit(chunk.response, chunk.thinking, chunk, inputChars)
+    );
   }
 
   /**
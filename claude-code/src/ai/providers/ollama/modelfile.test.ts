@@ -0,0 +1,70 @@
+/**
+ * Tests for the Modelfile parser
+ */
+
+import { describe, expect, it } from 'vitest';
+import { parseModelfile } from './modelfile.js';
+
+describe('parseModelfile', () => {
+  it('converts instructions into create request fields', () => {
+    const modelfile = [
+      '# A reviewer model',
+      'FROM llama3.2:3b',
+      '',
+      'PARAMETER temperature 0.2',
+      'PARAMETER num_ctx 8192',
+      'PARAMETER stop "<|eot_id|>"',
+      'PARAMETER stop <|end|>',
+      'SYSTEM "You review code."',
+      'LICENSE MIT',
+      'MESSAGE user Is this safe?',
+      'MESSAGE assistant "No, it uses eval."'
+    ].join('\r\n');
+
+    expect(parseModelfile(modelfile)).toEqual({
+      from: 'llama3.2:3b',
+      parameters: { temperature: 0.2, num_ctx: 8192, stop: ['<|eot_id|>', '<|end|>'] },
+      system: 'You review code.',
+      license: 'MIT',
+      messages: [
+        { role: 'user', content: 'Is this safe?' },
+        { role: 'assistant', content: 'No, it uses eval.' }
+      ]
+    });
+  });
+
+  it('reads triple-quoted values over several lines', () => {
+    const modelfile = [
+      'from llama3.2',
+      'TEMPLATE """{{ if .System }}{{ .System }}',
+      '{{ end }}{{ .Prompt }}"""',
+      'SYSTEM """One line"""'
+    ].join('\n');
+
+    expect(parseModelfile(modelfile)).toEqual({
+      from: 'llama3.2',
+      template: '{{ if .System }}{{ .System }}\n{{ end }}{{ .Prompt }}',
+      system: 'One line'
+    });
+  });
+
+  it('reads booleans and keeps text parameters as strings', () => {
+    expect(parseModelfile('FROM m\nPARAMETER use_mmap false\nPARAMETER mirostat_tau 5\nPARAMETER name some text').parameters)
+      .toEqual({ use_mmap: false, mirostat_tau: 5, name: 'some text' });
+  });
+
+  it('requires a FROM instruction', () => {
+    expect(() => parseModelfile('SYSTEM "No base"')).toThrow('The Modelfile has no FROM instruction');
+  });
+
+  it('rejects local model files and adapters', () => {
+    expect(() => parseModelfile('FROM ./model.gguf')).toThrow(/local files/);
+    expect(() => parseModelfile('FROM /models/llama')).toThrow(/local files/);
+    expect(() => parseModelfile('FROM m\nADAPTER ./lora.gguf')).toThrow(/ADAPTER/);
+  });
+
+  it('reports unknown instructions and unterminated strings with their line', () => {
+    expect(() => parseModelfile('FROM m\n\nPARAMTER top_k 10')).toThrow('Unknown Modelfile instruction on line 3: PARAMTER');
+    expect(() => parseModelfile('FROM m\nSYSTEM """Never\nclosed')).toThrow('Unterminated """ string starting on line 2');
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Modelfile Parser
+ *
+ * Converts a Modelfile into the fields of an /api/create request.
+ */
+
+import { OllamaCreateRequest } from './types.js';
+
+/**
+ * Parameters that may be given more than once and are sent as a list
+ */
+const LIST_PARAMETERS = new Set(['stop']);
+
+/**
+ * Read the value of an instruction, which may be a quoted or triple-quoted
+ * string spanning several lines
+ *
+ * @returns The value and the index of the line after it
+ */
+function readValue(lines: string[], index: number, rest: string): { value: string; next: number } {
+  if (rest.startsWith('"""')) {
+    const body = rest.slice(3);
+    const end = body.indexOf('"""');
+
+    if (end !== -1) {
+      return { value: body.slice(0, end), next: index + 1 };
+    }
+
+    const parts = [body];
+
+    for (let i = index + 1; i < lines.length; i++) {
+      const close = lines[i].indexOf('"""');
+
+      if (close !== -1) {
+        parts.push(lines[i].slice(0, close));
+        return { value: parts.join('\n'), next: i + 1 };
+      }
+
+      parts.push(lines[i]);
+    }
+
+    throw new Error(`Unterminated """ string starting on line ${index + 1}`);
+  }
+
+  if (rest.length >= 2 && rest.startsWith('"') && rest.endsWith('"')) {
+    return { value: rest.slice(1, -1), next: index + 1 };
+  }
+
+  return { value: rest, next: index + 1 };
+}
+
+/**
+ * Convert a parameter value to a number or boolean where it looks like one
+ */
+function parseParameterValue(value: string): string | number | boolean {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+
+  const number = Number(value);
+  return value.trim() !== '' && !isNaN(number) ? number : value;
+}
+
+/**
+ * Check whether a FROM or ADAPTER value refers to local files
+ */
+function isLocalPath(value: string): boolean {
+  return /^(\.{1,2}[\\/]|[\\/]|~|[a-zA-Z]:[\\/])/.test(value) || /\.(gguf|safetensors|bin)$/i.test(value);
+}
+
+/**
+ * Parse a Modelfile into create request fields
+ */
+export function parseModelfile(content: string): Omit<OllamaCreateRequest, 'model'> {
+  const request: Omit<OllamaCreateRequest, 'model'> = {};
+  const lines = content.replace(/\r\n/g, '\n').split('\n');
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index].trim();
+
+    if (!line || line.startsWith('#')) {
+      index++;
+      continue;
+    }
+
+    const match = line.match(/^(\S+)\s*(.*)$/);
+    const instruction = match ? match[1].toUpperCase() : '';
+    let rest = match ? match[2] : '';
+    let role = '';
+
+    // The role comes before the (possibly multi-line) message text
+    if (instruction === 'MESSAGE') {
+      const roleMatch = rest.match(/^(\S+)\s*(.*)$/);
+      role = roleMatch ? roleMatch[1] : '';
+      rest = roleMatch ? roleMatch[2] : '';
+    }
+
+    const { value, next } = readValue(lines, index, rest);
+
+    switch (instruction) {
+      case 'FROM':
+        if (isLocalPath(value)) {
+          throw new Error(`Creating a model from local files (${value}) is not supported; use the ollama CLI instead`);
+        }
+        request.from = value;
+        break;
+
+      case 'PARAMETER': {
+        const [name, ...valueParts] = value.split(/\s+/);
+        const parameterValue = parseParameterValue(valueParts.join(' ').replace(/^"(.*)"$/, '$1'));
+        request.parameters = request.parameters || {};
+
+        if (LIST_PARAMETERS.has(name)) {
+          request.parameters[name] = [...(request.parameters[name] || []), String(parameterValue)];
+        } else {
+          request.parameters[name] = parameterValue;
+        }
+        break;
+      }
+
+      case 'TEMPLATE':
+        request.template = value;
+        break;
+
+      case 'SYSTEM':
+        request.system = value;
+        break;
+
+      case 'LICENSE':
+        request.license = value;
+        break;
+
+      case 'MESSAGE':
+        request.messages = [...(request.messages || []), { role, content: value }];
+        break;
+
+      case 'ADAPTER':
+        throw new Error('ADAPTER instructions are not supported; use the ollama CLI instead');
+
+      default:
+        throw new Error(`Unknown Modelfile instruction on line ${index + 1}: ${match ? match[1] : line}`);
+    }
+
+    index = next;
+  }
+
+  if (!request.from) {
+    throw new Error('The Modelfile has no FROM instruction');
+  }
+
+  return request;
+}
@@ -0,0 +1,220 @@
+/**
+ * Ollama Endpoint Pool
+ *
+ * Tracks several Ollama servers, e.g. one on the Windows host reached from
+ * WSL and a shared GPU box on the LAN, with their health and installed
+ * models, so requests go to a server that is up and has the model.
+ */
+
+import fetch from 'node-fetch';
+import { OllamaModel } from './types.js';
+import { logger } from '../../../utils/logger.js';
+import { isAbortError } from '../../../utils/cancellation.js';
+
+/**
+ * Health of one endpoint at its last check
+ */
+export interface EndpointStatus {
+  url: string;
+  healthy: boolean;
+  /**
+   * Round trip of the /api/tags request in milliseconds
+   */
+  latencyMs?: number;
+  models: OllamaModel[];
+  error?: string;
+  checkedAt: number;
+}
+
+/**
+ * How long a health check may take before the endpoint counts as down
+ */
+const HEALTH_TIMEOUT_MS = 3000;
+
+/**
+ * How long health checks are trusted before endpoints are checked again
+ */
+const HEALTH_TTL_MS = 30000;
+
+/**
+ * Error codes of requests that never reached a server
+ */
+const CONNECTION_ERROR_CODES = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ETIMEDOUT',
+  'EPIPE'
+]);
+
+/**
+ * Split a base URL setting into endpoints
+ *
+ * Accepts a list or a comma-separated string such as the OLLAMA_BASE_URL
+ * environment variable.
+ */
+export function parseBaseUrls(value: string | string[]): string[] {
+  const urls = (Array.isArray(value) ? value : value.split(','))
+    .map(url => url.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+  return [...new Set(urls)];
+}
+
+/**
+ * Check whether an error means the server could not be reached, so the
+ * request may be sent to another endpoint
+ */
+export function isConnectionError(error: unknown): boolean {
+  if (isAbortError(error) || !(error instanceof Error)) {
+    return false;
+  }
+
+  const code = (error as NodeJS.ErrnoException).code;
+  return CONNECTION_ERROR_CODES.has(code || '') ||
+    (error.name === 'FetchError' && (error as { type?: string }).type === 'system');
+}
+
+/**
+ * Whether a model list contains the model, with or without the default tag
+ */
+function hasModel(models: OllamaModel[], model: string): boolean {
+  return models.some(entry => entry.name === model || entry.name === `${model}:latest`);
+}
+
+/**
+ * Set of Ollama endpoints with their last known health
+ */
+export class OllamaEndpointPool {
+  readonly urls: string[];
+  private statuses: Map<string, EndpointStatus> = new Map();
+  private refreshing: Promise<EndpointStatus[]> | null = null;
+
+  /**
+   * Create a pool from a base URL setting
+   */
+  constructor(baseUrl: string | string[]) {
+    this.urls = parseBaseUrls(baseUrl);
+
+    if (this.urls.length === 0) {
+      throw new Error('No Ollama server URL configured');
+    }
+  }
+
+  /**
+   * First configured endpoint
+   */
+  get primary(): string {
+    return this.urls[0];
+  }
+
+  /**
+   * Check one endpoint by listing its models
+   */
+  private async check(url: string): Promise<EndpointStatus> {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), HEALTH_TIMEOUT_MS);
+    const startTime = Date.now();
+
+    try {
+      const response = await fetch(`${url}/api/tags`, { signal: controller.signal });
+
+      if (!response.ok) {
+        return { url, healthy: false, models: [], error: `HTTP ${response.status} ${response.statusText}`, checkedAt: Date.now() };
+      }
+
+      const data = await response.json() as { models?: OllamaModel[] };
+
+      if (!data || !Array.isArray(data.models)) {
+        logger.warn('Unexpected response format from Ollama API', { url, data });
+      }
+
+      return {
+        url,
+        healthy: true,
+        latencyMs: Date.now() - startTime,
+        models: Array.isArray(data?.models) ? data.models : [],
+        checkedAt: Date.now()
+      };
+    } catch (error) {
+      const message = isAbortError(error)
+        ? `No answer within ${HEALTH_TIMEOUT_MS}ms`
+        : error instanceof Error ? error.message : String(error);
+
+      return { url, healthy: false, models: [], error: message, checkedAt: Date.now() };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Check every endpoint now
+   */
+  refresh(): Promise<EndpointStatus[]> {
+    this.refreshing ??= Promise.all(this.urls.map(url => this.check(url)))
+      .then(statuses => {
+        for (const status of statuses) {
+          this.statuses.set(status.url, status);
+
+          if (!status.healthy) {
+            logger.debug(`Ollama server ${status.url} is unavailable: ${status.error}`);
+          }
+        }
+        return statuses;
+      })
+      .finally(() => {
+        this.refreshing = null;
+      });
+
+    return this.refreshing;
+  }
+
+  /**
+   * Get the status of every endpoint, checking them again once the last
+   * checks have expired
+   */
+  async getStatuses(): Promise<EndpointStatus[]> {
+    const now = Date.now();
+    const stale = this.urls.some(url => {
+      const status = this.statuses.get(url);
+      return !status || now - status.checkedAt > HEALTH_TTL_MS;
+    });
+
+    return stale ? this.refresh() : this.urls.map(url => this.statuses.get(url)!);
+  }
+
+  /**
+   * Order the endpoints to try for a request
+   *
+   * Healthy endpoints that have the model come first, then other healthy
+   * ones, then those that were down at the last check in case they are
+   * back. Within each group the configured order is kept. A single
+   * endpoint is returned without checking it.
+   */
+  async candidates(model?: string): Promise<string[]> {
+    if (this.urls.length === 1) {
+      return this.urls;
+    }
+
+    const statuses = await this.getStatuses();
+    const rank = (status: EndpointStatus) => !status.healthy ? 2 : model && !hasModel(status.models, model) ? 1 : 0;
+
+    return [...statuses].sort((a, b) => rank(a) - rank(b)).map(status => status.url);
+  }
+
+  /**
+   * Record that a request to an endpoint could not connect
+   */
+  markFailed(url: string, error: unknown): void {
+    this.statuses.set(url, {
+      url,
+      healthy: false,
+      models: this.statuses.get(url)?.models || [],
+      error: error instanceof Error ? error.message : String(error),
+      checkedAt: Date.now()
+    });
+  }
+}
@@ -31,6 +31,9 @@ export interface OllamaCompletionRequest {
   template?: string;
   context?: number[];
   stream?: boolean;
+  think?: boolean;
+  format?: string | Record<string, any>;
+  images?: string[];
   options?: {
     temperature?: number;
     top_p?: number;
@@ -38,18 +41,16 @@ export interface OllamaCompletionRequest {
     num_predict?: number;
     stop?: string[];
     seed?: number;
+    num_ctx?: number;
   };
 }
 
 /**
- * Ollama completion response
+ * Token counts and timings reported on the final response of a request
+ *
+ * Durations are in nanoseconds.
  */
-export interface OllamaCompletionResponse {
-  model: string;
-  created_at: string;
-  response: string;
-  done: boolean;
-  context?: number[];
+export interface OllamaResponseMetrics {
   total_duration?: number;
   load_duration?: number;
   prompt_eval_count?: number;
@@ -58,6 +59,73 @@ export interface OllamaCompletionResponse {
   eval_duration?: number;
 }
 
+/**
+ * Ollama completion response
+ */
+export interface OllamaCompletionResponse extends OllamaResponseMetrics {
+  model: string;
+  created_at: string;
+  response: string;
+  thinking?: string;
+  done: boolean;
+  done_reason?: string;
+  context?: number[];
+}
+
+/**
+ * Ollama chat message
+ */
+export interface OllamaChatMessage {
+  role: 'system' | 'user' | 'assistant' | 'tool';
+  content: string;
+  thinking?: string;
+  images?: string[];
+  tool_calls?: Array<{
+    function: {
+      name: string;
+      arguments: Record<string, any>;
+    };
+  }>;
+  tool_name?: string;
+}
+
+/**
+ * Ollama tool definition
+ */
+export interface OllamaTool {
+  type: 'function';
+  function: {
+    name: string;
+    description: string;
+    parameters: Record<string, any>;
+  };
+}
+
+/**
+ * Ollama chat request
+ */
+export interface OllamaChatRequest {
+  model: string;
+  messages: OllamaChatMessage[];
+  stream?: boolean;
+  format?: string | Record<string, any>;
+  keep_alive?: string | number;
+  tools?: OllamaTool[];
+  think?: boolean;
+  options?: OllamaCompletionRequest['options'];
+}
+
+/**
+ * Ollama chat response (also the shape of each streamed chunk)
+ */
+export interface OllamaChatResponse extends OllamaResponseMetrics {
+  model: string;
+  created_at: string;
+  message?: OllamaChatMessage;
+  done: boolean;
+  done_reason?: string;
+}
+
 /**
  * Ollama list models response
  */
@@ -65,12 +133,96 @@ export interface OllamaListModelsResponse {
   models: OllamaModel[];
 }
 
+/**
+ * Ollama show model response
+ */
+export interface OllamaShowResponse {
+  modelfile?: string;
+  parameters?: string;
+  template?: string;
+  details?: OllamaModel['details'];
+  model_info?: Record<string, any>;
+  capabilities?: string[];
+}
+
+/**
+ * Ollama embed request
+ */
+export interface OllamaEmbedRequest {
+  model: string;
+  input: string | string[];
+  truncate?: boolean;
+  keep_alive?: string | number;
+}
+
+/**
+ * Ollama embed response, one embedding per input
+ */
+export interface OllamaEmbedResponse {
+  model: string;
+  embeddings: number[][];
+}
+
+/**
+ * Progress update streamed by /api/pull, /api/create and /api/push
+ */
+export interface OllamaProgressResponse {
+  status: string;
+  digest?: string;
+  total?: number;
+  completed?: number;
+  error?: string;
+}
+
+/**
+ * Ollama create model request
+ */
+export interface OllamaCreateRequest {
+  model: string;
+  from?: string;
+  parameters?: Record<string, any>;
+  system?: string;
+  template?: string;
+  license?: string | string[];
+  messages?: Array<{ role: string; content: string }>;
+  adapters?: Record<string, string>;
+  stream?: boolean;
+}
+
+/**
+ * Model loaded in memory, as listed by /api/ps
+ */
+export interface OllamaRunningModel {
+  name: string;
+  model: string;
+  size: number;
+  size_vram: number;
+  digest: string;
+  expires_at: string;
+  details?: OllamaModel['details'];
+}
+
+/**
+ * Ollama running models response
+ */
+export interface OllamaPsResponse {
+  models: OllamaRunningModel[];
+}
+
 /**
  * Ollama client configuration
  */
 export interface OllamaConfig {
-  baseUrl: string;
+  /**
+   * Server URL, or several as a list or comma-separated string; requests go
+   * to a reachable server that has the model, in the order given
+   */
+  baseUrl: string | string[];
   timeout?: number;
+  /**
+   * Use the /api/chat endpoint (falls back to /api/generate when unsupported)
+   */
+  useChat?: boolean;
 }
 
 /**
@@ -79,5 +231,6 @@ export interface OllamaConfig {
 export const DEFAULT_OLLAMA_CONFIG: OllamaConfig = {
   // Use environment variable or localhost by default
   baseUrl: process.env.OLLAMA_BASE_URL || 'http://127.0.0.1:11434',
-  timeout: parseInt(process.env.OLLAMA_TIMEOUT || '60000', 10)
+  timeout: parseInt(process.env.OLLAMA_TIMEOUT || '60000', 10),
+  useChat: process.env.OLLAMA_USE_CHAT !== 'false'
 }; 
\ No newline at end of file
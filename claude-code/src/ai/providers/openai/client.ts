@@ -0,0 +1,416 @@
+/**
+ * OpenAI-Compatible Client
+ *
+ * Implementation of the AI client for servers that expose the OpenAI
+ * /v1/chat/completions protocol (llama.cpp server, vLLM, LM Studio).
+ */
+
+import fetch, { Response } from 'node-fetch';
+import { logger } from '../../../utils/logger.js';
+import { createAbortError } from '../../../utils/cancellation.js';
+import {
+  AIClientInterface,
+  AIModel,
+  CompletionRequest,
+  CompletionResponse,
+  CompletionOptions,
+  StreamCallback,
+  Message,
+  AIUsage
+} from '../../types.js';
+import {
+  OpenAICompatibleConfig,
+  DEFAULT_OPENAI_COMPATIBLE_CONFIG,
+  OpenAIRequestMessage,
+  OpenAIChatRequest,
+  OpenAIChatResponse,
+  OpenAIChatChunk,
+  OpenAIListModelsResponse,
+  OpenAIUsage
+} from './types.js';
+import { splitReasoning, ReasoningStreamParser } from '../../reasoning.js';
+
+/**
+ * Client for interacting with OpenAI-compatible servers
+ */
+export class OpenAICompatibleClient implements AIClientInterface {
+  private _config: OpenAICompatibleConfig;
+  private activeModel: string;
+  private contextLengths: Map<string, number | undefined> | null = null;
+
+  /**
+   * Create a new OpenAI-compatible client
+   */
+  constructor(config: Partial<OpenAICompatibleConfig> = {}) {
+    this._config = { ...DEFAULT_OPENAI_COMPATIBLE_CONFIG, ...config };
+    this.activeModel = this._config.model || '';
+    logger.debug('OpenAICompatibleClient initialized', { baseUrl: this._config.baseUrl, model: this.activeModel });
+  }
+
+  /**
+   * Get the current configuration
+   */
+  get config(): OpenAICompatibleConfig {
+    return this._config;
+  }
+
+  /**
+   * Update the client configuration
+   */
+  updateConfig(config: Partial<OpenAICompatibleConfig>): void {
+    this._config = { ...this._config, ...config };
+    logger.debug('OpenAICompatibleClient configuration updated', { baseUrl: this._config.baseUrl });
+  }
+
+  /**
+   * Build an API URL, accepting base URLs with or without a trailing /v1
+   */
+  private getUrl(path: string): string {
+    const baseUrl = this._config.baseUrl.replace(/\/+$/, '').replace(/\/v1$/, '');
+    return `${baseUrl}/v1${path}`;
+  }
+
+  /**
+   * Format API request headers
+   */
+  private getHeaders(): Record<string, string> {
+    const headers: Record<string, string> = {
+      'Content-Type': 'application/json'
+    };
+
+    if (this._config.apiKey) {
+      headers['Authorization'] = `Bearer ${this._config.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Send a request and throw on error responses
+   */
+  private async sendRequest(
+    path: string,
+    init: { method: string; body?: string },
+    timeout?: number,
+    signal?: AbortSignal
+  ): Promise<Response> {
+    const controller = new AbortController();
+    const timeoutId = timeout ? setTimeout(() => controller.abort(), timeout) : null;
+
+    // Cancelling the caller's signal also aborts a response body still being read
+    if (signal?.aborted) {
+      controller.abort();
+    } else {
+      signal?.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+
+    try {
+      const response = await fetch(this.getUrl(path), {
+        ...init,
+        headers: this.getHeaders(),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`OpenAI-compatible API error: ${response.status} ${response.statusText} - ${errorText}`);
+      }
+
+      return response;
+    } catch (error) {
+      if (signal?.aborted) {
+        throw createAbortError();
+      }
+
+      if (error instanceof Error && error.name === 'AbortError') {
+        throw new Error(`OpenAI-compatible API request timed out after ${timeout}ms`);
+      }
+
+      throw error;
+    } finally {
+      if (timeoutId) {
+        clearTimeout(timeoutId);
+      }
+    }
+  }
+
+  /**
+   * Test connection to the server
+   */
+  async testConnection(): Promise<boolean> {
+    try {
+      await this.sendRequest('/models', { method: 'GET' }, this._config.timeout);
+      return true;
+    } catch (error) {
+      logger.error('Failed to connect to OpenAI-compatible server', error);
+      return false;
+    }
+  }
+
+  /**
+   * List models served by the server
+   */
+  async listAvailableModels(): Promise<AIModel[]> {
+    const response = await this.sendRequest('/models', { method: 'GET' }, this._config.timeout);
+    const data = await response.json() as OpenAIListModelsResponse;
+
+    if (!data || !Array.isArray(data.data)) {
+      logger.warn('Unexpected response format from /v1/models', { data });
+      return [];
+    }
+
+    return data.data.map(model => ({
+      id: model.id,
+      name: model.id,
+      supportsStreaming: true
+    }));
+  }
+
+  /**
+   * Set the active model
+   */
+  setActiveModel(modelName: string): void {
+    this.activeModel = modelName;
+    logger.debug(`Active model set to ${modelName}`);
+  }
+
+  /**
+   * Get the currently active model
+   */
+  getActiveModel(): string {
+    return this.activeModel;
+  }
+
+  /**
+   * Get the context length of a model from what /v1/models reports about
+   * it, which not every server does
+   */
+  async getContextLength(model: string = this.activeModel): Promise<number | undefined> {
+    if (!this.contextLengths) {
+      try {
+        const response = await this.sendRequest('/models', { method: 'GET' }, this._config.timeout);
+        const data = await response.json() as OpenAIListModelsResponse;
+
+        this.contextLengths = new Map((Array.isArray(data?.data) ? data.data : []).map(entry => [
+          entry.id,
+          entry.max_model_len ?? entry.context_length ?? entry.meta?.n_ctx_train
+        ]));
+      } catch (error) {
+        logger.debug('Failed to get context lengths from /v1/models', error);
+        return undefined;
+      }
+    }
+
+    // Single-model servers list one model whatever it is called
+    return this.contextLengths.get(model) ??
+      (this.contextLengths.size === 1 ? [...this.contextLengths.values()][0] : undefined);
+  }
+
+  /**
+   * Resolve the model for a request
+   *
+   * Single-model servers such as llama.cpp accept any name, so when no
+   * model is configured the first one listed by the server is used.
+   */
+  private async resolveModel(options: CompletionOptions): Promise<string> {
+    if (options.model) {
+      return options.model;
+    }
+
+    if (!this.activeModel) {
+      const models = await this.listAvailableModels();
+      this.activeModel = models[0]?.id || 'default';
+      logger.debug(`No model configured, using ${this.activeModel}`);
+    }
+
+    return this.activeModel;
+  }
+
+  /**
+   * Build a chat completion request
+   */
+  private async buildChatRequest(messages: Message[], options: CompletionOptions, stream: boolean): Promise<OpenAIChatRequest> {
+    // Tool results are not sent natively, so they travel as user turns
+    const chatMessages: OpenAIRequestMessage[] = messages.map(message => ({
+      role: message.role === 'tool' ? 'user' : message.role,
+      content: message.images && message.images.length > 0
+        ? [
+          { type: 'text', text: message.content },
+          ...message.images.map(image => ({
+            type: 'image_url' as const,
+            image_url: { url: `data:${image.mediaType};base64,${image.data}` }
+          }))
+        ]
+        : message.content
+    }));
+
+    if (options.system) {
+      chatMessages.unshift({ role: 'system', content: options.system });
+    }
+
+    const chatRequest: OpenAIChatRequest = {
+      model: await this.resolveModel(options),
+      messages: chatMessages,
+      stream
+    };
+
+    if (stream) chatRequest.stream_options = { include_usage: true };
+    if (options.temperature !== undefined) chatRequest.temperature = options.temperature;
+    if (options.topP !== undefined) chatRequest.top_p = options.topP;
+    if (options.topK !== undefined) chatRequest.top_k = options.topK;
+    if (options.maxTokens !== undefined) chatRequest.max_tokens = options.maxTokens;
+    if (options.stopSequences) chatRequest.stop = options.stopSequences;
+    if (options.responseSchema) {
+      chatRequest.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'response', schema: options.responseSchema }
+      };
+    }
+
+    return chatRequest;
+  }
+
+  /**
+   * Convert server-reported usage to the standard format
+   */
+  private convertUsage(usage: OpenAIUsage): AIUsage {
+    return {
+      inputTokens: usage.prompt_tokens,
+      outputTokens: usage.completion_tokens,
+      totalTokens: usage.total_tokens ?? usage.prompt_tokens + usage.completion_tokens
+    };
+  }
+
+  /**
+   * Generate a completion
+   */
+  async generateCompletion(request: CompletionRequest): Promise<CompletionResponse> {
+    const { messages, options = {}, signal } = request;
+    const chatRequest = await this.buildChatRequest(messages, options, false);
+    const startTime = Date.now();
+
+    const response = await this.sendRequest('/chat/completions', {
+      method: 'POST',
+      body: JSON.stringify(chatRequest)
+    }, this._config.timeout, signal);
+
+    const chatResponse = await response.json() as OpenAIChatResponse;
+    const choice = chatResponse.choices?.[0];
+
+    logger.debug('OpenAI-compatible completion generated', {
+      model: chatResponse.model,
+      duration: `${Date.now() - startTime}ms`
+    });
+
+    const parts = splitReasoning(choice?.message?.content || '');
+    const reasoning = [choice?.message?.reasoning_content?.trim(), parts.reasoning].filter(Boolean).join('\n\n');
+
+    return {
+      text: parts.text,
+      model: chatResponse.model || chatRequest.model,
+      stopReason: choice?.finish_reason || 'unknown',
+      usage: chatResponse.usage ? this.convertUsage(chatResponse.usage) : undefined,
+      reasoning: reasoning || undefined
+    };
+  }
+
+  /**
+   * Generate a streaming completion
+   */
+  async generateCompletionStream(request: CompletionRequest, callback: StreamCallback): Promise<void> {
+    const { messages, options = {}, signal } = request;
+    const chatRequest = await this.buildChatRequest(messages, options, true);
+
+    const response = await this.sendRequest('/chat/completions', {
+      method: 'POST',
+      body: JSON.stringify(chatRequest)
+    }, undefined, signal);
+
+    if (!response.body) {
+      throw new Error('Failed to get response stream');
+    }
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let usage: AIUsage | undefined;
+    let stopReason: string | undefined;
+    const parser = new ReasoningStreamParser();
+
+    const handleLine = (line: string): boolean => {
+      const trimmedLine = line.trim();
+
+      if (!trimmedLine.startsWith('data:')) {
+        return false;
+      }
+
+      const data = trimmedLine.slice(5).trim();
+
+      if (data === '[DONE]') {
+        return true;
+      }
+
+      let chunk: OpenAIChatChunk;
+      try {
+        chunk = JSON.parse(data) as OpenAIChatChunk;
+      } catch (error) {
+        logger.error('Failed to parse stream event', { line: trimmedLine, error });
+        return false;
+      }
+
+      if (chunk.usage) {
+        usage = this.convertUsage(chunk.usage);
+      }
+
+      const choice = chunk.choices?.[0];
+      if (choice?.finish_reason) {
+        stopReason = choice.finish_reason;
+      }
+
+      const parts = parser.push(choice?.delta?.content || '');
+      const reasoning = (choice?.delta?.reasoning_content || '') + parts.reasoning;
+
+      if (parts.text || reasoning) {
+        callback({ text: parts.text, reasoning: reasoning || undefined, done: false });
+      }
+
+      return false;
+    };
+
+    let finished = false;
+
+    for await (const value of response.body) {
+      buffer += decoder.decode(value as Uint8Array, { stream: true });
+
+      // Process any complete events in the buffer
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || ''; // Keep the last incomplete line in the buffer
+
+      for (const line of lines) {
+        if (handleLine(line)) {
+          finished = true;
+          break;
+        }
+      }
+
+      if (finished) {
+        break;
+      }
+    }
+
+    // Process any remaining data
+    if (!finished && buffer.trim()) {
+      handleLine(buffer);
+    }
+
+    const rest = parser.end();
+    callback({ text: rest.text, reasoning: rest.reasoning || undefined, done: true, stopReason, usage });
+  }
+
+  /**
+   * Disconnect from the server
+   */
+  async disconnect(): Promise<void> {
+    // Requests are stateless, nothing to disconnect
+    return Promise.resolve();
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * OpenAI-Compatible API Types
+ * 
+ * Type definitions for servers that speak the OpenAI chat completions
+ * protocol, such as llama.cpp's server, vLLM and LM Studio.
+ */
+
+/**
+ * Part of a message with mixed content
+ */
+export type OpenAIContentPart =
+  | { type: 'text'; text: string }
+  | { type: 'image_url'; image_url: { url: string } };
+
+/**
+ * Chat message in OpenAI format
+ */
+export interface OpenAIChatMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+  /**
+   * Reasoning returned separately by servers that parse it out themselves
+   * (llama.cpp with --reasoning-format, vLLM, DeepSeek)
+   */
+  reasoning_content?: string;
+}
+
+/**
+ * Chat message sent in a request, which may mix text and images
+ */
+export interface OpenAIRequestMessage extends Omit<OpenAIChatMessage, 'content'> {
+  content: string | OpenAIContentPart[];
+}
+
+/**
+ * Chat completion request
+ */
+export interface OpenAIChatRequest {
+  model: string;
+  messages: OpenAIRequestMessage[];
+  stream?: boolean;
+  stream_options?: {
+    include_usage?: boolean;
+  };
+  temperature?: number;
+  top_p?: number;
+  top_k?: number;
+  max_tokens?: number;
+  stop?: string[];
+  response_format?: {
+    type: 'json_schema';
+    json_schema: {
+      name: string;
+      schema: Record<string, any>;
+    };
+  };
+}
+
+/**
+ * Token usage reported by the server
+ */
+export interface OpenAIUsage {
+  prompt_tokens: number;
+  completion_tokens: number;
+  total_tokens?: number;
+}
+
+/**
+ * Chat completion response
+ */
+export interface OpenAIChatResponse {
+  id: string;
+  model: string;
+  created: number;
+  choices: Array<{
+    index: number;
+    message: OpenAIChatMessage;
+    finish_reason: string | null;
+  }>;
+  usage?: OpenAIUsage;
+}
+
+/**
+ * Streamed chat completion chunk
+ */
+export interface OpenAIChatChunk {
+  id: string;
+  model: string;
+  created: number;
+  choices: Array<{
+    index: number;
+    delta: Partial<OpenAIChatMessage>;
+    finish_reason: string | null;
+  }>;
+  usage?: OpenAIUsage | null;
+}
+
+/**
+ * Model entry from /v1/models
+ */
+export interface OpenAIModel {
+  id: string;
+  object: string;
+  created?: number;
+  owned_by?: string;
+
+  /**
+   * Context length, as vLLM reports it
+   */
+  max_model_len?: number;
+
+  /**
+   * Context length, as LM Studio and OpenRouter report it
+   */
+  context_length?: number;
+
+  /**
+   * Model metadata from llama.cpp's server, with the context length the
+   * model was trained with
+   */
+  meta?: {
+    n_ctx_train?: number;
+  };
+}
+
+/**
+ * List models response
+ */
+export interface OpenAIListModelsResponse {
+  object: string;
+  data: OpenAIModel[];
+}
+
+/**
+ * OpenAI-compatible client configuration
+ */
+export interface OpenAICompatibleConfig {
+  baseUrl: string;
+  apiKey?: string;
+  model?: string;
+  timeout?: number;
+}
+
+/**
+ * Default OpenAI-compatible configuration
+ */
+export const DEFAULT_OPENAI_COMPATIBLE_CONFIG: OpenAICompatibleConfig = {
+  // llama.cpp's server listens on port 8080 by default
+  baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL || 'http://127.0.0.1:8080',
+  apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+  model: process.env.OPENAI_COMPATIBLE_MODEL,
+  timeout: parseInt(process.env.OPENAI_COMPATIBLE_TIMEOUT || '60000', 10)
+};
@@ -0,0 +1,471 @@
+/**
+ * Replay Client
+ *
+ * Records the requests sent to a real provider and its responses to a
+ * cassette file, and serves them back later without a model, so commands
+ * can be run end to end offline and with the same results every time.
+ */
+
+import crypto from 'crypto';
+import { logger } from '../../../utils/logger.js';
+import { createUserError } from '../../../errors/formatter.js';
+import { ErrorCategory } from '../../../errors/types.js';
+import { readTextFile, writeTextFile } from '../../../fs/operations.js';
+import { createAbortError, isAbortError } from '../../../utils/cancellation.js';
+import { truncate } from '../../../utils/formatting.js';
+import {
+  AIClientInterface,
+  AIModel,
+  CompletionRequest,
+  CompletionResponse,
+  EmbeddingOptions,
+  StreamCallback
+} from '../../types.js';
+import {
+  ReplayConfig,
+  DEFAULT_REPLAY_CONFIG,
+  Cassette,
+  CassetteInteraction,
+  CASSETTE_VERSION
+} from './types.js';
+
+/**
+ * Put a value in a canonical form for hashing: object keys sorted,
+ * undefined values dropped and the working directory replaced, so the same
+ * request hashes the same from another checkout
+ */
+function canonicalize(value: unknown): unknown {
+  if (typeof value === 'string') {
+    return value.split(process.cwd()).join('<cwd>');
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .filter(key => (value as Record<string, unknown>)[key] !== undefined)
+        .map(key => [key, canonicalize((value as Record<string, unknown>)[key])])
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Normalize a completion request to the parts that decide the response
+ *
+ * Images are reduced to a hash of their data, and the cache flag is left
+ * out since it does not change what the model answers.
+ */
+function normalizeRequest(request: CompletionRequest): unknown {
+  const { cache, ...options } = request.options || {};
+
+  return canonicalize({
+    messages: request.messages.map(message => ({
+      ...message,
+      images: message.images?.map(image => ({
+        mediaType: image.mediaType,
+        sha256: crypto.createHash('sha256').update(image.data).digest('hex')
+      }))
+    })),
+    options
+  });
+}
+
+/**
+ * Hash a normalized request
+ */
+function hashRequest(normalized: unknown): string {
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+}
+
+/**
+ * Keep the name and message of an error for the cassette
+ */
+function toRecordedError(error: unknown): NonNullable<CassetteInteraction['error']> {
+  return error instanceof Error
+    ? { name: error.name, message: error.message }
+    : { name: 'Error', message: String(error) };
+}
+
+/**
+ * Client that records a real provider to a cassette, or replays one
+ */
+export class ReplayClient implements AIClientInterface {
+  private _config: ReplayConfig;
+  private inner: AIClientInterface | null;
+  private cassette: Cassette | null = null;
+  private loading: Promise<Cassette> | null = null;
+  private saving: Promise<void> = Promise.resolve();
+  private cursors: Map<string, number> = new Map();
+  private activeModel: string | null = null;
+
+  /**
+   * Create a new replay client
+   *
+   * @param inner Client whose interactions are recorded; required in record mode
+   */
+  constructor(config: Partial<ReplayConfig> = {}, inner: AIClientInterface | null = null) {
+    this._config = { ...DEFAULT_REPLAY_CONFIG, ...config };
+    this.inner = inner;
+
+    if (this._config.mode === 'record') {
+      if (!inner) {
+        throw new Error('Recording a cassette needs a client to record from');
+      }
+
+      // Recording always starts a new cassette
+      this.cassette = { version: CASSETTE_VERSION, provider: this._config.provider, calls: {}, interactions: [] };
+    }
+
+    logger.debug('ReplayClient initialized', { cassette: this._config.cassette, mode: this._config.mode });
+  }
+
+  /**
+   * Get the current configuration
+   */
+  get config(): ReplayConfig {
+    return this._config;
+  }
+
+  /**
+   * Whether interactions are being recorded
+   */
+  private get recording(): boolean {
+    return this._config.mode === 'record';
+  }
+
+  /**
+   * Load the cassette to replay
+   */
+  private load(): Promise<Cassette> {
+    if (this.cassette) {
+      return Promise.resolve(this.cassette);
+    }
+
+    this.loading ??= (async () => {
+      let cassette: Cassette;
+
+      try {
+        cassette = JSON.parse(await readTextFile(this._config.cassette));
+      } catch (error) {
+        throw createUserError(`Could not load cassette ${this._config.cassette}`, {
+          cause: error,
+          category: ErrorCategory.CONFIGURATION,
+          resolution: 'Record it first by running the same commands with TERM_CODE_CASSETTE_MODE=record.'
+        });
+      }
+
+      if (cassette.version !== CASSETTE_VERSION || !Array.isArray(cassette.interactions)) {
+        throw createUserError(`Unsupported cassette format in ${this._config.cassette}`, {
+          category: ErrorCategory.CONFIGURATION,
+          resolution: 'Record the cassette again with this version of term-code.'
+        });
+      }
+
+      logger.debug(`Loaded ${cassette.interactions.length} interaction(s) from ${this._config.cassette}`);
+      this.cassette = { ...cassette, calls: cassette.calls || {} };
+      return this.cassette;
+    })();
+
+    return this.loading;
+  }
+
+  /**
+   * Write the cassette after the saves already queued
+   */
+  private save(): Promise<void> {
+    const cassette = this.cassette!;
+
+    this.saving = this.saving
+      .then(() => writeTextFile(this._config.cassette, JSON.stringify(cassette, null, 2) + '\n'))
+      .catch(error => logger.error(`Failed to write cassette ${this._config.cassette}`, error));
+
+    return this.saving;
+  }
+
+  /**
+   * Record the result of an informational method, or get the recorded one
+   * when replaying
+   *
+   * Replayed results follow the recorded call order; once they run out the
+   * last one is repeated. Before the cassette is loaded there is nothing to
+   * replay and the fallback is returned.
+   */
+  private call<T>(method: string, args: unknown[], record: () => T, fallback: T): T {
+    const key = `${method}(${JSON.stringify(args)})`;
+
+    if (this.recording) {
+      const value = record();
+      const runs = this.cassette!.calls[key] ??= [];
+      const last = runs[runs.length - 1];
+
+      if (last && JSON.stringify(last.value) === JSON.stringify(value)) {
+        last.count++;
+      } else {
+        runs.push({ value, count: 1 });
+        void this.save();
+      }
+
+      return value;
+    }
+
+    const runs = this.cassette?.calls[key];
+
+    if (!runs || runs.length === 0) {
+      return fallback;
+    }
+
+    const index = this.cursors.get(`call:${key}`) ?? 0;
+    this.cursors.set(`call:${key}`, index + 1);
+
+    let position = index;
+    for (const run of runs) {
+      if (position < run.count) {
+        return run.value as T;
+      }
+      position -= run.count;
+    }
+
+    return runs[runs.length - 1].value as T;
+  }
+
+  /**
+   * Find the recorded interaction for a request
+   *
+   * Requests recorded more than once are answered in the recorded order,
+   * repeating the last answer once they run out.
+   */
+  private async find(
+    type: CassetteInteraction['type'],
+    normalized: unknown,
+    description: string
+  ): Promise<CassetteInteraction> {
+    const cassette = await this.load();
+    const key = hashRequest(normalized);
+    const matches = cassette.interactions.filter(interaction => interaction.type === type && interaction.key === key);
+
+    if (matches.length === 0) {
+      logger.debug('Request missing from cassette', { key, request: normalized });
+
+      throw createUserError(`No recorded ${type} in ${this._config.cassette} matches the request for "${description}"`, {
+        category: ErrorCategory.AI_SERVICE,
+        resolution: 'The request differs from the one recorded. Record the cassette again with ' +
+          'TERM_CODE_CASSETTE_MODE=record, or set DEBUG=true to log the request.',
+        details: { key }
+      });
+    }
+
+    const index = this.cursors.get(key) ?? 0;
+    this.cursors.set(key, index + 1);
+
+    return matches[Math.min(index, matches.length - 1)];
+  }
+
+  /**
+   * Add an interaction to the cassette
+   */
+  private async record(interaction: Omit<CassetteInteraction, 'key'>): Promise<void> {
+    this.cassette!.interactions.push({ key: hashRequest(interaction.request), ...interaction });
+    await this.save();
+  }
+
+  /**
+   * Recreate a recorded error
+   */
+  private replayError(error: NonNullable<CassetteInteraction['error']>): Error {
+    const replayed = new Error(error.message);
+    replayed.name = error.name;
+    return replayed;
+  }
+
+  /**
+   * Describe a request by its last message, for miss errors
+   */
+  private describe(request: CompletionRequest): string {
+    const last = request.messages[request.messages.length - 1];
+    return truncate((last?.content || '').replace(/\s+/g, ' ').trim(), 60);
+  }
+
+  /**
+   * Generate a completion
+   */
+  async generateCompletion(request: CompletionRequest): Promise<CompletionResponse> {
+    const normalized = normalizeRequest(request);
+
+    if (!this.recording) {
+      const interaction = await this.find('completion', normalized, this.describe(request));
+
+      if (interaction.error) {
+        throw this.replayError(interaction.error);
+      }
+
+      return interaction.response!;
+    }
+
+    try {
+      const response = await this.inner!.generateCompletion(request);
+      await this.record({ type: 'completion', request: normalized, response });
+      return response;
+    } catch (error) {
+      // A cancelled request says nothing about the model
+      if (!isAbortError(error)) {
+        await this.record({ type: 'completion', request: normalized, error: toRecordedError(error) });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a streaming completion, replaying the recorded chunks in order
+   */
+  async generateCompletionStream(request: CompletionRequest, callback: StreamCallback): Promise<void> {
+    const normalized = normalizeRequest(request);
+
+    if (!this.recording) {
+      const interaction = await this.find('stream', normalized, this.describe(request));
+
+      for (const event of interaction.events || []) {
+        if (request.signal?.aborted) {
+          throw createAbortError();
+        }
+        callback(event);
+      }
+
+      if (interaction.error) {
+        throw this.replayError(interaction.error);
+      }
+      return;
+    }
+
+    const events: any[] = [];
+
+    try {
+      await this.inner!.generateCompletionStream(request, event => {
+        events.push(event);
+        callback(event);
+      });
+      await this.record({ type: 'stream', request: normalized, events });
+    } catch (error) {
+      if (!isAbortError(error)) {
+        await this.record({ type: 'stream', request: normalized, events, error: toRecordedError(error) });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Embed texts
+   */
+  async embed(input: string[], options: EmbeddingOptions = {}): Promise<number[][]> {
+    const normalized = canonicalize({ input, model: options.model });
+
+    if (!this.recording) {
+      const interaction = await this.find('embedding', normalized, truncate(input[0] || '', 60));
+
+      if (interaction.error) {
+        throw this.replayError(interaction.error);
+      }
+
+      return interaction.embeddings!;
+    }
+
+    if (!this.inner!.embed) {
+      throw createUserError(`The ${this._config.provider} provider does not support embeddings`, {
+        category: ErrorCategory.AI_SERVICE,
+        resolution: 'Record with a provider that supports embeddings, such as ollama.'
+      });
+    }
+
+    try {
+      const embeddings = await this.inner!.embed(input, options);
+      await this.record({ type: 'embedding', request: normalized, embeddings });
+      return embeddings;
+    } catch (error) {
+      if (!isAbortError(error)) {
+        await this.record({ type: 'embedding', request: normalized, error: toRecordedError(error) });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List models, as recorded
+   */
+  async listAvailableModels(): Promise<AIModel[]> {
+    if (this.recording) {
+      const models = await this.inner!.listAvailableModels?.() || [];
+      return this.call('listAvailableModels', [], () => models, models);
+    }
+
+    await this.load();
+    return this.call('listAvailableModels', [], () => [], []);
+  }
+
+  /**
+   * Set the active model
+   */
+  setActiveModel(modelName: string): void {
+    if (this.recording) {
+      this.inner!.setActiveModel?.(modelName);
+      return;
+    }
+
+    this.activeModel = modelName;
+  }
+
+  /**
+   * Get the active model, as recorded unless set since
+   */
+  getActiveModel(): string {
+    if (!this.recording && this.activeModel) {
+      return this.activeModel;
+    }
+
+    return this.call('getActiveModel', [], () => this.inner!.getActiveModel?.() || '', '');
+  }
+
+  /**
+   * Whether tools are sent natively, as recorded
+   */
+  supportsNativeTools(model?: string): boolean {
+    return this.call('supportsNativeTools', [model], () => this.inner!.supportsNativeTools?.(model) ?? false, false);
+  }
+
+  /**
+   * Get the context length of a model, as recorded
+   */
+  async getContextLength(model?: string): Promise<number | undefined> {
+    if (this.recording) {
+      const contextLength = await this.inner!.getContextLength?.(model);
+      return this.call('getContextLength', [model], () => contextLength, undefined);
+    }
+
+    await this.load();
+    return this.call<number | undefined>('getContextLength', [model], () => undefined, undefined);
+  }
+
+  /**
+   * Check the recorded client's connection, or that the cassette loads
+   */
+  async testConnection(): Promise<boolean> {
+    if (this.recording) {
+      return this.inner!.testConnection();
+    }
+
+    await this.load();
+    return true;
+  }
+
+  /**
+   * Wait for the cassette to be written and disconnect the recorded client
+   */
+  async disconnect(): Promise<void> {
+    await this.saving;
+    await this.inner?.disconnect();
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Replay Provider Types
+ *
+ * Type definitions for recording model interactions to a cassette file and
+ * serving them back without a model.
+ */
+
+import { CompletionResponse } from '../../types.js';
+
+/**
+ * Whether interactions are recorded from a real provider or served from
+ * the cassette
+ */
+export type ReplayMode = 'record' | 'replay';
+
+/**
+ * Replay client configuration
+ */
+export interface ReplayConfig {
+  /**
+   * Path of the cassette file
+   */
+  cassette: string;
+
+  /**
+   * Record or replay
+   */
+  mode: ReplayMode;
+
+  /**
+   * Provider whose responses are recorded in record mode
+   */
+  provider: string;
+}
+
+/**
+ * One recorded request and what the model answered
+ */
+export interface CassetteInteraction {
+  /**
+   * Hash of the normalized request
+   */
+  key: string;
+
+  /**
+   * Client method that was called
+   */
+  type: 'completion' | 'stream' | 'embedding';
+
+  /**
+   * Normalized request, kept so cassettes can be read and diffed
+   */
+  request: unknown;
+
+  /**
+   * Response of a completion
+   */
+  response?: CompletionResponse;
+
+  /**
+   * Events of a streamed completion, in order
+   */
+  events?: any[];
+
+  /**
+   * Vectors returned for an embedding request
+   */
+  embeddings?: number[][];
+
+  /**
+   * Error the request failed with
+   */
+  error?: {
+    name: string;
+    message: string;
+  };
+}
+
+/**
+ * Recorded session stored in a cassette file
+ */
+export interface Cassette {
+  version: number;
+
+  /**
+   * Provider the interactions were recorded from
+   */
+  provider: string;
+
+  /**
+   * Results of the client's informational methods (active model, context
+   * lengths, tool support), keyed by method and arguments, since they shape
+   * the requests that follow. Each key holds its results in call order, with
+   * repeated results counted rather than stored again.
+   */
+  calls: Record<string, Array<{ value: unknown; count: number }>>;
+
+  interactions: CassetteInteraction[];
+}
+
+/**
+ * Version of the cassette format
+ */
+export const CASSETTE_VERSION = 1;
+
+/**
+ * Default replay configuration
+ */
+export const DEFAULT_REPLAY_CONFIG: ReplayConfig = {
+  cassette: process.env.TERM_CODE_CASSETTE || 'term-code.cassette.json',
+  mode: process.env.TERM_CODE_CASSETTE_MODE === 'record' ? 'record' : 'replay',
+  provider: process.env.TERM_CODE_RECORD_PROVIDER || 'ollama'
+};
@@ -0,0 +1,150 @@
+/**
+ * Reasoning Blocks
+ *
+ * Reasoning models such as DeepSeek-R1 and QwQ write their chain of thought
+ * inside <think>...</think> before the answer. These helpers separate it
+ * from the answer so it can be shown differently and kept out of anything
+ * written to disk.
+ */
+
+const OPEN_TAG = '<think>';
+const CLOSE_TAG = '</think>';
+
+/**
+ * Text and reasoning separated from a response
+ */
+export interface ReasoningParts {
+  /**
+   * Answer text without reasoning blocks
+   */
+  text: string;
+
+  /**
+   * Content of the reasoning blocks
+   */
+  reasoning: string;
+}
+
+/**
+ * Split the reasoning blocks out of a complete response
+ *
+ * Some chat templates open the block in the prompt, so the response starts
+ * inside it and only the closing tag appears. An unclosed block at the end
+ * means the response was cut off while still reasoning.
+ */
+export function splitReasoning(response: string): ReasoningParts {
+  const parser = new ReasoningStreamParser();
+  const closeIndex = response.indexOf(CLOSE_TAG);
+  const openIndex = response.indexOf(OPEN_TAG);
+
+  if (closeIndex !== -1 && (openIndex === -1 || closeIndex < openIndex)) {
+    response = OPEN_TAG + response;
+  }
+
+  const parts = parser.push(response);
+  const rest = parser.end();
+
+  return {
+    text: (parts.text + rest.text).trim(),
+    reasoning: (parts.reasoning + rest.reasoning).trim()
+  };
+}
+
+/**
+ * Incremental parser that separates reasoning blocks from streamed text
+ *
+ * Tags may be split across chunks, so text that could be the start of a tag
+ * is held back until the next chunk shows whether it is one.
+ */
+export class ReasoningStreamParser {
+  private buffer = '';
+  private inReasoning = false;
+  private textStarted = false;
+  private reasoningStarted = false;
+
+  /**
+   * Add a chunk of streamed text
+   *
+   * @returns The answer text and reasoning that can be shown so far
+   */
+  push(chunk: string): ReasoningParts {
+    const parts: ReasoningParts = { text: '', reasoning: '' };
+    this.buffer += chunk;
+
+    while (this.buffer) {
+      const tag = this.inReasoning ? CLOSE_TAG : OPEN_TAG;
+      const index = this.buffer.indexOf(tag);
+
+      // A closing tag outside a block is dropped
+      const strayIndex = this.inReasoning ? -1 : this.buffer.indexOf(CLOSE_TAG);
+
+      if (strayIndex !== -1 && (index === -1 || strayIndex < index)) {
+        this.append(parts, this.buffer.slice(0, strayIndex));
+        this.buffer = this.buffer.slice(strayIndex + CLOSE_TAG.length);
+        continue;
+      }
+
+      if (index !== -1) {
+        this.append(parts, this.buffer.slice(0, index));
+        this.buffer = this.buffer.slice(index + tag.length);
+        this.inReasoning = !this.inReasoning;
+        continue;
+      }
+
+      const held = this.partialTagLength();
+      this.append(parts, this.buffer.slice(0, this.buffer.length - held));
+      this.buffer = this.buffer.slice(this.buffer.length - held);
+      break;
+    }
+
+    return parts;
+  }
+
+  /**
+   * Flush text held back once the stream has finished
+   */
+  end(): ReasoningParts {
+    const parts: ReasoningParts = { text: '', reasoning: '' };
+    this.append(parts, this.buffer);
+    this.buffer = '';
+    return parts;
+  }
+
+  /**
+   * Length of the end of the buffer that may be the start of a tag
+   */
+  private partialTagLength(): number {
+    const tags = this.inReasoning ? [CLOSE_TAG] : [OPEN_TAG, CLOSE_TAG];
+
+    for (let length = Math.min(this.buffer.length, CLOSE_TAG.length - 1); length > 0; length--) {
+      const suffix = this.buffer.slice(-length);
+
+      if (tags.some(tag => tag.startsWith(suffix))) {
+        return length;
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Add text to the current part, dropping the whitespace that separates
+   * the reasoning from the answer
+   */
+  private append(parts: ReasoningParts, text: string): void {
+    if (this.inReasoning) {
+      if (!this.reasoningStarted) {
+        text = text.trimStart();
+        this.reasoningStarted = text.length > 0;
+      }
+      parts.reasoning += text;
+      return;
+    }
+
+    if (!this.textStarted) {
+      text = text.trimStart();
+      this.textStarted = text.length > 0;
+    }
+    parts.text += text;
+  }
+}
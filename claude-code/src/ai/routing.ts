@@ -0,0 +1,277 @@
+/**
+ * Model Routing
+ *
+ * Picks the model for each command from the `ai.routing` configuration and
+ * falls back through an ordered list of models when one is missing, fails
+ * to load or times out.
+ */
+
+import { logger } from '../utils/logger.js';
+import { isAbortError } from '../utils/cancellation.js';
+import {
+  AIClientInterface,
+  CompletionRequest,
+  CompletionResponse,
+  StreamCallback
+} from './types.js';
+
+/**
+ * Model routing configuration
+ */
+export interface ModelRoutingConfig {
+  /**
+   * Model to use per command, e.g. `{ generate: 'qwen2.5-coder:7b' }`
+   */
+  commands: Record<string, string>;
+
+  /**
+   * Models to try in order when the routed model cannot answer
+   */
+  fallback: string[];
+
+  /**
+   * Milliseconds to wait for a streamed answer to start before falling
+   * back. Only applies while there is another model left to try; requests
+   * that are not streamed have no first output to wait for and are not
+   * timed out.
+   */
+  timeout?: number;
+}
+
+/**
+ * Options for a routed request
+ */
+export interface RoutingOptions {
+  /**
+   * Command the request is made for
+   */
+  command?: string;
+
+  /**
+   * Called when a model fails and the next one is tried
+   */
+  onFallback?(failedModel: string, nextModel: string, error: unknown): void;
+}
+
+/**
+ * Routing configuration loaded by initAI
+ */
+let routingConfig: ModelRoutingConfig = { commands: {}, fallback: [] };
+
+/**
+ * Per-command models of the current session, set with `ollama:use --command`
+ */
+const commandOverrides = new Map<string, string>();
+
+/**
+ * Load the routing configuration from the `ai.routing` config section
+ */
+export function configureModelRouting(config: any = {}): void {
+  routingConfig = {
+    commands: { ...config.commands },
+    fallback: Array.isArray(config.fallback) ? [...config.fallback] : [],
+    timeout: config.timeout
+  };
+
+  logger.debug('Model routing configured', routingConfig);
+}
+
+/**
+ * Set the model for a command for the rest of the session
+ *
+ * @param model Model name, or null to go back to the configured route
+ */
+export function setCommandModel(command: string, model: string | null): void {
+  if (model) {
+    commandOverrides.set(command, model);
+  } else {
+    commandOverrides.delete(command);
+  }
+}
+
+/**
+ * Replace the per-command models with those of a session being continued
+ */
+export function setCommandModels(models: Record<string, string> = {}): void {
+  commandOverrides.clear();
+
+  for (const [command, model] of Object.entries(models)) {
+    commandOverrides.set(command, model);
+  }
+}
+
+/**
+ * Get the model routed to a command, if any
+ */
+export function getCommandModel(command: string): string | undefined {
+  return commandOverrides.get(command) || routingConfig.commands[command];
+}
+
+/**
+ * Get all per-command routes, with session overrides applied
+ */
+export function getModelRoutes(): Record<string, string> {
+  return { ...routingConfig.commands, ...Object.fromEntries(commandOverrides) };
+}
+
+/**
+ * Get the fallback models in the order they are tried
+ */
+export function getFallbackModels(): string[] {
+  return [...routingConfig.fallback];
+}
+
+/**
+ * Get the models to try for a command, in order
+ */
+export function resolveModelChain(client: AIClientInterface, command?: string): string[] {
+  const primary = (command && getCommandModel(command)) || client.getActiveModel?.();
+  const chain = [primary, ...routingConfig.fallback].filter((model): model is string => !!model);
+
+  return [...new Set(chain)];
+}
+
+/**
+ * Check whether an error means the model cannot answer, so another
+ * model may be tried
+ */
+export function isModelUnavailableError(error: unknown): boolean {
+  if (isAbortError(error)) {
+    return false;
+  }
+
+  if (error instanceof Error && error.name === 'ModelTimeoutError') {
+    return true;
+  }
+
+  // Ollama reports a missing model as `model "name" not found`, possibly
+  // quoted inside a JSON error body; other 404s are configuration errors
+  const message = error instanceof Error ? error.message : String(error);
+  return /model\s+\\?["'`]?[\w.:/-]+\\?["'`]?\s+not found|try pulling|failed to load|error loading model|runner process|model .*(?:unavailable|not available)/i.test(message);
+}
+
+/**
+ * Create the error for a model that did not answer in time
+ */
+function createModelTimeoutError(model: string, timeout: number): Error {
+  const error = new Error(`Model ${model} did not respond within ${timeout}ms`);
+  error.name = 'ModelTimeoutError';
+  return error;
+}
+
+/**
+ * Run one attempt against a model, aborting it if it does not start
+ * answering within the timeout
+ *
+ * @param run Performs the request; calls started() once output arrives
+ */
+async function attempt<T>(
+  model: string,
+  request: CompletionRequest,
+  timeout: number | undefined,
+  run: (signal: AbortSignal | undefined, started: () => void) => Promise<T>
+): Promise<T> {
+  if (!timeout) {
+    return run(request.signal, () => {});
+  }
+
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  let timedOut = false;
+
+  request.signal?.addEventListener('abort', abort, { once: true });
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+
+  try {
+    return await run(controller.signal, () => clearTimeout(timer));
+  } catch (error) {
+    if (timedOut && isAbortError(error)) {
+      throw createModelTimeoutError(model, timeout);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    request.signal?.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * Generate a completion with the routed model, falling back through the
+ * configured models when it cannot answer
+ *
+ * The routing timeout does not apply: the answer only arrives once it is
+ * complete, so a slow model that is still generating could not be told
+ * from one that does not answer.
+ */
+export async function generateWithFallback(
+  client: AIClientInterface,
+  request: CompletionRequest,
+  options: RoutingOptions = {}
+): Promise<CompletionResponse> {
+  const chain = request.options?.model ? [request.options.model] : resolveModelChain(client, options.command);
+
+  // Without any known model (e.g. a provider without model selection) the
+  // single attempt leaves the model to the client
+  for (let i = 0; ; i++) {
+    const model = chain[i];
+    const isLast = i >= chain.length - 1;
+
+    try {
+      return await client.generateCompletion({ ...request, options: { ...request.options, model } });
+    } catch (error) {
+      if (isLast || !isModelUnavailableError(error)) {
+        throw error;
+      }
+
+      logger.warn(`Model ${model} failed, falling back to ${chain[i + 1]}`, error);
+      options.onFallback?.(model, chain[i + 1], error);
+    }
+  }
+}
+
+/**
+ * Stream a completion with the routed model, falling back through the
+ * configured models when it cannot answer
+ *
+ * A model is only replaced before it has produced any output.
+ *
+ * @returns The model that answered
+ */
+export async function streamWithFallback(
+  client: AIClientInterface,
+  request: CompletionRequest,
+  callback: StreamCallback,
+  options: RoutingOptions = {}
+): Promise<string | undefined> {
+  const chain = request.options?.model ? [request.options.model] : resolveModelChain(client, options.command);
+
+  for (let i = 0; ; i++) {
+    const model = chain[i];
+    const isLast = i >= chain.length - 1;
+    let received = false;
+
+    try {
+      await attempt(model, request, isLast ? undefined : routingConfig.timeout, (signal, started) =>
+        client.generateCompletionStream({ ...request, options: { ...request.options, model }, signal }, event => {
+          if (!received) {
+            received = true;
+            started();
+          }
+          callback(event);
+        }));
+
+      return model;
+    } catch (error) {
+      if (isLast || received || !isModelUnavailableError(error)) {
+        throw error;
+      }
+
+      logger.warn(`Model ${model} failed, falling back to ${chain[i + 1]}`, error);
+      options.onFallback?.(model, chain[i + 1], error);
+    }
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * Structured Output
+ *
+ * Asks the model for JSON that follows a JSON schema and validates the
+ * answer with zod, asking again with the validation errors when it does
+ * not fit. Providers that can constrain their output receive the schema
+ * with the request (Ollama's `format`, `response_format` on
+ * OpenAI-compatible servers); for the others the schema in the system
+ * prompt and the validation have to do.
+ */
+
+import { z } from 'zod';
+import { AIClientInterface, CompletionRequest, CompletionResponse, Message } from './types.js';
+import { generateWithFallback } from './routing.js';
+import { logger } from '../utils/logger.js';
+import { createUserError } from '../errors/formatter.js';
+import { ErrorCategory } from '../errors/types.js';
+
+/**
+ * JSON schema describing a response
+ */
+export type JsonSchema = Record<string, any>;
+
+/**
+ * Options for a structured request
+ */
+export interface StructuredOptions<T> {
+  /**
+   * Command the request is for, used to pick the model
+   */
+  command?: string;
+
+  /**
+   * How many times to ask again after an invalid response
+   */
+  maxRetries?: number;
+
+  /**
+   * Checks beyond the schema; returned problems trigger a re-ask
+   */
+  validate?: (data: T) => string[];
+
+  /**
+   * Called before asking again
+   */
+  onRetry?: (attempt: number, problems: string[]) => void;
+}
+
+/**
+ * Validated result of a structured request
+ */
+export interface StructuredResult<T> {
+  data: T;
+  response: CompletionResponse;
+  attempts: number;
+}
+
+/**
+ * Code changes returned by the fix and refactor commands with --json
+ */
+export interface CodeChanges {
+  summary: string;
+  edits: Array<{
+    file: string;
+    description: string;
+    original: string;
+    replacement: string;
+  }>;
+  risks: string[];
+}
+
+/**
+ * JSON schema of CodeChanges
+ */
+export const CODE_CHANGES_SCHEMA: JsonSchema = {
+  type: 'object',
+  properties: {
+    summary: {
+      type: 'string',
+      description: 'What was changed and why, in a few sentences'
+    },
+    edits: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          file: { type: 'string', description: 'Path of the file to edit, as given' },
+          description: { type: 'string', description: 'What this edit does' },
+          original: { type: 'string', minLength: 1, description: 'Exact text in the file to replace' },
+          replacement: { type: 'string', description: 'Text to put in its place' }
+        },
+        required: ['file', 'description', 'original', 'replacement']
+      }
+    },
+    risks: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Behaviour changes or assumptions a reviewer should check'
+    }
+  },
+  required: ['summary', 'edits', 'risks']
+};
+
+/**
+ * Build a zod validator from a JSON schema
+ *
+ * Covers the parts of JSON schema used to describe responses: objects with
+ * required properties, arrays, enums, type unions and the usual string,
+ * number and length constraints. Anything else is accepted as is.
+ */
+export function jsonSchemaToZod(schema: JsonSchema): z.ZodTypeAny {
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    const literals: z.ZodTypeAny[] = schema.enum.map((value: z.Primitive) => z.literal(value));
+    return literals.length === 1 ? literals[0] : z.union(literals as [z.ZodTypeAny, z.ZodTypeAny, ...z.ZodTypeAny[]]);
+  }
+
+  if (Array.isArray(schema.type)) {
+    const variants: z.ZodTypeAny[] = schema.type.map((type: string) => jsonSchemaToZod({ ...schema, type }));
+    return variants.length === 1 ? variants[0] : z.union(variants as [z.ZodTypeAny, z.ZodTypeAny, ...z.ZodTypeAny[]]);
+  }
+
+  switch (schema.type) {
+    case 'object': {
+      const required = new Set<string>(schema.required || []);
+      const shape: Record<string, z.ZodTypeAny> = {};
+
+      for (const [key, property] of Object.entries<JsonSchema>(schema.properties || {})) {
+        const validator = jsonSchemaToZod(property);
+        shape[key] = required.has(key) ? validator : validator.optional();
+      }
+
+      const object = z.object(shape);
+      return schema.additionalProperties === false ? object.strict() : object.passthrough();
+    }
+
+    case 'array': {
+      let array = z.array(schema.items ? jsonSchemaToZod(schema.items) : z.unknown());
+      if (schema.minItems !== undefined) array = array.min(schema.minItems);
+      if (schema.maxItems !== undefined) array = array.max(schema.maxItems);
+      return array;
+    }
+
+    case 'string': {
+      let string = z.string();
+      if (schema.minLength !== undefined) string = string.min(schema.minLength);
+      if (schema.maxLength !== undefined) string = string.max(schema.maxLength);
+      if (schema.pattern) string = string.regex(new RegExp(schema.pattern));
+      return string;
+    }
+
+    case 'integer':
+    case 'number': {
+      let number = schema.type === 'integer' ? z.number().int() : z.number();
+      if (schema.minimum !== undefined) number = number.min(schema.minimum);
+      if (schema.maximum !== undefined) number = number.max(schema.maximum);
+      return number;
+    }
+
+    case 'boolean':
+      return z.boolean();
+
+    case 'null':
+      return z.null();
+
+    default:
+      return z.unknown();
+  }
+}
+
+/**
+ * Get the JSON out of a response, which models sometimes wrap in a code
+ * fence or surround with prose
+ */
+function extractJson(text: string): string {
+  const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)```/);
+  if (fenced) {
+    return fenced[1].trim();
+  }
+
+  const trimmed = text.trim();
+  const start = trimmed.search(/[{[]/);
+  const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+
+  return start !== -1 && end > start ? trimmed.slice(start, end + 1) : trimmed;
+}
+
+/**
+ * Parse and validate a response
+ *
+ * @returns The data, or the problems found
+ */
+function parseResponse<T>(
+  text: string,
+  validator: z.ZodTypeAny,
+  validate?: (data: T) => string[]
+): { data?: T; problems: string[] } {
+  let value: unknown;
+
+  try {
+    value = JSON.parse(extractJson(text));
+  } catch (error) {
+    return { problems: [`The response is not valid JSON: ${error instanceof Error ? error.message : String(error)}`] };
+  }
+
+  const result = validator.safeParse(value);
+
+  if (!result.success) {
+    return {
+      problems: result.error.issues.map(issue => `${issue.path.join('.') || 'response'}: ${issue.message}`)
+    };
+  }
+
+  const data = result.data as T;
+  return { data, problems: validate ? validate(data) : [] };
+}
+
+/**
+ * Generate a response that follows a JSON schema
+ *
+ * The schema is sent with the request and described in the system prompt.
+ * Invalid responses are answered with the problems found, up to
+ * `maxRetries` times. Responses are not cached unless the request asks for
+ * it, since an invalid response would otherwise be served again.
+ */
+export async function generateStructured<T>(
+  client: AIClientInterface,
+  request: CompletionRequest,
+  schema: JsonSchema,
+  options: StructuredOptions<T> = {}
+): Promise<StructuredResult<T>> {
+  const { maxRetries = 2 } = options;
+  const validator = jsonSchemaToZod(schema);
+  const instruction = 'Respond with only a JSON value that matches this JSON schema, without any other text:\n' +
+    JSON.stringify(schema);
+  const messages: Message[] = [...request.messages];
+  const requestOptions = {
+    ...request.options,
+    responseSchema: schema,
+    system: [request.options?.system, instruction].filter(Boolean).join('\n\n'),
+    cache: request.options?.cache ?? false
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    const response = await generateWithFallback(client, { ...request, messages, options: requestOptions }, {
+      command: options.command
+    });
+    const { data, problems } = parseResponse<T>(response.text, validator, options.validate);
+
+    if (problems.length === 0) {
+      return { data: data as T, response, attempts: attempt };
+    }
+
+    logger.debug('Structured response rejected', { attempt, problems });
+
+    if (attempt > maxRetries) {
+      throw createUserError(`The model did not return a valid response after ${attempt} attempts: ${problems.join('; ')}`, {
+        category: ErrorCategory.AI_SERVICE,
+        resolution: 'Try again, or use a larger model for this command.',
+        details: { response: response.text }
+      });
+    }
+
+    options.onRetry?.(attempt, problems);
+    messages.push(
+      { role: 'assistant', content: response.text },
+      {
+        role: 'user',
+        content: `That response is not valid:\n${problems.map(problem => `- ${problem}`).join('\n')}\n\n` +
+          'Reply with only the corrected JSON.'
+      }
+    );
+  }
+}
@@ -7,7 +7,27 @@
 /**
  * Role for a message in a conversation
  */
-export type MessageRole = 'user' | 'assistant' | 'system';
+export type MessageRole = 'user' | 'assistant' | 'system' | 'tool';
+
+/**
+ * Image attached to a message
+ */
+export interface ImageAttachment {
+  /**
+   * MIME type of the image
+   */
+  mediaType: 'image/png' | 'image/jpeg' | 'image/webp';
+  
+  /**
+   * Base64-encoded image data
+   */
+  data: string;
+  
+  /**
+   * File the image was read from
+   */
+  path?: string;
+}
 
 /**
  * Message in a conversation
@@ -22,6 +42,56 @@ export interface Message {
    * Content of the message
    */
   content: string;
+  
+  /**
+   * Tool calls requested by the assistant in this message
+   */
+  toolCalls?: ToolCall[];
+  
+  /**
+   * Name of the tool whose result this message carries (role 'tool')
+   */
+  toolName?: string;
+  
+  /**
+   * Images attached to the message, for models with vision support
+   */
+  images?: ImageAttachment[];
+}
+
+/**
+ * Tool the model may call, described with a JSON schema for its arguments
+ */
+export interface ToolDefinition {
+  /**
+   * Tool name
+   */
+  name: string;
+  
+  /**
+   * What the tool does, shown to the model
+   */
+  description: string;
+  
+  /**
+   * JSON schema of the tool arguments
+   */
+  parameters: Record<string, any>;
+}
+
+/**
+ * Tool call requested by the model
+ */
+export interface ToolCall {
+  /**
+   * Name of the tool to call
+   */
+  name: string;
+  
+  /**
+   * Arguments for the tool
+   */
+  arguments: Record<string, any>;
 }
 
 /**
@@ -77,6 +147,36 @@ export interface AIUsage {
    * Total tokens used
    */
   totalTokens?: number;
+  
+  /**
+   * Whether the token counts are estimated rather than reported by the service
+   */
+  estimated?: boolean;
+  
+  /**
+   * Time spent loading the model in milliseconds
+   */
+  loadDuration?: number;
+  
+  /**
+   * Time spent evaluating the prompt in milliseconds
+   */
+  promptEvalDuration?: number;
+  
+  /**
+   * Time spent generating the output in milliseconds
+   */
+  evalDuration?: number;
+  
+  /**
+   * Total time spent on the request in milliseconds
+   */
+  totalDuration?: number;
+  
+  /**
+   * Output generation speed in tokens per second
+   */
+  tokensPerSecond?: number;
 }
 
 /**
@@ -117,6 +217,35 @@ export interface CompletionOptions {
    * System message for context
    */
   system?: string;
+  
+  /**
+   * Tools the model may call (only used by clients with native tool support)
+   */
+  tools?: ToolDefinition[];
+  
+  /**
+   * Context window size to run the model with, in tokens (Ollama's num_ctx)
+   */
+  contextLength?: number;
+  
+  /**
+   * Whether the response may be served from and stored in the response
+   * cache. Defaults to caching only requests with a temperature of 0.
+   */
+  cache?: boolean;
+  
+  /**
+   * Ask a reasoning model to think before answering. Defaults to thinking
+   * when the model supports it.
+   */
+  think?: boolean;
+  
+  /**
+   * JSON schema the response must follow. Sent to providers that can
+   * constrain their output (Ollama's `format`); see generateStructured for
+   * validation.
+   */
+  responseSchema?: Record<string, any>;
 }
 
 /**
@@ -132,6 +261,26 @@ export interface CompletionRequest {
    * Completion options
    */
   options?: CompletionOptions;
+  
+  /**
+   * Signal to cancel the request
+   */
+  signal?: AbortSignal;
+}
+
+/**
+ * Options for creating embeddings
+ */
+export interface EmbeddingOptions {
+  /**
+   * Embedding model to use
+   */
+  model?: string;
+  
+  /**
+   * Signal to cancel the request
+   */
+  signal?: AbortSignal;
 }
 
 /**
@@ -157,10 +306,29 @@ export interface CompletionResponse {
    * Token usage information
    */
   usage?: AIUsage;
+  
+  /**
+   * Reasoning the model produced before its answer, kept out of `text`
+   */
+  reasoning?: string;
+  
+  /**
+   * Tool calls requested by the model
+   */
+  toolCalls?: ToolCall[];
+  
+  /**
+   * Whether the response was served from the response cache
+   */
+  cached?: boolean;
 }
 
 /**
  * Callback for streaming AI completions
+ *
+ * Events carry `text` and `done`, plus `reasoning` for chunks of reasoning
+ * kept out of the answer text. The final event also carries `stopReason`
+ * and `usage`.
  */
 export type StreamCallback = (event: any) => void;
 
@@ -217,4 +385,34 @@ export interface AIClientInterface {
    * Generate a completion (backward compatibility method)
    */
   complete?(prompt: string, options?: CompletionOptions): Promise<CompletionResponse>;
+
+  /**
+   * List the models the service can serve
+   */
+  listAvailableModels?(): Promise<AIModel[]>;
+
+  /**
+   * Set the model used when a request does not name one
+   */
+  setActiveModel?(modelName: string): void;
+
+  /**
+   * Get the model used when a request does not name one
+   */
+  getActiveModel?(): string;
+
+  /**
+   * Whether the `tools` option is passed to the model natively
+   */
+  supportsNativeTools?(model?: string): boolean;
+  
+  /**
+   * Get the context length of a model in tokens, if the provider reports it
+   */
+  getContextLength?(model?: string): Promise<number | undefined>;
+  
+  /**
+   * Create an embedding vector for each input text
+   */
+  embed?(input: string[], options?: EmbeddingOptions): Promise<number[][]>;
 } 
\ No newline at end of file
@@ -8,8 +8,10 @@
 
 import { commandRegistry, executeCommand, generateCommandHelp } from './commands/index.js';
 import { logger } from './utils/logger.js';
+import { createInterruptHandler } from './utils/cancellation.js';
 import { formatErrorForDisplay } from './errors/formatter.js';
-import { initAI, setTerminalInstance } from './ai/index.js';
+import { initAI, setTerminalInstance, parseProviderName, AIProvider } from './ai/index.js';
+import { loadConfig } from './config/index.js';
 import { authManager } from './auth/index.js';
 import { registerCommands } from './commands/register.js';
 import { UserError } from './errors/types.js';
@@ -167,6 +169,10 @@ function parseCommandLineArgs(): { commandName: string; args: string[]; isIntera
  */
 async function initCLI(): Promise<void> {
   try {
+    // Ctrl+C cancels an in-flight AI request; with nothing to cancel, or
+    // pressed twice in quick succession, it exits
+    process.on('SIGINT', createInterruptHandler(() => process.exit(0)));
+    
     // Register commands
     registerCommands();
     
@@ -176,19 +182,18 @@ async function initCLI(): Promise<void> {
     // Parse command-line arguments
     const { commandName, args, isInteractive } = parseCommandLineArgs();
     
-    // Determine provider from environment or default
-    const providerFromEnv = process.env.TERM_CODE_PROVIDER?.toLowerCase();
-    let selectedProvider = null;
+    // Load configuration (config file may select the provider)
+    const config = await loadConfig();
     
-    if (providerFromEnv === 'ollama' || process.env.OLLAMA_PROVIDER === 'true') {
-      selectedProvider = 'ollama';
-    } else if (providerFromEnv === 'claude') {
-      selectedProvider = 'claude';
-    }
+    // Determine provider from environment, then config file, or default
+    const selectedProvider = parseProviderName(process.env.TERM_CODE_PROVIDER)
+      || (process.env.OLLAMA_PROVIDER === 'true' ? AIProvider.OLLAMA : null)
+      || parseProviderName(config.ai?.provider);
     
     // Initialize terminal with provider information
     const terminal = await initTerminal({
       terminal: {
+        ...config.terminal,
         useColors: true,
         showProgressIndicators: true
       },
@@ -198,7 +203,7 @@ async function initCLI(): Promise<void> {
     // Handle interactive mode
     if (isInteractive || commandName === 'interactive') {
       // Initialize AI, codebase, and other dependencies for interactive mode
-      const ai = await initAI({ provider: selectedProvider }, terminal);
+      const ai = await initAI({ ...config, provider: selectedProvider }, terminal);
       const codebase = await initCodebase();
       const fileOps = await initFileOps();
       const execution = await initExecution();
@@ -248,17 +253,14 @@ async function initCLI(): Promise<void> {
     
     // Initialize AI if required with terminal reference
     if (command.requiresAuth) {
-      await initAI({ provider: selectedProvider }, terminal);
+      await initAI({ ...config, provider: selectedProvider }, terminal);
     } else {
       // Set terminal in AI module even if not initializing AI yet
       setTerminalInstance(terminal);
     }
     
-    // Add terminal to command args
-    args._terminal = terminal;
-    
     // Execute the command
-    await executeCommand(commandName, args);
+    await executeCommand(commandName, args, terminal);
   } catch (error) {
     handleError(error);
   }
@@ -7,7 +7,7 @@
 
 import path from 'path';
 import fs from 'fs/promises';
-import { fileExists, readTextFile, findFiles } from '../fs/operations.js';
+import { fileExists, directoryExists, readTextFile, findFiles } from '../fs/operations.js';
 import { logger } from '../utils/logger.js';
 import { createUserError } from '../errors/formatter.js';
 import { ErrorCategory } from '../errors/types.js';
@@ -183,7 +183,7 @@ export async function analyzeCodebase(
   } = options;
   
   // Check if directory exists
-  if (!await fileExists(directory)) {
+  if (!await directoryExists(directory)) {
     throw createUserError(`Directory does not exist: ${directory}`, {
       category: ErrorCategory.FILE_NOT_FOUND,
       resolution: 'Please provide a valid directory path.'
@@ -428,7 +428,7 @@ function findDependencies(
 /**
  * Check if a file is a code file based on extension
  */
-function isCodeFile(extension: string): boolean {
+export function isCodeFile(extension: string): boolean {
   const codeExtensions = [
     'js', 'jsx', 'ts', 'tsx', 'py', 'java', 'c', 'cpp', 'cs',
     'go', 'rs', 'php', 'rb', 'swift', 'kt', 'scala'
@@ -638,5 +638,6 @@ export async function findFilesByContent(
 export default {
   analyzeCodebase,
   analyzeProjectDependencies,
-  findFilesByContent
+  findFilesByContent,
+  isCodeFile
 }; 
\ No newline at end of file
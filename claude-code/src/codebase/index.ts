@@ -11,7 +11,8 @@ import {
   DependencyInfo,
   ProjectStructure,
   analyzeProjectDependencies,
-  findFilesByContent
+  findFilesByContent,
+  isCodeFile
 } from './analyzer.js';
 
 export {
@@ -20,7 +21,8 @@ export {
   DependencyInfo,
   ProjectStructure,
   analyzeProjectDependencies,
-  findFilesByContent
+  findFilesByContent,
+  isCodeFile
 };
 
 /**
@@ -0,0 +1,491 @@
+/**
+ * Semantic Code Index
+ *
+ * Splits the source files found by analyzeCodebase into function- and
+ * class-sized chunks, embeds them and keeps the vectors on disk, so natural
+ * language queries can be matched against the code. Only files that changed
+ * since the last update are embedded again.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { analyzeCodebase, isCodeFile } from './analyzer.js';
+import { fileExists, readTextFile, writeTextFile, getFileInfo } from '../fs/operations.js';
+import { AIClientInterface } from '../ai/types.js';
+import { logger } from '../utils/logger.js';
+import { createUserError } from '../errors/formatter.js';
+import { ErrorCategory } from '../errors/types.js';
+
+/**
+ * Piece of a source file that is embedded as a unit
+ */
+export interface CodeChunk {
+  /**
+   * First line of the chunk (1-based)
+   */
+  startLine: number;
+
+  /**
+   * Last line of the chunk (1-based, inclusive)
+   */
+  endLine: number;
+
+  /**
+   * Source text of the chunk
+   */
+  text: string;
+}
+
+/**
+ * Chunk with its embedding, as stored in the index
+ */
+interface IndexedChunk extends CodeChunk {
+  /**
+   * Embedding as base64-encoded 32-bit floats
+   */
+  vector: string;
+}
+
+/**
+ * Indexed state of one file
+ */
+interface IndexedFile {
+  hash: string;
+  mtimeMs: number;
+  size: number;
+  chunks: IndexedChunk[];
+}
+
+/**
+ * On-disk format of the index
+ */
+interface SemanticIndexData {
+  version: number;
+  root: string;
+  model: string;
+  updatedAt: number;
+  files: Record<string, IndexedFile>;
+}
+
+/**
+ * Search result
+ */
+export interface SemanticSearchHit {
+  /**
+   * File path relative to the indexed directory
+   */
+  path: string;
+  startLine: number;
+  endLine: number;
+
+  /**
+   * Cosine similarity between the query and the chunk
+   */
+  score: number;
+
+  /**
+   * First lines of the chunk
+   */
+  snippet: string;
+}
+
+/**
+ * Outcome of an index update
+ */
+export interface IndexUpdateStats {
+  files: number;
+  chunks: number;
+  embeddedFiles: number;
+  removedFiles: number;
+}
+
+/**
+ * Semantic index options
+ */
+export interface SemanticIndexOptions {
+  /**
+   * Directory to index
+   */
+  root: string;
+
+  /**
+   * Directory the index files are stored in
+   */
+  directory: string;
+
+  /**
+   * Embedding model
+   */
+  model: string;
+
+  /**
+   * Number of chunks sent per embedding request
+   */
+  batchSize?: number;
+
+  /**
+   * Maximum number of files to index
+   */
+  maxFiles?: number;
+}
+
+const INDEX_VERSION = 1;
+
+/**
+ * Chunks longer than this are split into windows
+ */
+const MAX_CHUNK_LINES = 80;
+
+/**
+ * Chunks with fewer non-empty lines are merged into the previous one
+ */
+const MIN_CHUNK_LINES = 3;
+
+/**
+ * Characters of a chunk sent for embedding
+ */
+const MAX_EMBED_CHARS = 6000;
+
+/**
+ * Lines of a chunk shown in search results
+ */
+const SNIPPET_LINES = 6;
+
+/**
+ * Top-level declarations that start a chunk
+ */
+const DECLARATION_PATTERN = /^(export\s+)?(default\s+)?(declare\s+)?(abstract\s+)?(async\s+)?(function|class|interface|type|enum|const|let|var|namespace|module|def|fn|func|struct|impl|trait|pub|public|private|protected|static)\b/;
+
+/**
+ * Members one level into a class or module that start a chunk
+ */
+const MEMBER_PATTERN = /^(public|private|protected|static|async|get|set|def|fn|func|pub)\b.*\(/;
+
+/**
+ * Lines that belong to the declaration below them
+ */
+const LEADING_PATTERN = /^(\/\*\*|\/\*|\*|\/\/|@|#\[)/;
+
+/**
+ * Measure the indentation of a line in columns
+ */
+function indentation(line: string): number {
+  const match = line.match(/^[ \t]*/)![0];
+  return match.replace(/\t/g, '    ').length;
+}
+
+/**
+ * Whether a line starts a new chunk
+ */
+function isChunkStart(line: string): boolean {
+  const indent = indentation(line);
+  const trimmed = line.trim();
+
+  if (indent === 0) {
+    return DECLARATION_PATTERN.test(trimmed);
+  }
+
+  return indent <= 4 && MEMBER_PATTERN.test(trimmed);
+}
+
+/**
+ * Split a source file into function- and class-sized chunks
+ *
+ * Chunks start at top-level declarations and at members one level in,
+ * together with the comments and decorators above them. Long chunks are
+ * split into windows so each fits an embedding model.
+ */
+export function chunkCode(content: string): CodeChunk[] {
+  const lines = content.replace(/\r\n/g, '\n').split('\n');
+  const starts = [0];
+
+  for (let i = 1; i < lines.length; i++) {
+    if (!isChunkStart(lines[i])) {
+      continue;
+    }
+
+    // Keep doc comments and decorators with the declaration
+    let start = i;
+    while (start > 0 && LEADING_PATTERN.test(lines[start - 1].trim()) && start - 1 > starts[starts.length - 1]) {
+      start--;
+    }
+
+    if (start > starts[starts.length - 1]) {
+      starts.push(start);
+    }
+  }
+
+  const ranges: Array<[number, number]> = [];
+
+  for (let i = 0; i < starts.length; i++) {
+    const start = starts[i];
+    const end = i + 1 < starts.length ? starts[i + 1] : lines.length;
+    const nonEmpty = lines.slice(start, end).filter(line => line.trim()).length;
+
+    if (nonEmpty === 0) {
+      continue;
+    }
+
+    if (nonEmpty < MIN_CHUNK_LINES && ranges.length > 0) {
+      ranges[ranges.length - 1][1] = end;
+    } else {
+      ranges.push([start, end]);
+    }
+  }
+
+  const chunks: CodeChunk[] = [];
+
+  for (const [start, end] of ranges) {
+    for (let windowStart = start; windowStart < end; windowStart += MAX_CHUNK_LINES) {
+      const windowLines = lines.slice(windowStart, Math.min(end, windowStart + MAX_CHUNK_LINES));
+
+      // Leave out blank lines at the end so line ranges are tight
+      while (windowLines.length > 0 && !windowLines[windowLines.length - 1].trim()) {
+        windowLines.pop();
+      }
+
+      if (windowLines.some(line => line.trim())) {
+        chunks.push({
+          startLine: windowStart + 1,
+          endLine: windowStart + windowLines.length,
+          text: windowLines.join('\n')
+        });
+      }
+    }
+  }
+
+  return chunks;
+}
+
+/**
+ * Encode an embedding for storage
+ */
+function encodeVector(vector: number[]): string {
+  return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+}
+
+/**
+ * Decode a stored embedding
+ */
+function decodeVector(encoded: string): Float32Array {
+  // Copy so the floats are aligned regardless of the decoded buffer's offset
+  return new Float32Array(Uint8Array.from(Buffer.from(encoded, 'base64')).buffer);
+}
+
+/**
+ * Cosine similarity of two vectors
+ */
+function cosineSimilarity(a: ArrayLike<number>, b: ArrayLike<number>): number {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Vector index of the code in a directory
+ */
+export class SemanticIndex {
+  private client: AIClientInterface;
+  private options: SemanticIndexOptions;
+  private data: SemanticIndexData | null = null;
+
+  /**
+   * Create an index for a directory
+   */
+  constructor(client: AIClientInterface, options: SemanticIndexOptions) {
+    if (!client.embed) {
+      throw createUserError('The active AI provider does not support embeddings', {
+        category: ErrorCategory.CONFIGURATION,
+        resolution: 'Use the Ollama provider for semantic search.'
+      });
+    }
+
+    this.client = client;
+    this.options = { ...options, root: path.resolve(options.root) };
+  }
+
+  /**
+   * Path of the index file for the directory
+   */
+  get indexPath(): string {
+    const key = crypto.createHash('sha256').update(this.options.root).digest('hex').slice(0, 16);
+    return path.join(this.options.directory, `${key}.json`);
+  }
+
+  /**
+   * Load the index from disk, starting over if it was built differently
+   */
+  private async load(): Promise<SemanticIndexData> {
+    if (this.data) {
+      return this.data;
+    }
+
+    const empty: SemanticIndexData = {
+      version: INDEX_VERSION,
+      root: this.options.root,
+      model: this.options.model,
+      updatedAt: 0,
+      files: {}
+    };
+
+    if (await fileExists(this.indexPath)) {
+      try {
+        const stored = JSON.parse(await readTextFile(this.indexPath)) as SemanticIndexData;
+
+        if (stored.version === INDEX_VERSION && stored.model === this.options.model) {
+          this.data = stored;
+          return stored;
+        }
+
+        logger.info('Semantic index was built with another model or version, rebuilding it');
+      } catch (error) {
+        logger.warn('Semantic index is unreadable, rebuilding it', error);
+      }
+    }
+
+    this.data = empty;
+    return empty;
+  }
+
+  /**
+   * Write the index to disk
+   */
+  private async save(): Promise<void> {
+    if (!this.data) {
+      return;
+    }
+
+    this.data.updatedAt = Date.now();
+    await writeTextFile(this.indexPath, JSON.stringify(this.data));
+  }
+
+  /**
+   * Bring the index up to date with the files on disk
+   *
+   * Files whose size and modification time are unchanged are skipped without
+   * being read, and files whose content is unchanged are not embedded again.
+   * The progress made so far is saved even if the update is cancelled.
+   */
+  async update(options: {
+    onProgress?: (done: number, total: number, file: string) => void;
+    signal?: AbortSignal;
+  } = {}): Promise<IndexUpdateStats> {
+    const data = await this.load();
+    const { root, maxFiles, batchSize = 32 } = this.options;
+
+    const structure = await analyzeCodebase(root, { maxFiles });
+    const files = Object.values(structure.directories)
+      .flat()
+      .filter(file => isCodeFile(path.extname(file).slice(1).toLowerCase()));
+
+    const changed: Array<{ file: string; hash: string; mtimeMs: number; size: number; content: string }> = [];
+    let dirty = false;
+
+    for (const file of files) {
+      const info = await getFileInfo(path.join(root, file));
+      const mtimeMs = Math.floor(info.mtimeMs);
+      const existing = data.files[file];
+
+      if (existing && existing.mtimeMs === mtimeMs && existing.size === info.size) {
+        continue;
+      }
+
+      const content = await readTextFile(path.join(root, file));
+      const hash = crypto.createHash('sha256').update(content).digest('hex');
+
+      if (existing && existing.hash === hash) {
+        existing.mtimeMs = mtimeMs;
+        existing.size = info.size;
+        dirty = true;
+        continue;
+      }
+
+      changed.push({ file, hash, mtimeMs, size: info.size, content });
+    }
+
+    // Drop files that were deleted or are no longer discovered
+    const current = new Set(files);
+    const removed = Object.keys(data.files).filter(file => !current.has(file));
+    for (const file of removed) {
+      delete data.files[file];
+      dirty = true;
+    }
+
+    let embeddedFiles = 0;
+
+    try {
+      for (const { file, hash, mtimeMs, size, content } of changed) {
+        options.onProgress?.(embeddedFiles, changed.length, file);
+
+        const chunks = chunkCode(content);
+        const indexed: IndexedChunk[] = [];
+
+        for (let i = 0; i < chunks.length; i += batchSize) {
+          const batch = chunks.slice(i, i + batchSize);
+          const vectors = await this.client.embed!(
+            batch.map(chunk => `${file}\n${chunk.text}`.slice(0, MAX_EMBED_CHARS)),
+            { model: this.options.model, signal: options.signal }
+          );
+
+          batch.forEach((chunk, index) => indexed.push({ ...chunk, vector: encodeVector(vectors[index]) }));
+        }
+
+        data.files[file] = { hash, mtimeMs, size, chunks: indexed };
+        embeddedFiles++;
+        dirty = true;
+      }
+    } finally {
+      if (dirty) {
+        await this.save();
+      }
+    }
+
+    const chunkCount = Object.values(data.files).reduce((total, file) => total + file.chunks.length, 0);
+    logger.debug('Semantic index updated', { files: files.length, embeddedFiles, removed: removed.length, chunks: chunkCount });
+
+    return {
+      files: files.length,
+      chunks: chunkCount,
+      embeddedFiles,
+      removedFiles: removed.length
+    };
+  }
+
+  /**
+   * Find the chunks most similar to a natural language query
+   */
+  async search(query: string, options: { limit?: number; signal?: AbortSignal } = {}): Promise<SemanticSearchHit[]> {
+    const data = await this.load();
+    const { limit = 10 } = options;
+    const [queryVector] = await this.client.embed!([query], { model: this.options.model, signal: options.signal });
+    const hits: SemanticSearchHit[] = [];
+
+    for (const [file, indexed] of Object.entries(data.files)) {
+      for (const chunk of indexed.chunks) {
+        const vector = decodeVector(chunk.vector);
+
+        if (vector.length !== queryVector.length) {
+          continue;
+        }
+
+        hits.push({
+          path: file,
+          startLine: chunk.startLine,
+          endLine: chunk.endLine,
+          score: cosineSimilarity(queryVector, vector),
+          snippet: chunk.text.split('\n').slice(0, SNIPPET_LINES).join('\n')
+        });
+      }
+    }
+
+    return hits.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
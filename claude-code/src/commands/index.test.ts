@@ -0,0 +1,43 @@
+/**
+ * Tests for the command processor
+ */
+
+import { describe, expect, it } from 'vitest';
+// The command modules read ArgType from index.js as they load, so they
+// have to be loaded before it
+import './register.js';
+import { splitCommandLine } from './index.js';
+
+describe('splitCommandLine', () => {
+  it('splits on runs of whitespace', () => {
+    expect(splitCommandLine('  ask   "why"\tnow ')).toEqual(['ask', 'why', 'now']);
+    expect(splitCommandLine('')).toEqual([]);
+  });
+
+  it('keeps quoted text together', () => {
+    expect(splitCommandLine(`ask "what does this do?" --context 'src/my file.ts'`))
+      .toEqual(['ask', 'what does this do?', '--context', 'src/my file.ts']);
+  });
+
+  it('joins quoted and unquoted parts of one argument', () => {
+    expect(splitCommandLine(`--issue="off by one"s`)).toEqual(['--issue=off by ones']);
+  });
+
+  it('keeps empty quoted arguments', () => {
+    expect(splitCommandLine(`commit "" ''`)).toEqual(['commit', '', '']);
+  });
+
+  it('keeps the other quote inside quotes', () => {
+    expect(splitCommandLine(`ask "it's" 'say "hi"'`)).toEqual(['ask', "it's", 'say "hi"']);
+  });
+
+  it('escapes the next character with a backslash, except in single quotes', () => {
+    expect(splitCommandLine('src/my\\ file.ts "a \\"b\\""')).toEqual(['src/my file.ts', 'a "b"']);
+    expect(splitCommandLine(`'C:\\dir'`)).toEqual(['C:\\dir']);
+  });
+
+  it('keeps a trailing backslash and an unterminated quote', () => {
+    expect(splitCommandLine('a\\')).toEqual(['a\\']);
+    expect(splitCommandLine('ask "unfinished question')).toEqual(['ask', 'unfinished question']);
+  });
+});
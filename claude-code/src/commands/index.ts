@@ -10,6 +10,7 @@ import { ErrorCategory } from '../errors/types.js';
 import { logger } from '../utils/logger.js';
 import { isNonEmptyString } from '../utils/validation.js';
 import { registerCommands } from './register.js';
+import { completeFilePath } from '../ai/mentions.js';
 
 /**
  * Command argument types
@@ -247,6 +248,7 @@ export function parseArgs(
   const result: Record<string, any> = {};
   const positionalArgs: string[] = [];
   const flagArgs: Map<string, CommandArgDef> = new Map();
+  const givenFlags: Set<string> = new Set();
   const errors: string[] = [];
   
   // Initialize defaults
@@ -271,6 +273,12 @@ export function parseArgs(
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
     
+    if (arg === '--') {
+      // Everything after -- is positional, even if it looks like a flag
+      positionalArgs.push(...args.slice(i + 1));
+      break;
+    }
+    
     if (arg.startsWith('--') || (arg.startsWith('-') && arg.length === 2)) {
       // Flag argument
       const argDef = flagArgs.get(arg);
@@ -292,8 +300,13 @@ export function parseArgs(
         
         const value = args[++i];
         
-        // Convert value based on type
-        result[argDef.name] = convertArgValue(value, argDef);
+        // Convert value based on type; repeated array flags add to the
+        // values given before
+        const converted = convertArgValue(value, argDef);
+        result[argDef.name] = argDef.type === ArgType.ARRAY && givenFlags.has(argDef.name)
+          ? [...result[argDef.name], ...converted]
+          : converted;
+        givenFlags.add(argDef.name);
         
         // Validate choices
         if (argDef.choices && !argDef.choices.includes(String(result[argDef.name]))) {
@@ -306,6 +319,9 @@ export function parseArgs(
     }
   }
   
+  // Keep raw positional values for commands that read them directly
+  result._ = positionalArgs;
+  
   // Process positional args
   if (command.args) {
     const positionalArgDefs = command.args
@@ -495,7 +511,8 @@ export function generateCommandHelp(command: CommandDef): string {
  */
 export async function executeCommand(
   commandName: string,
-  args: string[]
+  args: string[],
+  terminal?: any
 ): Promise<any> {
   const command = commandRegistry.get(commandName);
   
@@ -513,6 +530,11 @@ export async function executeCommand(
     // Log command execution
     logger.debug(`Executing command: ${command.name}`, { args: parsedArgs });
     
+    // Give handlers access to the terminal interface
+    if (terminal) {
+      parsedArgs._terminal = terminal;
+    }
+    
     // Execute the command
     return await command.handler(parsedArgs);
   } catch (error) {
@@ -521,6 +543,52 @@ export async function executeCommand(
   }
 }
 
+/**
+ * Split a command line into arguments, keeping quoted text together
+ * 
+ * Single and double quotes group words, and a backslash escapes the next
+ * character outside single quotes.
+ */
+export function splitCommandLine(line: string): string[] {
+  const args: string[] = [];
+  let current = '';
+  let quote: string | null = null;
+  let inArg = false;
+  
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    
+    if (char === '\\' && quote !== "'" && i + 1 < line.length) {
+      current += line[++i];
+      inArg = true;
+    } else if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else {
+        current += char;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      inArg = true;
+    } else if (/\s/.test(char)) {
+      if (inArg) {
+        args.push(current);
+        current = '';
+        inArg = false;
+      }
+    } else {
+      current += char;
+      inArg = true;
+    }
+  }
+  
+  if (inArg) {
+    args.push(current);
+  }
+  
+  return args;
+}
+
 /**
  * Initialize the command processor
  * 
@@ -551,11 +619,15 @@ export async function initCommandProcessor(
        * Execute a command with the given arguments
        */
       executeCommand: async (commandName: string, args: string[]): Promise<any> => {
-        return executeCommand(commandName, args);
+        return executeCommand(commandName, args, dependencies.terminal);
       },
       
       /**
-       * Start the interactive command loop
+       * Start the interactive loop
+       * 
+       * Plain input is a turn of the conversation, sent with the earlier
+       * turns of the current session and streamed back. Commands are
+       * reached with a / prefix, e.g. /explain src/index.ts.
        */
       startCommandLoop: async (): Promise<void> => {
         const { terminal } = dependencies;
@@ -570,32 +642,39 @@ export async function initCommandProcessor(
               name: 'command',
               message: terminal.getPromptText(),
               prefix: '',
+              completer: completeFilePath
             });
             
             if (!input.command || input.command.trim() === '') {
               continue;
             }
             
+            const line = input.command.trim();
+            
             // Handle special exit commands
-            if (['exit', 'quit', 'q', '.exit'].includes(input.command.toLowerCase())) {
+            if (['exit', 'quit', 'q', '.exit', '/exit', '/quit'].includes(line.toLowerCase())) {
               running = false;
               continue;
             }
             
+            // Anything without a / prefix is a turn of the conversation
+            if (!line.startsWith('/')) {
+              await executeCommand('ask', ['--', line], terminal);
+              continue;
+            }
+            
             // Parse input into command and args
-            const parts = input.command.trim().split(/\s+/);
-            const commandName = parts[0];
-            const commandArgs = parts.slice(1);
+            const [commandName = '', ...commandArgs] = splitCommandLine(line.slice(1));
             
             // Check if command exists
             if (!commandRegistry.exists(commandName)) {
-              terminal.error(`Unknown command: ${commandName}`);
-              terminal.info('Type "help" to see available commands.');
+              terminal.error(`Unknown command: /${commandName}`);
+              terminal.info('Type "/help" to see available commands.');
               continue;
             }
             
             // Execute the command
-            await executeCommand(commandName, commandArgs);
+            await executeCommand(commandName, commandArgs, terminal);
           } catch (error) {
             dependencies.errors.handleError(error);
           }
@@ -0,0 +1,139 @@
+/**
+ * Model Commands
+ *
+ * Provider-neutral commands for listing and selecting models.
+ */
+
+import { CommandDef as CommandDefinition } from './index.js';
+import { getAIClient, getActiveProvider } from '../ai/index.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * List models available from the active provider
+ */
+export const listModelsCommand: CommandDefinition = {
+  name: 'model:list',
+  description: 'List models available from the active provider. Usage: model:list',
+  examples: ['model:list'],
+  handler: async (args: Record<string, any>) => {
+    const terminal = args._terminal;
+
+    try {
+      const client = getAIClient();
+      const provider = getActiveProvider();
+
+      if (!client.listAvailableModels) {
+        terminal.warn(`The ${provider} provider does not support listing models.`);
+        return 1;
+      }
+
+      terminal.info(`Fetching models from ${provider}...`);
+      const models = await client.listAvailableModels();
+
+      if (models.length === 0) {
+        terminal.warn('No models found.');
+        return 0;
+      }
+
+      const activeModel = client.getActiveModel?.();
+
+      terminal.emphasize(`Found ${models.length} models:`);
+      terminal.table(
+        models.map(model => [
+          model.id === activeModel ? `${model.name} *` : model.name,
+          model.version || 'N/A'
+        ]),
+        { header: ['Model', 'Version'] }
+      );
+
+      return 0;
+    } catch (error) {
+      logger.error('Failed to list models', error);
+      terminal.error(`Error listing models: ${error instanceof Error ? error.message : String(error)}`);
+      return 1;
+    }
+  }
+};
+
+/**
+ * Set the active model for the current provider
+ */
+export const useModelCommand: CommandDefinition = {
+  name: 'model:use',
+  description: 'Set the active model for the current provider. Usage: model:use <model_name>',
+  examples: ['model:use qwen2.5-coder-7b-instruct'],
+  handler: async (args: Record<string, any>) => {
+    const terminal = args._terminal;
+
+    if (!args.name && (!args._ || args._.length < 1)) {
+      terminal.error('Error: Model name is required');
+      terminal.info('Usage: model:use <model_name>');
+      return 1;
+    }
+
+    const modelName = args.name || args._[0];
+
+    try {
+      const client = getAIClient();
+
+      if (!client.setActiveModel) {
+        terminal.warn(`The ${getActiveProvider()} provider does not support switching models.`);
+        return 1;
+      }
+
+      // Validate against the server's list when the provider can report one
+      if (client.listAvailableModels) {
+        const models = await client.listAvailableModels();
+
+        if (models.length > 0 && !models.some(model => model.id === modelName)) {
+          terminal.error(`Error: Model '${modelName}' not found`);
+          terminal.info('Use the model:list command to see available models');
+          return 1;
+        }
+      }
+
+      client.setActiveModel(modelName);
+      terminal.success(`Active model set to '${modelName}'`);
+
+      return 0;
+    } catch (error) {
+      logger.error(`Failed to set model to ${modelName}`, error);
+      terminal.error(`Error setting model: ${error instanceof Error ? error.message : String(error)}`);
+      return 1;
+    }
+  }
+};
+
+/**
+ * Show the currently active model
+ */
+export const currentModelCommand: CommandDefinition = {
+  name: 'model:current',
+  description: 'Show the currently active provider and model. Usage: model:current',
+  examples: ['model:current'],
+  handler: async (args: Record<string, any>) => {
+    const terminal = args._terminal;
+
+    try {
+      const client = getAIClient();
+
+      terminal.emphasize(`Provider: ${getActiveProvider()}`);
+      terminal.info(`Model: ${client.getActiveModel?.() || 'server default'}`);
+
+      return 0;
+    } catch (error) {
+      logger.error('Failed to show current model', error);
+      terminal.error(`Error: ${error instanceof Error ? error.message : String(error)}`);
+      return 1;
+    }
+  }
+};
+
+/**
+ * All model commands
+ */
+export const modelCommands: CommandDefinition[] = [
+  listModelsCommand,
+  useModelCommand,
+  currentModelCommand
+];
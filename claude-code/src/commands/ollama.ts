@@ -4,19 +4,41 @@
  * Commands for interacting with Ollama LLMs.
  */
 
-import { CommandDef as CommandDefinition } from './index.js';
-import { getAIClient, getActiveProvider, AIProvider } from '../ai/index.js';
+import { CommandDef as CommandDefinition, ArgType } from './index.js';
+import {
+  getAIClient,
+  getActiveProvider,
+  AIProvider,
+  unwrapAIClient,
+  setCommandModel,
+  setCommandModels,
+  getModelRoutes,
+  getFallbackModels
+} from '../ai/index.js';
 import { OllamaClient } from '../ai/providers/ollama/client.js';
+import { parseModelfile } from '../ai/providers/ollama/modelfile.js';
+import {
+  BENCHMARK_CASES,
+  BenchmarkResult,
+  runBenchmark,
+  createBenchmarkReport,
+  formatBenchmarkCsv
+} from '../ai/providers/ollama/bench.js';
 import { logger } from '../utils/logger.js';
 import { createUserError } from '../errors/formatter.js';
 import { ErrorCategory } from '../errors/types.js';
 import { TerminalInterface } from '../terminal/types.js';
+import { promptConfirm } from '../terminal/prompt.js';
+import { fileExists, readTextFile, writeTextFile } from '../fs/operations.js';
+import { formatFileSize } from '../utils/formatting.js';
+import { withCancellation, isAbortError } from '../utils/cancellation.js';
+import { openSessionStore } from '../session/index.js';
 
 /**
  * Get Ollama client with type checking
  */
 function getOllamaClient(): OllamaClient {
-  const client = getAIClient();
+  const client = unwrapAIClient(getAIClient());
   const provider = getActiveProvider();
   
   if (provider !== AIProvider.OLLAMA) {
@@ -51,6 +73,70 @@ function getOllamaClient(): OllamaClient {
   return client as OllamaClient;
 }
 
+/**
+ * Pull a model, showing a progress bar per layer
+ *
+ * @returns Whether the model was pulled
+ */
+async function pullWithProgress(client: OllamaClient, terminal: TerminalInterface, modelName: string): Promise<boolean> {
+  const progress = terminal.createProgressRenderer();
+  let lastStatus = '';
+  
+  try {
+    await withCancellation(signal => client.pullModel(modelName, update => {
+      if (update.digest && update.total) {
+        progress.update(update.digest, update.status, update.completed || 0, update.total);
+      } else if (update.status !== lastStatus && update.status !== 'success') {
+        progress.status(update.status);
+      }
+      lastStatus = update.status;
+    }, signal));
+    
+    progress.end();
+    terminal.success(`Pulled model '${modelName}'`);
+    return true;
+  } catch (error) {
+    progress.end();
+    
+    if (isAbortError(error)) {
+      terminal.warn('Pull cancelled.');
+      return false;
+    }
+    
+    throw error;
+  }
+}
+
+/**
+ * Route a command to a model for the rest of the current session
+ *
+ * The model is kept with the session's conversation, so later invocations
+ * that continue the session use it too. Like pinning a file, this starts a
+ * session when there is none yet.
+ */
+async function setSessionCommandModel(command: string, modelName: string): Promise<void> {
+  const current = await openSessionStore();
+  
+  if (!current) {
+    setCommandModel(command, modelName);
+    return;
+  }
+  
+  const { store, session } = current;
+  session.conversation.commandModels = { ...session.conversation.commandModels, [command]: modelName };
+  setCommandModels(session.conversation.commandModels);
+  
+  await store.save(session);
+  await store.setCurrent(session.id);
+}
+
+/**
+ * Get the first positional argument of a command
+ */
+function getPositional(args: Record<string, any>, name: string, index = 0): string | undefined {
+  return args[name] || args._?.[index];
+}
+
 /**
  * List available Ollama models
  */
@@ -111,14 +197,29 @@ export const listModelsCommand: CommandDefinition = {
  */
 export const setModelCommand: CommandDefinition = {
   name: 'ollama:use',
-  description: 'Set the active Ollama model to use. Usage: ollama:use <model_name>',
-  examples: ['ollama:use deepseek-r1:8b'],
+  description: 'Set the active Ollama model, or the model for one command. Usage: ollama:use <model_name> [--command <command>]',
+  examples: ['ollama:use deepseek-r1:8b', 'ollama:use qwen2.5-coder:7b --command generate'],
+  args: [
+    {
+      name: 'name',
+      description: 'Model to use',
+      type: ArgType.STRING,
+      position: 0,
+      required: false
+    },
+    {
+      name: 'command',
+      description: 'Only use the model for this command (e.g. ask, explain, generate)',
+      type: ArgType.STRING,
+      shortFlag: 'c'
+    }
+  ],
   handler: async (args: Record<string, any>) => {
     const terminal = args._terminal;
     
     if (!args.name && (!args._ || args._.length < 1)) {
       terminal.error('Error: Model name is required');
-      terminal.info('Usage: ollama:use <model_name>');
+      terminal.info('Usage: ollama:use <model_name> [--command <command>]');
       return 1;
     }
     
@@ -140,15 +241,29 @@ export const setModelCommand: CommandDefinition = {
       const modelExists = allModels.models.some(m => m.name === modelName);
       
       if (!modelExists) {
-        terminal.error(`Error: Model '${modelName}' not found`);
-        terminal.info('Use the ollama:list command to see available models');
-        terminal.info('You can install models with: ollama pull <model_name>');
-        return 1;
+        terminal.warn(`Model '${modelName}' is not installed`);
+        
+        const pull = process.stdin.isTTY && await promptConfirm(`Pull '${modelName}' now?`, { default: true });
+        
+        if (!pull) {
+          terminal.info('Use the ollama:list command to see available models');
+          terminal.info(`You can install it with: ollama:pull ${modelName}`);
+          return 1;
+        }
+        
+        if (!await pullWithProgress(client, terminal, modelName)) {
+          return 1;
+        }
       }
       
-      // Set active model
-      client.setActiveModel(modelName);
-      terminal.success(`Active model set to '${modelName}'`);
+      // Set the model for one command, or the active model for all others
+      if (args.command) {
+        await setSessionCommandModel(args.command, modelName);
+        terminal.success(`Model for '${args.command}' set to '${modelName}' for this session`);
+      } else {
+        client.setActiveModel(modelName);
+        terminal.success(`Active model set to '${modelName}'`);
+      }
       
       // Show model details
       const info = allModels.models.find(m => m.name === modelName);
@@ -197,6 +312,26 @@ export const showModelCommand: CommandDefinition = {
         terminal.info(`Family: ${info.details.family || 'Unknown'}`);
       }
       
+      // Show per-command routes, with those of the current session, and the
+      // fallback chain
+      const current = await openSessionStore();
+      if (current) {
+        setCommandModels(current.session.conversation.commandModels);
+      }
+      
+      const routes = Object.entries(getModelRoutes());
+      if (routes.length > 0) {
+        terminal.emphasize('Per-command models:');
+        for (const [command, model] of routes) {
+          terminal.info(`${command}: ${model}`);
+        }
+      }
+      
+      const fallbackModels = getFallbackModels();
+      if (fallbackModels.length > 0) {
+        terminal.info(`Fallback models: ${fallbackModels.join(' → ')}`);
+      }
+      
       return 0;
     } catch (error) {
       logger.error('Failed to show current Ollama model', error);
@@ -337,6 +472,460 @@ export const setServerCommand: CommandDefinition = {
   }
 };
 
+/**
+ * Show the status of each configured Ollama server
+ */
+export const serversCommand: CommandDefinition = {
+  name: 'ollama:servers',
+  description: 'Show the health, latency and models of each configured Ollama server. Usage: ollama:servers',
+  examples: ['ollama:servers', 'OLLAMA_BASE_URL=http://host.docker.internal:11434,http://gpu-box:11434 tcode ollama:servers'],
+  handler: async (args: Record<string, any>) => {
+    const terminal = args._terminal;
+    
+    try {
+      const client = getOllamaClient();
+      terminal.info(`Checking ${client.endpoints.length} Ollama server(s)...`);
+      
+      const statuses = await client.checkEndpoints();
+      
+      terminal.table(
+        statuses.map(status => [
+          status.url,
+          status.healthy ? 'up' : 'down',
+          status.latencyMs !== undefined ? `${status.latencyMs}ms` : '-',
+          status.healthy
+            ? status.models.map(model => model.name).join('\n') || '(none)'
+            : status.error || 'Unreachable'
+        ]),
+        { header: ['Server', 'Status', 'Latency', 'Models'] }
+      );
+      
+      const down = statuses.filter(status => !status.healthy).length;
+      
+      if (down === statuses.length) {
+        terminal.error('No Ollama server is reachable.');
+        return 1;
+      }
+      
+      if (down > 0) {
+        terminal.warn(`${down} of ${statuses.length} servers are down; requests go to the others.`);
+      }
+      
+      return 0;
+    } catch (error) {
+      logger.error('Failed to check Ollama servers', error);
+      terminal.error(`Error checking servers: ${error instanceof Error ? error.message : String(error)}`);
+      return 1;
+    }
+  }
+};
+
+/**
+ * Download a model
+ */
+export const pullModelCommand: CommandDefinition = {
+  name: 'ollama:pull',
+  description: 'Download a model from the Ollama registry. Usage: ollama:pull <model_name>',
+  examples: ['ollama:pull llama3.2:3b', 'ollama:pull qwen2.5-coder:7b'],
+  handler: async (args: Record<string, any>) => {
+    const terminal = args._terminal;
+    const modelName = getPositional(args, 'name');
+    
+    if (!modelName) {
+      terminal.error('Error: Model name is required');
+      terminal.info('Usage: ollama:pull <model_name>');
+      return 1;
+    }
+    
+    try {
+      return await pullWithProgress(getOllamaClient(), terminal, modelName) ? 0 : 1;
+    } catch (error) {
+      logger.error(`Failed to pull Ollama model ${modelName}`, error);
+      terminal.error(`Error pulling model: ${error instanceof Error ? error.message : String(error)}`);
+      return 1;
+    }
+  }
+};
+
+/**
+ * Delete a model
+ */
+export const removeModelCommand: CommandDefinition = {
+  name: 'ollama:rm',
+  description: 'Delete an installed Ollama model. Usage: ollama:rm <model_name> [--yes]',
+  examples: ['ollama:rm llama3.2:3b', 'ollama:rm old-model --yes'],
+  args: [
+    {
+      name: 'name',
+      description: 'Model to delete',
+      type: ArgType.STRING,
+      position: 0,
+      required: false
+    },
+    {
+      name: 'yes',
+      description: 'Delete without asking for confirmation',
+      type: ArgType.BOOLEAN,
+      shortFlag: 'y'
+    }
+  ],
+  handler: async (args: Record<string, any>) => {
+    const terminal = args._terminal;
+    const modelName = getPositional(args, 'name');
+    
+    if (!modelName) {
+      terminal.error('Error: Model name is required');
+      terminal.info('Usage: ollama:rm <model_name> [--yes]');
+      return 1;
+    }
+    
+    try {
+      const client = getOllamaClient();
+      
+      if (!args.yes && !await promptConfirm(`Delete model '${modelName}'?`, { default: false })) {
+        terminal.info('Nothing deleted.');
+        return 0;
+      }
+      
+      await client.deleteModel(modelName);
+      terminal.success(`Deleted model '${modelName}'`);
+      
+      if (client.getActiveModel() === modelName) {
+        terminal.warn('This was the active model. Select another one with ollama:use <model_name>');
+      }
+      
+      return 0;
+    } catch (error) {
+      logger.error(`Failed to delete Ollama model ${modelName}`, error);
+      terminal.error(`Error deleting model: ${error instanceof Error ? error.message : String(error)}`);
+      return 1;
+    }
+  }
+};
+
+/**
+ * Show the details of a model
+ */
+export const showModelDetailsCommand: CommandDefinition = {
+  name: 'ollama:show',
+  description: 'Show the details of an Ollama model. Usage: ollama:show [model_name] [--modelfile]',
+  examples: ['ollama:show', 'ollama:show llama3.2:3b', 'ollama:show llama3.2:3b --modelfile'],
+  args: [
+    {
+      name: 'name',
+      description: 'Model to show (defaults to the active model)',
+      type: ArgType.STRING,
+      position: 0,
+      required: false
+    },
+    {
+      name: 'modelfile',
+      description: 'Print the full Modelfile',
+      type: ArgType.BOOLEAN
+    }
+  ],
+  handler: async (args: Record<string, any>) => {
+    const terminal = args._terminal;
+    
+    try {
+      const client = getOllamaClient();
+      const modelName = getPositional(args, 'name') || client.getActiveModel();
+      const info = await client.showModel(modelName);
+      
+      // The Modelfile, parameters and template are printed verbatim, so
+      // they can be saved and used again
+      if (args.modelfile) {
+        process.stdout.write(`${(info.modelfile || '').trimEnd()}\n`);
+        return 0;
+      }
+      
+      const architecture = info.model_info?.['general.architecture'];
+      const contextLength = info.model_info?.[`${architecture}.context_length`];
+      
+      terminal.emphasize(`Model: ${modelName}`);
+      terminal.info(`Family: ${info.details?.family || 'Unknown'}`);
+      terminal.info(`Parameters: ${info.details?.parameter_size || 'Unknown'}`);
+      terminal.info(`Quantization: ${info.details?.quantization_level || 'None'}`);
+      terminal.info(`Context length: ${contextLength ?? 'Unknown'}`);
+      terminal.info(`Capabilities: ${info.capabilities?.join(', ') || 'Unknown'}`);
+      
+      if (info.parameters) {
+        terminal.emphasize('Parameters:');
+        process.stdout.write(`${info.parameters.trimEnd()}\n`);
+      }
+      
+      if (info.template) {
+        terminal.emphasize('Template:');
+        process.stdout.write(`${info.template.trimEnd()}\n`);
+      }
+      
+      return 0;
+    } catch (error) {
+      logger.error('Failed to show Ollama model', error);
+      terminal.error(`Error showing model: ${error instanceof Error ? error.message : String(error)}`);
+      return 1;
+    }
+  }
+};
+
+/**
+ * List loaded models, or unload one
+ */
+export const runningModelsCommand: CommandDefinition = {
+  name: 'ollama:ps',
+  description: 'List the models loaded in memory, or unload one. Usage: ollama:ps [--unload <model_name>]',
+  examples: ['ollama:ps', 'ollama:ps --unload llama3.2:3b'],
+  args: [
+    {
+      name: 'unload',
+      description: 'Unload this model from memory',
+      type: ArgType.STRING,
+      shortFlag: 'u'
+    }
+  ],
+  handler: async (args: Record<string, any>) => {
+    const terminal = args._terminal;
+    
+    try {
+      const client = getOllamaClient();
+      
+      if (args.unload) {
+        await client.unloadModel(args.unload);
+        terminal.success(`Unloaded model '${args.unload}'`);
+        return 0;
+      }
+      
+      const { models } = await client.listRunningModels();
+      
+      if (models.length === 0) {
+        terminal.info('No models are loaded.');
+        return 0;
+      }
+      
+      terminal.table(
+        models.map(model => {
+          const gpuShare = model.size > 0 ? Math.round(model.size_vram / model.size * 100) : 0;
+          
+          return [
+            model.name,
+            formatFileSize(model.size),
+            formatFileSize(model.size_vram),
+            formatFileSize(Math.max(0, model.size - model.size_vram)),
+            gpuShare === 100 ? '100% GPU' : gpuShare === 0 ? '100% CPU' : `${100 - gpuShare}%/${gpuShare}% CPU/GPU`,
+            model.expires_at ? new Date(model.expires_at).toLocaleTimeString() : 'Unknown'
+          ];
+        }),
+        { header: ['Model', 'Size', 'VRAM', 'RAM', 'Processor', 'Unloads at'] }
+      );
+      
+      return 0;
+    } catch (error) {
+      logger.error('Failed to list running Ollama models', error);
+      terminal.error(`Error listing running models: ${error instanceof Error ? error.message : String(error)}`);
+      return 1;
+    }
+  }
+};
+
+/**
+ * Copy a model
+ */
+export const copyModelCommand: CommandDefinition = {
+  name: 'ollama:cp',
+  description: 'Copy an Ollama model to a new name. Usage: ollama:cp <source> <destination>',
+  examples: ['ollama:cp llama3.2:3b my-llama'],
+  handler: async (args: Record<string, any>) => {
+    const terminal = args._terminal;
+    const [source, destination] = args._ || [];
+    
+    if (!source || !destination) {
+      terminal.error('Error: Source and destination are required');
+      terminal.info('Usage: ollama:cp <source> <destination>');
+      return 1;
+    }
+    
+    try {
+      await getOllamaClient().copyModel(source, destination);
+      terminal.success(`Copied '${source}' to '${destination}'`);
+      return 0;
+    } catch (error) {
+      logger.error(`Failed to copy Ollama model ${source}`, error);
+      terminal.error(`Error copying model: ${error instanceof Error ? error.message : String(error)}`);
+      return 1;
+    }
+  }
+};
+
+/**
+ * Create a model from a Modelfile
+ */
+export const createModelCommand: CommandDefinition = {
+  name: 'ollama:create',
+  description: 'Create an Ollama model from a Modelfile. Usage: ollama:create <model_name> [--file <path>]',
+  examples: ['ollama:create my-assistant', 'ollama:create my-assistant --file ./models/Modelfile'],
+  args: [
+    {
+      name: 'name',
+      description: 'Name of the new model',
+      type: ArgType.STRING,
+      position: 0,
+      required: false
+    },
+    {
+      name: 'file',
+      description: 'Path to the Modelfile',
+      type: ArgType.STRING,
+      shortFlag: 'f',
+      default: 'Modelfile'
+    }
+  ],
+  handler: async (args: Record<string, any>) => {
+    const terminal = args._terminal;
+    const modelName = getPositional(args, 'name');
+    
+    if (!modelName) {
+      terminal.error('Error: Model name is required');
+      terminal.info('Usage: ollama:create <model_name> [--file <path>]');
+      return 1;
+    }
+    
+    if (!await fileExists(args.file)) {
+      terminal.error(`Modelfile not found: ${args.file}`);
+      return 1;
+    }
+    
+    try {
+      const request = { model: modelName, ...parseModelfile(await readTextFile(args.file)) };
+      const spinner = terminal.spinner(`Creating model '${modelName}' from ${request.from}...`);
+      
+      try {
+        await withCancellation(signal => getOllamaClient().createModel(request, update => {
+          spinner.update(update.status);
+        }, signal));
+      } catch (error) {
+        spinner.fail();
+        
+        if (isAbortError(error)) {
+          terminal.warn('Create cancelled.');
+          return 1;
+        }
+        throw error;
+      }
+      
+      spinner.succeed(`Created model '${modelName}'`);
+      return 0;
+    } catch (error) {
+      logger.error(`Failed to create Ollama model ${modelName}`, error);
+      terminal.error(`Error creating model: ${error instanceof Error ? error.message : String(error)}`);
+      return 1;
+    }
+  }
+};
+
+/**
+ * Format a duration in milliseconds as seconds for the benchmark table
+ */
+function formatSeconds(ms?: number): string {
+  return ms !== undefined ? `${(ms / 1000).toFixed(2)}s` : '-';
+}
+
+/**
+ * Benchmark models on this machine
+ */
+export const benchmarkCommand: CommandDefinition = {
+  name: 'ollama:bench',
+  description: 'Benchmark installed models with a fixed set of prompts. Usage: ollama:bench [model_name...] [--output <file.json|file.csv>]',
+  examples: [
+    'ollama:bench',
+    'ollama:bench llama3.2:3b qwen2.5-coder:7b',
+    'ollama:bench llama3.2:3b-instruct-q4_K_M llama3.2:3b-instruct-q8_0 --output bench.csv',
+    'ollama:bench --cases chat,code'
+  ],
+  args: [
+    {
+      name: 'cases',
+      description: `Comma-separated cases to run (${BENCHMARK_CASES.map(benchmarkCase => benchmarkCase.name).join(', ')})`,
+      type: ArgType.STRING,
+      shortFlag: 'c'
+    },
+    {
+      name: 'output',
+      description: 'Save the results to a .json or .csv file',
+      type: ArgType.STRING,
+      shortFlag: 'o'
+    }
+  ],
+  handler: async (args: Record<string, any>) => {
+    const terminal = args._terminal;
+    
+    try {
+      const client = getOllamaClient();
+      const models: string[] = args._?.length ? args._ : [client.getActiveModel()];
+      const cases = args.cases
+        ? String(args.cases).split(',').map(name => name.trim()).filter(Boolean)
+        : undefined;
+      
+      const unknownCase = cases?.find(name => !BENCHMARK_CASES.some(benchmarkCase => benchmarkCase.name === name));
+      if (unknownCase) {
+        terminal.error(`Unknown benchmark case: ${unknownCase}`);
+        terminal.info(`Available cases: ${BENCHMARK_CASES.map(benchmarkCase => benchmarkCase.name).join(', ')}`);
+        return 1;
+      }
+      
+      const results: BenchmarkResult[] = [];
+      const spinner = terminal.spinner('Starting benchmark...');
+      
+      try {
+        for (const model of models) {
+          results.push(...await withCancellation(signal => runBenchmark(client, model, {
+            cases,
+            signal,
+            onCase: (name, benchmarkCase) => spinner.update(`Benchmarking ${name}: ${benchmarkCase.description}...`)
+          })));
+        }
+        spinner.stop();
+      } catch (error) {
+        spinner.fail();
+        
+        if (isAbortError(error)) {
+          terminal.warn('Benchmark cancelled.');
+          return 1;
+        }
+        throw error;
+      }
+      
+      terminal.table(
+        results.map(result => [
+          result.model,
+          result.case,
+          result.error ? `Error: ${result.error}` : formatSeconds(result.loadMs),
+          formatSeconds(result.timeToFirstTokenMs),
+          result.promptTokensPerSecond?.toFixed(1) ?? '-',
+          result.outputTokensPerSecond?.toFixed(1) ?? '-',
+          result.peakMemoryBytes !== undefined ? formatFileSize(result.peakMemoryBytes) : '-'
+        ]),
+        { header: ['Model', 'Case', 'Load', 'First token', 'Prompt tok/s', 'Gen tok/s', 'Peak memory'] }
+      );
+      
+      if (args.output) {
+        const report = await createBenchmarkReport(client, results);
+        const content = String(args.output).toLowerCase().endsWith('.csv')
+          ? formatBenchmarkCsv(report)
+          : JSON.stringify(report, null, 2) + '\n';
+        
+        await writeTextFile(args.output, content);
+        terminal.success(`Saved results to ${args.output}`);
+      }
+      
+      return results.some(result => result.error) ? 1 : 0;
+    } catch (error) {
+      logger.error('Failed to benchmark Ollama models', error);
+      terminal.error(`Error running benchmark: ${error instanceof Error ? error.message : String(error)}`);
+      return 1;
+    }
+  }
+};
+
 /**
  * All Ollama commands
  */
@@ -344,5 +933,13 @@ export const ollamaCommands: CommandDefinition[] = [
   listModelsCommand,
   setModelCommand,
   showModelCommand,
-  setServerCommand
+  setServerCommand,
+  serversCommand,
+  pullModelCommand,
+  removeModelCommand,
+  showModelDetailsCommand,
+  runningModelsCommand,
+  copyModelCommand,
+  createModelCommand,
+  benchmarkCommand
 ]; 
\ No newline at end of file
@@ -4,16 +4,68 @@
  * Registers all available CLI commands with the command registry.
  */
 
+import path from 'path';
 import { commandRegistry, ArgType, CommandDef } from './index.js';
 import { logger } from '../utils/logger.js';
-import { getAIClient, initAI } from '../ai/index.js';
-import { fileExists, readTextFile } from '../fs/operations.js';
+import {
+  getAIClient,
+  getActiveProvider,
+  ResponseCache,
+  getResponseCacheConfig,
+  generateWithFallback,
+  streamWithFallback,
+  getCommandModel,
+  setCommandModels,
+  resolveModelChain,
+  planContext,
+  ContextInput,
+  ContextPlan,
+  splitReasoning,
+  generateStructured,
+  CodeChanges,
+  CODE_CHANGES_SCHEMA,
+  buildConversationSystemPrompt,
+  buildPrompt,
+  resolvePromptFiles,
+  resolveContextLength,
+  getContextLimits,
+  getPinnedWarning,
+  isAIInitialized,
+  ContextFile
+} from '../ai/index.js';
+import { fileExists, readTextFile, readImageFile, writeTextFile } from '../fs/operations.js';
 import { isNonEmptyString } from '../utils/validation.js';
 import { formatErrorForDisplay } from '../errors/formatter.js';
 import { authManager } from '../auth/index.js';
 import { createUserError } from '../errors/formatter.js';
 import { ErrorCategory } from '../errors/types.js';
+import { formatUsage, formatContextBudget } from '../terminal/formatting.js';
+import { formatNumber, formatFileSize, formatDate, truncate, createTextTable } from '../utils/formatting.js';
+import { runAgent } from '../agent/index.js';
+import { SemanticIndex } from '../codebase/semantic.js';
+import { withCancellation, isAbortError } from '../utils/cancellation.js';
+import { initFileOperations } from '../fileops/index.js';
+import { initExecutionEnvironment } from '../execution/index.js';
+import { AIUsage, CompletionRequest, CompletionResponse, ImageAttachment } from '../ai/types.js';
+import {
+  SessionStore,
+  Session,
+  SessionExchange,
+  getSessionStoreConfig,
+  openSessionStore,
+  getSessionMessages,
+  resetConversation,
+  exportSession,
+  importSession,
+  getExportFormat,
+  ExportFormat,
+  pinFiles,
+  unpinFiles,
+  readPinnedFiles,
+  getPinnedReference
+} from '../session/index.js';
 import { ollamaCommands } from './ollama.js';
+import { modelCommands } from './model.js';
 import commandSystem from './index.js';
 
 // Registry shortcut function
@@ -21,25 +73,435 @@ function registerCommand(name: string, command: CommandDef): void {
   commandSystem.commandRegistry.register(command);
 }
 
-// Add this function at the top of the file
-async function safeComplete(client: any, prompt: string, options?: any): Promise<any> {
-  if (typeof client.complete === 'function') {
-    return await client.complete(prompt, options);
-  } else if (typeof client.generateCompletion === 'function') {
-    const response = await client.generateCompletion({
-      messages: [{ role: 'user', content: prompt }],
-      options
+/**
+ * Print the model that answered, token usage and generation speed after a response
+ */
+function printUsage(usage?: AIUsage, cached = false, model?: string): void {
+  if (usage || cached || model) {
+    console.log(`\n${formatUsage(usage, { cached, model })}`);
+  }
+}
+
+/**
+ * Response to a request as printed, with the model and usage behind it
+ */
+interface Answer {
+  text: string;
+  reasoning?: string;
+  model?: string;
+  usage?: AIUsage;
+}
+
+/**
+ * Open the session to record a command in, see openSessionStore, and route
+ * commands to the models set for it
+ */
+async function openSession(newSession = false): Promise<{ store: SessionStore; session: Session } | null> {
+  const current = await openSessionStore(newSession);
+  
+  if (current) {
+    setCommandModels(current.session.conversation.commandModels);
+  }
+  
+  return current;
+}
+
+/**
+ * Add up the token usage of several requests, if any of them reported it
+ */
+function sumUsage(usages: Array<AIUsage | undefined>): AIUsage | undefined {
+  const reported = usages.filter((usage): usage is AIUsage => Boolean(usage));
+  
+  return reported.length === 0 ? undefined : {
+    inputTokens: reported.reduce((total, usage) => total + usage.inputTokens, 0),
+    outputTokens: reported.reduce((total, usage) => total + usage.outputTokens, 0),
+    estimated: reported.some(usage => usage.estimated) || undefined
+  };
+}
+
+/**
+ * Record an exchange in a session, make it current and save it
+ *
+ * A failing session store must never fail the command itself, so errors
+ * are only logged.
+ */
+async function recordExchange(
+  current: { store: SessionStore; session: Session } | null,
+  exchange: Omit<SessionExchange, 'provider' | 'timestamp'>
+): Promise<void> {
+  try {
+    await current?.store.addExchange(current.session, {
+      ...exchange,
+      provider: getActiveProvider() || undefined,
+      timestamp: Date.now()
+    });
+  } catch (error) {
+    logger.warn('Failed to record the exchange in the session', error);
+  }
+}
+
+/**
+ * Get the files to send with a request: the files pinned to the session's
+ * conversation first, then the attached files that are not pinned too
+ *
+ * Pinned files are read as they are on disk, and warn is told which of
+ * them changed since the last request and which are left out.
+ */
+async function withPinnedFiles(
+  current: { session: Session } | null,
+  files: ContextFile[] = [],
+  warn: (message: string) => void
+): Promise<ContextFile[]> {
+  if (!current) {
+    return files;
+  }
+  
+  const contents = await readPinnedFiles(current.session.conversation, { update: true });
+  const pinned = contents.flatMap(content => content.file ? [content.file] : []);
+  
+  for (const content of contents) {
+    if (!content.file || content.changed) {
+      warn(content.file
+        ? `Re-read ${content.reference}, which changed on disk`
+        : `Pinned ${content.reference} is left out: ${content.problem}`);
+    }
+  }
+  
+  return [...pinned, ...files.filter(file => !pinned.some(other => other.path === file.path))];
+}
+
+/**
+ * Send one request and print the response
+ *
+ * Streams tokens through the terminal's markdown renderer with a spinner
+ * until the first one arrives. With --no-stream, or without a terminal,
+ * waits for the full response instead. Ctrl+C cancels the request and
+ * keeps whatever was already printed. Reasoning is shown as configured by
+ * terminal.showReasoning and is not part of the returned text.
+ *
+ * @returns The answer, or null when the request was cancelled
+ */
+async function sendRequest(
+  args: Record<string, any>,
+  request: CompletionRequest,
+  messages: { command: string; progress: string; empty: string }
+): Promise<Answer | null> {
+  const terminal = args._terminal;
+  const aiClient = getAIClient();
+  
+  if (args['no-stream'] || !terminal) {
+    console.log(`${messages.progress}\n`);
+    
+    try {
+      const result = await withCancellation(signal => generateWithFallback(aiClient, { ...request, signal }, {
+        command: messages.command,
+        onFallback: (failed, next) => console.log(`Model ${failed} is unavailable, trying ${next}...`)
+      }));
+      if (result.reasoning) {
+        terminal?.displayReasoning(result.reasoning);
+      }
+      console.log(result.text || messages.empty);
+      printUsage(result.usage, result.cached, result.model);
+      return { text: result.text, reasoning: result.reasoning, model: result.model, usage: result.usage };
+    } catch (error) {
+      if (!isAbortError(error)) {
+        throw error;
+      }
+      console.log('Request cancelled.');
+      return null;
+    }
+  }
+  
+  const spinner = terminal.spinner(messages.progress);
+  const renderer = terminal.createStreamRenderer();
+  let received = false;
+  let text = '';
+  let reasoning = '';
+  let cancelled = false;
+  let usage: AIUsage | undefined;
+  let cached = false;
+  let model: string | undefined;
+  
+  try {
+    model = await withCancellation(signal => streamWithFallback(aiClient, { ...request, signal }, event => {
+      if (event.reasoning && !received) {
+        // Keep the spinner going unless the reasoning itself is shown
+        if (renderer.showsReasoning) {
+          spinner.stop();
+        } else {
+          spinner.update('Thinking...');
+        }
+        renderer.pushReasoning(event.reasoning);
+      }
+      
+      if (event.reasoning) {
+        reasoning += event.reasoning;
+      }
+      
+      if (event.text) {
+        if (!received) {
+          spinner.stop();
+          received = true;
+        }
+        text += event.text;
+        renderer.push(event.text);
+      }
+      
+      if (event.usage) {
+        usage = event.usage;
+      }
+      
+      if (event.cached) {
+        cached = true;
+      }
+    }, {
+      command: messages.command,
+      onFallback: (failed, next) => spinner.update(`Model ${failed} is unavailable, trying ${next}...`)
+    }));
+  } catch (error) {
+    if (!isAbortError(error)) {
+      throw error;
+    }
+    cancelled = true;
+  } finally {
+    spinner.stop();
+    renderer.end();
+  }
+  
+  if (cancelled) {
+    terminal.warn('Request cancelled.');
+    return null;
+  }
+  
+  if (!received) {
+    console.log(messages.empty);
+  }
+  
+  printUsage(usage, cached, model);
+  return { text, reasoning: reasoning || undefined, model, usage };
+}
+
+/**
+ * Get the code to write to an --output file from a response
+ *
+ * The contents of fenced code blocks are used when there are any, otherwise
+ * the whole answer. Reasoning blocks never end up in the file, including
+ * those in responses cached before they were split out.
+ */
+function extractCode(response: string): string {
+  const { text } = splitReasoning(response);
+  const blocks = [...text.matchAll(/```[^\n]*\n([\s\S]*?)```/g)].map(match => match[1]);
+  const code = blocks.length > 0 ? blocks.join('\n') : text;
+  
+  return code.endsWith('\n') ? code : `${code}\n`;
+}
+
+/**
+ * Fit a prompt and its files into the model's context window and print
+ * the response
+ *
+ * The model is the one given with --model, or comes from the routing
+ * configuration for the command, falling back to the next configured
+ * model when it is unavailable. Content that
+ * does not fit is trimmed, chunked or summarized (--strategy), and
+ * --dry-run only prints the token budget. --cache and --no-cache force the
+ * response cache on or off for the request, and --output writes the code
+ * in the response to a file.
+ *
+ * The exchange is recorded in the given session, or in the current one,
+ * and the files pinned to its conversation are sent along without being
+ * recorded.
+ *
+ * @returns The answer, or null when nothing was sent or it was cancelled
+ */
+async function respond(
+  args: Record<string, any>,
+  input: ContextInput,
+  messages: { command: string; progress: string; empty: string },
+  current?: { store: SessionStore; session: Session } | null
+): Promise<Answer | null> {
+  const terminal = args._terminal;
+  const aiClient = getAIClient();
+  const target = current === undefined ? await openSession() : current;
+  
+  // A model given with --model is used as is, without routing or fallback
+  const model: string | undefined = args.model || resolveModelChain(aiClient, messages.command)[0];
+  const files = await withPinnedFiles(target, input.files, message => terminal ? terminal.warn(message) : console.log(message));
+  let plan: ContextPlan;
+  
+  try {
+    plan = await withCancellation(signal => planContext(aiClient, { ...input, files }, { model, strategy: args.strategy, signal }));
+  } catch (error) {
+    if (!isAbortError(error)) {
+      throw error;
+    }
+    console.log('Request cancelled.');
+    return null;
+  }
+  
+  if (args['dry-run']) {
+    console.log(formatContextBudget(plan.budget));
+    return null;
+  }
+  
+  for (const adjustment of [...plan.budget.adjustments, ...plan.budget.warnings]) {
+    if (terminal) {
+      terminal.warn(adjustment);
+    } else {
+      console.log(adjustment);
+    }
+  }
+  
+  const answers: Answer[] = [];
+  
+  for (const request of plan.requests) {
+    if (request.label) {
+      console.log(`\n${request.label}\n`);
+    }
+    
+    const answer = await sendRequest(args, {
+      messages: request.messages,
+      options: {
+        model: args.model,
+        system: request.system,
+        contextLength: plan.budget.contextLength,
+        cache: args['no-cache'] ? false : args.cache ? true : undefined
+      }
+    }, messages);
+    
+    if (answer === null) {
+      return null;
+    }
+    
+    answers.push(answer);
+  }
+  
+  // Chunked requests are combined into one answer
+  const combined: Answer = {
+    text: answers.map(answer => answer.text).join('\n\n'),
+    reasoning: answers.map(answer => answer.reasoning).filter(Boolean).join('\n\n') || undefined,
+    model: answers[answers.length - 1]?.model,
+    usage: sumUsage(answers.map(answer => answer.usage))
+  };
+  
+  if (isNonEmptyString(args.output) && combined.text.trim()) {
+    await writeTextFile(args.output, extractCode(combined.text));
+    
+    if (terminal) {
+      terminal.success(`Wrote ${args.output}`);
+    } else {
+      console.log(`Wrote ${args.output}`);
+    }
+  }
+  
+  await recordExchange(target, {
+    command: messages.command,
+    prompt: input.prompt,
+    files: input.files?.length ? input.files : undefined,
+    images: input.images?.length ? input.images.map(image => image.path || image.mediaType) : undefined,
+    response: combined.text,
+    reasoning: combined.reasoning,
+    model: combined.model,
+    usage: combined.usage
+  });
+  
+  return combined;
+}
+
+/**
+ * Check that every edit targets a file from the request and replaces text
+ * that is actually in it
+ */
+function findInvalidEdits(changes: CodeChanges, files: Array<{ path: string; content: string }>): string[] {
+  return changes.edits.flatMap((edit, index) => {
+    const file = files.find(candidate => candidate.path === edit.file);
+    
+    if (!file) {
+      return [`edits.${index}.file: ${edit.file} is not one of the given files (${files.map(candidate => candidate.path).join(', ')})`];
+    }
+    
+    if (!file.content.includes(edit.original)) {
+      return [`edits.${index}.original: the text does not appear in ${edit.file}; copy it exactly from the file`];
+    }
+    
+    return [];
+  });
+}
+
+/**
+ * Fit a prompt and its files into the model's context window and print
+ * the suggested changes as JSON ({ summary, edits[], risks[] })
+ *
+ * Only the JSON is written to stdout so scripts can parse it; warnings and
+ * retries go to stderr, and failures are printed as { error } with a
+ * non-zero exit code. Results of chunked requests are merged. As with
+ * respond, the files pinned to the current session are sent along and the
+ * exchange is recorded in it.
+ */
+async function respondJson(args: Record<string, any>, input: ContextInput, command: string): Promise<void> {
+  const aiClient = getAIClient();
+  
+  try {
+    const current = await openSession();
+    const model: string | undefined = args.model || resolveModelChain(aiClient, command)[0];
+    const files = await withPinnedFiles(current, input.files, message => console.error(message));
+    const plan = await withCancellation(signal => planContext(aiClient, { ...input, files }, { model, strategy: args.strategy, signal }));
+    
+    if (args['dry-run']) {
+      console.log(JSON.stringify(plan.budget, null, 2));
+      return;
+    }
+    
+    for (const adjustment of [...plan.budget.adjustments, ...plan.budget.warnings]) {
+      console.error(adjustment);
+    }
+    
+    const summaries: string[] = [];
+    const changes: CodeChanges = { summary: '', edits: [], risks: [] };
+    const responses: CompletionResponse[] = [];
+    
+    for (const request of plan.requests) {
+      const { data, response } = await withCancellation(signal => generateStructured<CodeChanges>(aiClient, {
+        messages: request.messages,
+        options: {
+          model: args.model,
+          system: request.system,
+          contextLength: plan.budget.contextLength,
+          cache: args['no-cache'] ? false : args.cache ? true : undefined
+        },
+        signal
+      }, CODE_CHANGES_SCHEMA, {
+        command,
+        validate: result => findInvalidEdits(result, files),
+        onRetry: (attempt, problems) => console.error(`Response ${attempt} was not valid, asking again: ${problems.join('; ')}`)
+      }));
+      
+      summaries.push(data.summary);
+      changes.edits.push(...data.edits);
+      changes.risks.push(...data.risks);
+      responses.push(response);
+    }
+    
+    changes.summary = summaries.join('\n\n');
+    console.log(JSON.stringify(changes, null, 2));
+    
+    await recordExchange(current, {
+      command,
+      prompt: input.prompt,
+      files: input.files?.length ? input.files : undefined,
+      response: JSON.stringify(changes, null, 2),
+      model: responses[responses.length - 1]?.model,
+      usage: sumUsage(responses.map(response => response.usage))
     });
+  } catch (error) {
+    if (isAbortError(error)) {
+      console.error('Request cancelled.');
+      process.exitCode = 130;
+      return;
+    }
     
-    return {
-      ...response,
-      content: [{
-        text: response.text,
-        role: 'assistant'
-      }]
-    };
-  } else {
-    throw new Error('AI client does not support text completion');
+    console.log(JSON.stringify({ error: error instanceof Error ? error.message : String(error) }, null, 2));
+    process.exitCode = 1;
   }
 }
 
@@ -57,11 +519,14 @@ export function registerCommands(): void {
   registerRefactorCommand();
   registerFixCommand();
   registerGenerateCommand();
+  registerAgentCommand();
   registerConfigCommand();
+  registerCacheCommand();
   registerBugCommand();
   registerFeedbackCommand();
   registerRunCommand();
   registerSearchCommand();
+  registerSemanticSearchCommand();
   registerThemeCommand();
   registerVerbosityCommand();
   registerEditCommand();
@@ -71,6 +536,9 @@ export function registerCommands(): void {
   registerClearCommand();
   registerResetCommand();
   registerHistoryCommand();
+  registerSessionCommand();
+  registerExportCommand();
+  registerContextCommand();
   registerCommandsCommand();
   registerHelpCommand();
   
@@ -79,6 +547,11 @@ export function registerCommands(): void {
     registerCommand(command.name, command);
   });
   
+  // Register provider-neutral model commands
+  modelCommands.forEach(command => {
+    registerCommand(command.name, command);
+  });
+  
   logger.info('Commands registered successfully');
 }
 
@@ -230,15 +703,39 @@ function registerAskCommand(): void {
           return;
         }
         
-        console.log('Asking Claude...\n');
-        
-        // Get AI client and send question
-        const aiClient = getAIClient();
-        const result = await safeComplete(aiClient, question);
-        
-        // Extract and print the response
-        const responseText = result.content[0]?.text || 'No response received';
-        console.log(responseText);
+        // Read attached images up front so a bad path fails before the request
+        const images: ImageAttachment[] = await Promise.all(
+          (args.image || []).map(async (imagePath: string) => ({ ...await readImageFile(imagePath), path: imagePath }))
+        );
+        
+        // Attach the --context files and the files mentioned with @
+        const files = await resolvePromptFiles(question, args.context || []);
+        
+        const { loadConfig } = await import('../config/index.js');
+        const config = await loadConfig();
+        
+        // Continue the current session unless a new one was asked for,
+        // keeping up to ai.maxHistoryLength of its latest messages
+        const current = await openSession(args.new);
+        const maxHistory = config.ai?.maxHistoryLength;
+        const history = current ? getSessionMessages(current.session) : [];
+        
+        // Send the request, streaming the response unless disabled
+        await respond(args, {
+          system: buildConversationSystemPrompt({
+            systemPrompt: config.ai?.systemPrompt,
+            instructions: config.ai?.instructions,
+            cwd: process.cwd()
+          }),
+          prompt: question,
+          files,
+          images,
+          history: maxHistory > 0 ? history.slice(-maxHistory) : history
+        }, {
+          command: 'ask',
+          progress: 'Asking Claude...',
+          empty: 'No response received'
+        }, current);
       } catch (error) {
         console.error('Error asking Claude:', formatErrorForDisplay(error));
       }
@@ -253,21 +750,61 @@ function registerAskCommand(): void {
       },
       {
         name: 'context',
-        description: 'Provide additional context files',
-        type: ArgType.STRING,
+        description: 'Attach a file, file:start-end, directory or glob pattern (repeatable)',
+        type: ArgType.ARRAY,
         shortFlag: 'c'
       },
+      {
+        name: 'image',
+        description: 'Attach a PNG, JPEG or WebP image (repeatable); needs a vision model',
+        type: ArgType.ARRAY,
+        shortFlag: 'i'
+      },
+      {
+        name: 'new',
+        description: 'Start a new session instead of continuing the current one',
+        type: ArgType.BOOLEAN
+      },
       {
         name: 'model',
-        description: 'Specific Claude model to use',
+        description: 'Model to use instead of the one routed to ask',
         type: ArgType.STRING,
-        shortFlag: 'm',
-        choices: ['claude-3-opus', 'claude-3-sonnet', 'claude-3-haiku']
+        shortFlag: 'm'
+      },
+      {
+        name: 'no-stream',
+        description: 'Wait for the full response instead of streaming it',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'cache',
+        description: 'Use the response cache even if the request is not deterministic',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'no-cache',
+        description: 'Bypass the response cache',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'dry-run',
+        description: 'Show the token budget of the request without sending it',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'strategy',
+        description: 'How to fit content that exceeds the context window',
+        type: ArgType.STRING,
+        choices: ['trim', 'chunk', 'summarize']
       }
     ],
     examples: [
       'ask "How do I implement a binary search tree in TypeScript?"',
-      'ask "What\'s wrong with this code?" --context ./path/to/file.js'
+      'ask "What\'s wrong with this code?" --context ./path/to/file.js',
+      'ask "Why does @src/auth/oauth.ts:30-90 fail when @src/auth/tokens.ts is empty?"',
+      'ask "How are errors reported?" -c "src/errors/*.ts" -c src/utils/',
+      'ask "Why is the sidebar overlapping the header?" --image screenshot.png',
+      'ask "Let\'s talk about something else" --new'
     ],
     requiresAuth: true
   };
@@ -299,21 +836,18 @@ function registerExplainCommand(): void {
           return;
         }
         
-        console.log(`Explaining ${file}...\n`);
-        
         // Read the file
         const fileContent = await readTextFile(file);
         
-        // Construct the prompt
-        const prompt = `Please explain this code:\n\n\`\`\`\n${fileContent}\n\`\`\``;
-        
-        // Get AI client and send request
-        const aiClient = getAIClient();
-        const result = await safeComplete(aiClient, prompt);
-        
-        // Extract and print the response
-        const responseText = result.content[0]?.text || 'No explanation received';
-        console.log(responseText);
+        // Send the request, streaming the response unless disabled
+        await respond(args, {
+          prompt: 'Please explain this code:',
+          files: [{ path: file, content: fileContent }]
+        }, {
+          command: 'explain',
+          progress: `Explaining ${file}...`,
+          empty: 'No explanation received'
+        });
       } catch (error) {
         console.error('Error explaining code:', formatErrorForDisplay(error));
       }
@@ -333,6 +867,32 @@ function registerExplainCommand(): void {
         shortFlag: 'd',
         choices: ['basic', 'intermediate', 'detailed'],
         default: 'intermediate'
+      },
+      {
+        name: 'no-stream',
+        description: 'Wait for the full response instead of streaming it',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'cache',
+        description: 'Use the response cache even if the request is not deterministic',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'no-cache',
+        description: 'Bypass the response cache',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'dry-run',
+        description: 'Show the token budget of the request without sending it',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'strategy',
+        description: 'How to fit content that exceeds the context window',
+        type: ArgType.STRING,
+        choices: ['trim', 'chunk', 'summarize']
       }
     ],
     examples: [
@@ -369,21 +929,25 @@ function registerRefactorCommand(): void {
           return;
         }
         
-        console.log(`Refactoring ${file} with focus on ${focus}...\n`);
-        
         // Read the file
         const fileContent = await readTextFile(file);
         
-        // Construct the prompt
-        const prompt = `Please refactor this code to improve ${focus}:\n\n\`\`\`\n${fileContent}\n\`\`\``;
+        const input: ContextInput = {
+          prompt: `Please refactor this code to improve ${focus}:`,
+          files: [{ path: file, content: fileContent }]
+        };
         
-        // Get AI client and send request
-        const aiClient = getAIClient();
-        const result = await safeComplete(aiClient, prompt);
+        if (args.json) {
+          await respondJson(args, input, 'refactor');
+          return;
+        }
         
-        // Extract and print the response
-        const responseText = result.content[0]?.text || 'No refactored code received';
-        console.log(responseText);
+        // Send the request, streaming the response unless disabled
+        await respond(args, input, {
+          command: 'refactor',
+          progress: `Refactoring ${file} with focus on ${focus}...`,
+          empty: 'No refactored code received'
+        });
       } catch (error) {
         console.error('Error refactoring code:', formatErrorForDisplay(error));
       }
@@ -409,12 +973,50 @@ function registerRefactorCommand(): void {
         description: 'Output file path (defaults to stdout)',
         type: ArgType.STRING,
         shortFlag: 'o'
+      },
+      {
+        name: 'json',
+        description: 'Print the changes as JSON ({ summary, edits, risks }) for scripts',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'no-stream',
+        description: 'Wait for the full response instead of streaming it',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'cache',
+        description: 'Use the response cache even if the request is not deterministic',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'no-cache',
+        description: 'Bypass the response cache',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'dry-run',
+        description: 'Show the token budget of the request without sending it',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'strategy',
+        description: 'How to fit content that exceeds the context window',
+        type: ArgType.STRING,
+        choices: ['trim', 'chunk', 'summarize']
+      },
+      {
+        name: 'model',
+        description: 'Model to use instead of the one routed to refactor',
+        type: ArgType.STRING,
+        shortFlag: 'm'
       }
     ],
     examples: [
       'refactor path/to/file.js',
       'refactor path/to/file.py --focus performance',
-      'refactor path/to/file.ts --output path/to/refactored.ts'
+      'refactor path/to/file.ts --output path/to/refactored.ts',
+      'refactor path/to/file.ts --json'
     ],
     requiresAuth: true
   };
@@ -446,25 +1048,32 @@ function registerFixCommand(): void {
           return;
         }
         
-        console.log(`Fixing ${file}...\n`);
-        
         // Read the file
         const fileContent = await readTextFile(file);
         
         // Construct the prompt
-        let prompt = `Please fix this code:\n\n\`\`\`\n${fileContent}\n\`\`\``;
+        let prompt = 'Please fix this code.';
         
         if (isNonEmptyString(issue)) {
-          prompt += `\n\nThe specific issue is: ${issue}`;
+          prompt += ` The specific issue is: ${issue}`;
         }
         
-        // Get AI client and send request
-        const aiClient = getAIClient();
-        const result = await safeComplete(aiClient, prompt);
+        const input: ContextInput = {
+          prompt,
+          files: [{ path: file, content: fileContent }]
+        };
+        
+        if (args.json) {
+          await respondJson(args, input, 'fix');
+          return;
+        }
         
-        // Extract and print the response
-        const responseText = result.content[0]?.text || 'No fixed code received';
-        console.log(responseText);
+        // Send the request, streaming the response unless disabled
+        await respond(args, input, {
+          command: 'fix',
+          progress: `Fixing ${file}...`,
+          empty: 'No fixed code received'
+        });
       } catch (error) {
         console.error('Error fixing code:', formatErrorForDisplay(error));
       }
@@ -488,12 +1097,50 @@ function registerFixCommand(): void {
         description: 'Output file path (defaults to stdout)',
         type: ArgType.STRING,
         shortFlag: 'o'
+      },
+      {
+        name: 'json',
+        description: 'Print the changes as JSON ({ summary, edits, risks }) for scripts',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'no-stream',
+        description: 'Wait for the full response instead of streaming it',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'cache',
+        description: 'Use the response cache even if the request is not deterministic',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'no-cache',
+        description: 'Bypass the response cache',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'dry-run',
+        description: 'Show the token budget of the request without sending it',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'strategy',
+        description: 'How to fit content that exceeds the context window',
+        type: ArgType.STRING,
+        choices: ['trim', 'chunk', 'summarize']
+      },
+      {
+        name: 'model',
+        description: 'Model to use instead of the one routed to fix',
+        type: ArgType.STRING,
+        shortFlag: 'm'
       }
     ],
     examples: [
       'fix path/to/file.js',
       'fix path/to/file.py --issue "Infinite loop in the sort function"',
-      'fix path/to/file.ts --output path/to/fixed.ts'
+      'fix path/to/file.ts --output path/to/fixed.ts',
+      'fix path/to/file.ts --issue "Crashes on empty input" --json'
     ],
     requiresAuth: true
   };
@@ -519,18 +1166,15 @@ function registerGenerateCommand(): void {
           return;
         }
         
-        console.log(`Generating ${language} code...\n`);
-        
         // Construct the prompt
         const fullPrompt = `Generate ${language} code that ${prompt}. Please provide only the code without explanations.`;
         
-        // Get AI client and send request
-        const aiClient = getAIClient();
-        const result = await safeComplete(aiClient, fullPrompt);
-        
-        // Extract and print the response
-        const responseText = result.content[0]?.text || 'No code generated';
-        console.log(responseText);
+        // Send the request, streaming the response unless disabled
+        await respond(args, { prompt: fullPrompt }, {
+          command: 'generate',
+          progress: `Generating ${language} code...`,
+          empty: 'No code generated'
+        });
       } catch (error) {
         console.error('Error generating code:', formatErrorForDisplay(error));
       }
@@ -555,6 +1199,32 @@ function registerGenerateCommand(): void {
         description: 'Output file path (defaults to stdout)',
         type: ArgType.STRING,
         shortFlag: 'o'
+      },
+      {
+        name: 'no-stream',
+        description: 'Wait for the full response instead of streaming it',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'cache',
+        description: 'Use the response cache even if the request is not deterministic',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'no-cache',
+        description: 'Bypass the response cache',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'dry-run',
+        description: 'Show the token budget of the request without sending it',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'strategy',
+        description: 'How to fit content that exceeds the context window',
+        type: ArgType.STRING,
+        choices: ['trim', 'chunk', 'summarize']
       }
     ],
     examples: [
@@ -569,48 +1239,143 @@ function registerGenerateCommand(): void {
 }
 
 /**
- * Register config command
+ * Register agent command
  */
-function registerConfigCommand(): void {
-  logger.debug('Registering config command');
-
-  const command = {
-    name: 'config',
-    description: 'View or edit configuration settings',
-    category: 'system',
-    async handler({ key, value }: { key?: string; value?: string }) {
-      logger.info('Executing config command');
-      
+function registerAgentCommand(): void {
+  const command: CommandDef = {
+    name: 'agent',
+    description: 'Let the AI work on a task using tools to read, search, run commands and edit files',
+    category: 'Assistance',
+    handler: async (args) => {
       try {
-        const configModule = await import('../config/index.js');
-        // Load the current configuration
-        const currentConfig = await configModule.loadConfig();
+        const { task, 'max-steps': maxSteps } = args;
         
-        if (!key) {
-          // Display the current configuration
-          logger.info('Current configuration:');
-          console.log(JSON.stringify(currentConfig, null, 2));
+        if (!isNonEmptyString(task)) {
+          console.error('Please provide a task for the agent.');
           return;
         }
         
-        // Handle nested keys like "api.baseUrl"
-        const keyPath = key.split('.');
-        let configSection: any = currentConfig;
+        const configModule = await import('../config/index.js');
+        const config = await configModule.loadConfig();
+        const workspacePath = process.cwd();
         
-        // Navigate to the nested config section
-        for (let i = 0; i < keyPath.length - 1; i++) {
-          configSection = configSection[keyPath[i]];
-          if (!configSection) {
-            throw new Error(`Configuration key '${key}' not found`);
-          }
-        }
+        const fileOps = await initFileOperations({ ...config, workspacePath });
+        const execution = await initExecutionEnvironment({ ...config, execution: { ...config.execution, cwd: workspacePath } });
         
-        const finalKey = keyPath[keyPath.length - 1];
+        // The files pinned to the current session come with the task, which
+        // is recorded in it
+        const current = await openSession();
+        const files = await withPinnedFiles(current, [], message => console.log(message));
         
-        if (value === undefined) {
-          // Get the value
-          const keyValue = configSection[finalKey];
-          if (keyValue === undefined) {
+        console.log('Working on the task...\n');
+        
+        const aiClient = getAIClient();
+        const model = getCommandModel('agent') || aiClient.getActiveModel?.();
+        
+        const result = await withCancellation(signal => runAgent(aiClient, buildPrompt(task, files), { workspacePath, fileOps, execution }, {
+          maxSteps,
+          completionOptions: { model },
+          signal,
+          onToolCall: (call, description) => {
+            console.log(`> ${call.name} ${JSON.stringify(call.arguments)}`);
+            
+            if (description) {
+              console.log(`\n${description}\n`);
+            }
+          },
+          onStep: step => {
+            if (step.declined) {
+              console.log(`  ${step.call.name} declined`);
+            }
+          }
+        }));
+        
+        console.log(`\n${result.text}`);
+        printUsage(result.usage, false, model);
+        
+        await recordExchange(current, {
+          command: 'agent',
+          prompt: task,
+          response: result.text,
+          model,
+          usage: result.usage
+        });
+      } catch (error) {
+        if (isAbortError(error)) {
+          console.log('Agent run cancelled.');
+          return;
+        }
+        console.error('Error running agent:', formatErrorForDisplay(error));
+      }
+    },
+    args: [
+      {
+        name: 'task',
+        description: 'Task for the agent',
+        type: ArgType.STRING,
+        position: 0,
+        required: true
+      },
+      {
+        name: 'max-steps',
+        description: 'Maximum number of tool calls',
+        type: ArgType.NUMBER,
+        default: 10
+      }
+    ],
+    examples: [
+      'agent "Find where the config file is loaded and explain the lookup order"',
+      'agent "Add a --verbose flag to the run command" --max-steps 20'
+    ],
+    requiresAuth: true
+  };
+  
+  commandRegistry.register(command);
+}
+
+/**
+ * Register config command
+ */
+function registerConfigCommand(): void {
+  logger.debug('Registering config command');
+
+  const command = {
+    name: 'config',
+    description: 'View or edit configuration settings',
+    category: 'system',
+    async handler({ key, value }: { key?: string; value?: string }) {
+      logger.info('Executing config command');
+      
+      try {
+        const configModule = await import('../config/index.js');
+        // Load the current configuration
+        const currentConfig = await configModule.loadConfig();
+        
+        if (!key) {
+          // Display the current configuration
+          logger.info('Current configuration:');
+          console.log(JSON.stringify(currentConfig, null, 2));
+          return;
+        }
+        
+        // Handle nested keys like "api.baseUrl"
+        const keyPath = key.split('.');
+        let configSection: any = currentConfig;
+        
+        // Navigate to the nested config section
+        for (let i = 0; i < keyPath.length - 1; i++) {
+          configSection = configSection[keyPath[i]];
+          if (!configSection) {
+            throw new Error(`Configuration key '${key}' not found`);
+          }
+        }
+        
+        const finalKey = keyPath[keyPath.length - 1];
+        
+        if (value === undefined) {
+          // Get the value
+          const keyValue = configSection[finalKey];
+          if (keyValue === undefined) {
             throw new Error(`Configuration key '${key}' not found`);
           }
           logger.info(`${key}: ${JSON.stringify(keyValue)}`);
@@ -662,6 +1427,83 @@ function registerConfigCommand(): void {
   commandRegistry.register(command);
 }
 
+/**
+ * Register cache command
+ */
+function registerCacheCommand(): void {
+  logger.debug('Registering cache command');
+
+  const command = {
+    name: 'cache',
+    description: 'Show statistics for the response cache, prune it or clear it',
+    category: 'system',
+    async handler({ action = 'stats' }: { action?: string }) {
+      logger.info('Executing cache command');
+      
+      const { loadConfig } = await import('../config/index.js');
+      const cacheConfig = getResponseCacheConfig(await loadConfig());
+      
+      if (!cacheConfig) {
+        console.log('The response cache is disabled. Enable it with cache.enabled in the configuration.');
+        return;
+      }
+      
+      const cache = new ResponseCache(cacheConfig);
+      
+      switch (action) {
+        case 'stats': {
+          const stats = await cache.getStats();
+          
+          console.log(`Directory: ${stats.directory}`);
+          console.log(`Entries:   ${formatNumber(stats.entries)} (${formatNumber(stats.expired)} expired)`);
+          console.log(`Size:      ${formatFileSize(stats.sizeBytes)} of ${formatFileSize(cacheConfig.maxSizeBytes)}`);
+          
+          if (stats.oldest !== undefined && stats.newest !== undefined) {
+            console.log(`Oldest:    ${formatDate(new Date(stats.oldest))}`);
+            console.log(`Newest:    ${formatDate(new Date(stats.newest))}`);
+          }
+          break;
+        }
+        
+        case 'prune': {
+          const removed = await cache.prune();
+          console.log(`Removed ${removed} expired or excess cache ${removed === 1 ? 'entry' : 'entries'}.`);
+          break;
+        }
+        
+        case 'clear': {
+          const removed = await cache.clear();
+          console.log(`Removed ${removed} cache ${removed === 1 ? 'entry' : 'entries'}.`);
+          break;
+        }
+        
+        default:
+          throw createUserError(`Unknown cache action: ${action}`, {
+            category: ErrorCategory.VALIDATION,
+            resolution: 'Use one of: stats, prune, clear.'
+          });
+      }
+    },
+    args: [
+      {
+        name: 'action',
+        description: 'Action to perform',
+        type: ArgType.STRING,
+        position: 0,
+        required: false,
+        choices: ['stats', 'prune', 'clear']
+      }
+    ],
+    examples: [
+      'cache',
+      'cache prune',
+      'cache clear'
+    ]
+  };
+
+  commandRegistry.register(command);
+}
+
 /**
  * Register bug command
  */
@@ -964,6 +1806,130 @@ function registerSearchCommand(): void {
   commandRegistry.register(command);
 }
 
+/**
+ * Register semantic search command
+ */
+function registerSemanticSearchCommand(): void {
+  logger.debug('Registering semantic search command');
+
+  const command = {
+    name: 'semantic-search',
+    description: 'Search the codebase by meaning using embeddings',
+    category: 'system',
+    async handler(args: Record<string, any>): Promise<void> {
+      logger.info('Executing semantic search command');
+      
+      const { query, limit } = args;
+      if (!isNonEmptyString(query)) {
+        throw createUserError('Search query is required', {
+          category: ErrorCategory.VALIDATION,
+          resolution: 'Describe what you are looking for, e.g. "where are auth tokens refreshed"'
+        });
+      }
+      
+      const { loadConfig } = await import('../config/index.js');
+      const config = await loadConfig();
+      const model = args.model || config.ai?.embeddings?.model || 'nomic-embed-text';
+      
+      if (!config.paths?.cache) {
+        throw createUserError('No cache directory is configured for the semantic index', {
+          category: ErrorCategory.CONFIGURATION,
+          resolution: 'Set paths.cache in the configuration.'
+        });
+      }
+      
+      const index = new SemanticIndex(getAIClient(), {
+        root: args.dir || process.cwd(),
+        directory: path.join(config.paths.cache, 'semantic'),
+        model,
+        batchSize: config.ai?.embeddings?.batchSize
+      });
+      
+      const terminal = args._terminal;
+      const spinner = terminal?.spinner('Updating the semantic index...');
+      
+      try {
+        const hits = await withCancellation(async signal => {
+          const stats = await index.update({
+            signal,
+            onProgress: (done, total, file) => spinner?.update(`Embedding ${file} (${done + 1}/${total})...`)
+          });
+          
+          spinner?.update('Searching...');
+          logger.debug('Semantic index ready', stats);
+          
+          return index.search(query, { limit, signal });
+        });
+        
+        spinner?.stop();
+        
+        if (hits.length === 0) {
+          console.log(`No results found for '${query}'`);
+          return;
+        }
+        
+        for (const hit of hits) {
+          console.log(`${hit.path}:${hit.startLine}-${hit.endLine}  (${hit.score.toFixed(3)})`);
+          console.log(`${hit.snippet.split('\n').map(line => `    ${line}`).join('\n')}\n`);
+        }
+      } catch (error) {
+        spinner?.stop();
+        
+        if (isAbortError(error)) {
+          console.log('Search cancelled. Files embedded so far are kept in the index.');
+          return;
+        }
+        
+        if (error instanceof Error && /not found/i.test(error.message)) {
+          throw createUserError(`Embedding model ${model} is not available: ${error.message}`, {
+            cause: error,
+            category: ErrorCategory.CONFIGURATION,
+            resolution: `Pull it with "ollama:pull ${model}", or set ai.embeddings.model in the configuration.`
+          });
+        }
+        
+        throw error;
+      }
+    },
+    args: [
+      {
+        name: 'query',
+        description: 'What to look for, in natural language',
+        type: ArgType.STRING,
+        position: 0,
+        required: true
+      },
+      {
+        name: 'dir',
+        description: 'Directory to search in (defaults to current directory)',
+        type: ArgType.STRING,
+        shortFlag: 'd'
+      },
+      {
+        name: 'limit',
+        description: 'Maximum number of results',
+        type: ArgType.NUMBER,
+        shortFlag: 'n',
+        default: 10
+      },
+      {
+        name: 'model',
+        description: 'Embedding model (defaults to ai.embeddings.model)',
+        type: ArgType.STRING,
+        shortFlag: 'm'
+      }
+    ],
+    examples: [
+      'semantic-search "where are auth tokens refreshed"',
+      'semantic-search "retry logic for HTTP requests" --limit 5',
+      'semantic-search "parse command line flags" --dir ./src'
+    ],
+    requiresAuth: true
+  };
+
+  commandRegistry.register(command);
+}
+
 /**
  * Register theme command
  */
@@ -1410,6 +2376,53 @@ function registerClearCommand(): void {
   commandRegistry.register(command);
 }
 
+/**
+ * Open the session store, failing when no app directory is configured
+ */
+async function requireSessionStore(): Promise<SessionStore> {
+  const { loadConfig } = await import('../config/index.js');
+  const storeConfig = getSessionStoreConfig(await loadConfig());
+  
+  if (!storeConfig) {
+    throw createUserError('No app directory is configured for sessions', {
+      category: ErrorCategory.CONFIGURATION,
+      resolution: 'Set paths.app in the configuration.'
+    });
+  }
+  
+  return new SessionStore(storeConfig);
+}
+
+/**
+ * Format a session as its ID and name
+ */
+function formatSessionName(session: { id: string; name?: string }): string {
+  return session.name ? `${session.id} (${session.name})` : session.id;
+}
+
+/**
+ * Switch to the model that last answered in a session's conversation, when
+ * it came from the active provider
+ *
+ * @returns The model switched to, if any
+ */
+function restoreSessionModel(session: Session): string | undefined {
+  const { provider, model } = session.conversation;
+  
+  if (!model || !isAIInitialized() || provider !== getActiveProvider()) {
+    return undefined;
+  }
+  
+  const aiClient = getAIClient();
+  
+  if (!aiClient.setActiveModel || aiClient.getActiveModel?.() === model) {
+    return undefined;
+  }
+  
+  aiClient.setActiveModel(model);
+  return model;
+}
+
 /**
  * Register reset command
  */
@@ -1418,29 +2431,40 @@ function registerResetCommand(): void {
 
   const command = {
     name: 'reset',
-    description: 'Reset the conversation context with Claude',
+    description: 'Clear the messages of the current conversation, keeping its provider and model',
     category: 'session',
-    async handler(): Promise<void> {
+    async handler(args: Record<string, any>): Promise<void> {
       logger.info('Executing reset command');
       
-      try {
-        // Since there's no direct reset method, we'll reinitialize the AI client
-        logger.info('Reinitializing AI client to reset conversation context');
-        
-        // Re-initialize the AI client
-        await initAI();
-        
-        console.log('Conversation context has been reset.');
-        logger.info('AI client reinitialized, conversation context reset');
-      } catch (error) {
-        logger.error(`Error resetting conversation context: ${error instanceof Error ? error.message : 'Unknown error'}`);
-        throw error;
+      const store = await requireSessionStore();
+      const session = await store.getCurrent();
+      
+      if (!session) {
+        console.log('There is no conversation to reset.');
+        return;
+      }
+      
+      const removed = resetConversation(session.conversation, { all: args.all });
+      await store.save(session);
+      
+      const pinned = args.all ? ` and ${removed.pinned} pinned file(s)` : '';
+      console.log(`Cleared ${removed.messages} message(s)${pinned} from session ${formatSessionName(session)}.`);
+      
+      if (!args.all && session.conversation.pinned.length > 0) {
+        console.log(`${session.conversation.pinned.length} pinned file(s) are kept. Use --all to remove them too.`);
       }
     },
-    examples: [
-      'reset'
+    args: [
+      {
+        name: 'all',
+        description: 'Also remove the files pinned to the conversation',
+        type: ArgType.BOOLEAN
+      }
     ],
-    requiresAuth: true
+    examples: [
+      'reset',
+      'reset --all'
+    ]
   };
 
   commandRegistry.register(command);
@@ -1454,44 +2478,508 @@ function registerHistoryCommand(): void {
 
   const command = {
     name: 'history',
-    description: 'View conversation history',
+    description: 'List the exchanges of the current session, or show one in full',
     category: 'session',
     async handler(args: Record<string, any>): Promise<void> {
       logger.info('Executing history command');
       
-      try {
-        // Since we don't have direct access to conversation history through the AI client,
-        // we'll need to inform the user that history is not available or implement
-        // a conversation history tracking mechanism elsewhere
-        
-        // This is a placeholder implementation until a proper history tracking system is implemented
-        logger.warn('Conversation history feature is not currently implemented');
-        console.log('Conversation history is not available in the current version.');
-        console.log('This feature will be implemented in a future update.');
-        
-        // Future implementation could include:
-        // - Storing conversations in a local database or file
-        // - Retrieving conversations from the API if it supports it
-        // - Implementing a session-based history tracker
-      } catch (error) {
-        logger.error(`Error retrieving conversation history: ${error instanceof Error ? error.message : 'Unknown error'}`);
-        throw error;
+      const store = await requireSessionStore();
+      const session = args.session ? await store.find(args.session) : await store.getCurrent();
+      
+      if (!session || session.exchanges.length === 0) {
+        console.log("No conversation yet. Use 'ask' to start one.");
+        return;
+      }
+      
+      // Show a single exchange in full
+      if (args.number !== undefined) {
+        const exchange = session.exchanges[args.number - 1];
+        
+        if (!exchange) {
+          throw createUserError(`Session ${session.id} has no exchange ${args.number}`, {
+            category: ErrorCategory.VALIDATION,
+            resolution: `Use a number from 1 to ${session.exchanges.length}.`
+          });
+        }
+        
+        console.log(`#${args.number} ${exchange.command} on ${formatDate(new Date(exchange.timestamp))}\n`);
+        console.log(exchange.prompt);
+        
+        for (const file of exchange.files || []) {
+          console.log(`  + ${file.path}`);
+        }
+        for (const image of exchange.images || []) {
+          console.log(`  + ${image}`);
+        }
+        
+        console.log(`\n${exchange.response}`);
+        printUsage(exchange.usage, false, exchange.model);
+        return;
+      }
+      
+      const limit = Math.max(1, args.limit || 10);
+      const first = Math.max(0, session.exchanges.length - limit);
+      
+      console.log(`Session ${formatSessionName(session)}, ${session.exchanges.length} exchange(s)\n`);
+      
+      // Exchanges from before the last reset are no longer sent
+      const resetAt = session.conversation.resetAt;
+      const resetMarker = '--- conversation reset ---\n';
+      
+      session.exchanges.slice(first).forEach((exchange, index) => {
+        const model = exchange.model ? ` [${exchange.model}]` : '';
+        const previous = session.exchanges[first + index - 1];
+        
+        if (resetAt && previous && previous.timestamp <= resetAt && exchange.timestamp > resetAt) {
+          console.log(resetMarker);
+        }
+        
+        console.log(`#${first + index + 1} ${formatDate(new Date(exchange.timestamp))} ${exchange.command}${model}`);
+        console.log(`  > ${truncate(exchange.prompt.replace(/\s+/g, ' '), 100)}`);
+        console.log(`  ${truncate(exchange.response.replace(/\s+/g, ' ').trim(), 200)}\n`);
+      });
+      
+      if (resetAt && resetAt >= session.exchanges[session.exchanges.length - 1].timestamp) {
+        console.log(resetMarker);
+      }
+      
+      if (first > 0) {
+        console.log(`${first} earlier exchange(s) not shown. Use --limit to see more.`);
       }
     },
     args: [
+      {
+        name: 'number',
+        description: 'Number of the exchange to show in full',
+        type: ArgType.NUMBER,
+        position: 0,
+        required: false
+      },
       {
         name: 'limit',
         description: 'Maximum number of history items to display',
         type: ArgType.NUMBER,
         shortFlag: 'l',
-        default: '10'
+        default: 10
+      },
+      {
+        name: 'session',
+        description: 'Session to show instead of the current one (ID, ID prefix or name)',
+        type: ArgType.STRING,
+        shortFlag: 's'
       }
     ],
     examples: [
       'history',
-      'history --limit 5'
+      'history --limit 5',
+      'history 3',
+      'history --session 1f3a'
+    ]
+  };
+
+  commandRegistry.register(command);
+}
+
+/**
+ * Register session command
+ */
+function registerSessionCommand(): void {
+  logger.debug('Registering session command');
+
+  const command = {
+    name: 'session',
+    description: 'List, resume, delete, rename or import conversation sessions',
+    category: 'session',
+    async handler(args: Record<string, any>): Promise<void> {
+      logger.info('Executing session command');
+      
+      const { action = 'list', session: ref, name } = args;
+      const store = await requireSessionStore();
+      
+      if (action === 'import' && !isNonEmptyString(ref)) {
+        throw createUserError('Which file should be imported?', {
+          category: ErrorCategory.VALIDATION,
+          resolution: "Give the path of a file written by 'export --format json'."
+        });
+      }
+      
+      if (action !== 'list' && !isNonEmptyString(ref)) {
+        throw createUserError(`Which session should be ${action === 'resume' ? 'resumed' : `${action}d`}?`, {
+          category: ErrorCategory.VALIDATION,
+          resolution: "Give its ID, the start of its ID or its name. Use 'session list' to see them."
+        });
+      }
+      
+      switch (action) {
+        case 'list': {
+          const sessions = await store.list();
+          
+          if (sessions.length === 0) {
+            console.log("No sessions yet. Use 'ask' to start one.");
+            return;
+          }
+          
+          const current = await store.getCurrent();
+          const rows = sessions.map(session => [
+            session.id === current?.id ? '*' : '',
+            session.id,
+            session.name || '',
+            String(session.exchanges),
+            formatDate(new Date(session.updatedAt)),
+            truncate(session.preview.replace(/\s+/g, ' '), 50)
+          ]);
+          
+          console.log(createTextTable(rows, ['', 'ID', 'Name', 'Exchanges', 'Updated', 'First prompt']));
+          break;
+        }
+        
+        case 'resume': {
+          const session = await store.find(ref);
+          await store.setCurrent(session.id);
+          
+          console.log(`Resumed session ${formatSessionName(session)} with ${session.exchanges.length} exchange(s).`);
+          
+          const model = restoreSessionModel(session);
+          if (model) {
+            console.log(`Switched back to ${model}, which answered last.`);
+          }
+          
+          const last = session.exchanges[session.exchanges.length - 1];
+          if (last) {
+            console.log(`Last prompt: ${truncate(last.prompt.replace(/\s+/g, ' '), 100)}`);
+          }
+          break;
+        }
+        
+        case 'delete': {
+          const session = await store.find(ref);
+          await store.delete(session.id);
+          console.log(`Deleted session ${formatSessionName(session)}.`);
+          break;
+        }
+        
+        case 'rename': {
+          if (!isNonEmptyString(name)) {
+            throw createUserError('A new name is required', {
+              category: ErrorCategory.VALIDATION,
+              resolution: 'Use: session rename <session> <name>'
+            });
+          }
+          
+          const session = await store.find(ref);
+          await store.rename(session, name);
+          console.log(`Renamed session ${session.id} to '${name}'.`);
+          break;
+        }
+        
+        case 'import': {
+          // Imports get a new ID so they never replace an existing session
+          const session = importSession(await readTextFile(ref), store.create().id);
+          
+          // Pinned files that are not here, or whose paths were redacted, are
+          // left out instead of failing every later request
+          const contents = await readPinnedFiles(session.conversation, { update: true });
+          for (const content of contents.filter(content => !content.file)) {
+            console.log(`Not pinning ${content.reference}: ${content.problem}`);
+          }
+          session.conversation.pinned = contents.flatMap(content => content.file ? [content.pinned] : []);
+          
+          await store.save(session);
+          await store.setCurrent(session.id);
+          
+          console.log(`Imported ${session.exchanges.length} exchange(s) as session ${formatSessionName(session)}, which is now the current session.`);
+          
+          const model = restoreSessionModel(session);
+          if (model) {
+            console.log(`Switched to ${model}, which answered last.`);
+          }
+          break;
+        }
+        
+        default:
+          throw createUserError(`Unknown session action: ${action}`, {
+            category: ErrorCategory.VALIDATION,
+            resolution: 'Use one of: list, resume, delete, rename, import.'
+          });
+      }
+    },
+    args: [
+      {
+        name: 'action',
+        description: 'Action to perform',
+        type: ArgType.STRING,
+        position: 0,
+        required: false,
+        choices: ['list', 'resume', 'delete', 'rename', 'import']
+      },
+      {
+        name: 'session',
+        description: 'Session ID, the start of its ID, or its name; the file to read for import',
+        type: ArgType.STRING,
+        position: 1,
+        required: false
+      },
+      {
+        name: 'name',
+        description: 'New name of the session (rename)',
+        type: ArgType.STRING,
+        position: 2,
+        required: false
+      }
     ],
-    requiresAuth: true
+    examples: [
+      'session list',
+      'session resume 1f3a',
+      'session rename 1f3a "auth refactor"',
+      'session delete "auth refactor"',
+      'session import transcript.json'
+    ]
+  };
+
+  commandRegistry.register(command);
+}
+
+/**
+ * Register export command
+ */
+function registerExportCommand(): void {
+  logger.debug('Registering export command');
+
+  const command = {
+    name: 'export',
+    description: 'Export a session as a Markdown, JSON or HTML transcript',
+    category: 'session',
+    async handler(args: Record<string, any>): Promise<void> {
+      logger.info('Executing export command');
+      
+      const store = await requireSessionStore();
+      const session = args.session ? await store.find(args.session) : await store.getCurrent();
+      
+      if (!session || session.exchanges.length === 0) {
+        throw createUserError('There is no conversation to export', {
+          category: ErrorCategory.VALIDATION,
+          resolution: "Use 'ask' to start one, or name a session from 'session list'."
+        });
+      }
+      
+      // The format comes from --format, then from the output file's extension
+      const format: ExportFormat = args.format === 'md'
+        ? 'markdown'
+        : args.format || (isNonEmptyString(args.output) && getExportFormat(args.output)) || 'markdown';
+      
+      const transcript = exportSession(session, {
+        format,
+        reasoning: args.reasoning,
+        files: !args['no-files'],
+        redactPaths: args['redact-paths']
+      });
+      
+      if (!isNonEmptyString(args.output)) {
+        process.stdout.write(transcript);
+        return;
+      }
+      
+      await writeTextFile(args.output, transcript);
+      console.log(`Exported session ${formatSessionName(session)} to ${args.output}`);
+    },
+    args: [
+      {
+        name: 'session',
+        description: 'Session to export instead of the current one (ID, ID prefix or name)',
+        type: ArgType.STRING,
+        position: 0,
+        required: false
+      },
+      {
+        name: 'format',
+        description: 'Transcript format; defaults to the output file extension, or markdown',
+        type: ArgType.STRING,
+        shortFlag: 'f',
+        choices: ['markdown', 'md', 'json', 'html']
+      },
+      {
+        name: 'output',
+        description: 'File to write instead of printing the transcript',
+        type: ArgType.STRING,
+        shortFlag: 'o'
+      },
+      {
+        name: 'reasoning',
+        description: 'Include the reasoning of reasoning models',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'no-files',
+        description: 'Leave out the contents of attached files, keeping their paths',
+        type: ArgType.BOOLEAN
+      },
+      {
+        name: 'redact-paths',
+        description: 'Replace absolute paths, e.g. the working directory with . and the home directory with ~',
+        type: ArgType.BOOLEAN
+      }
+    ],
+    examples: [
+      'export --output design-notes.md',
+      'export 1f3a --format html --output transcript.html --redact-paths',
+      'export --format json --reasoning > session.json'
+    ]
+  };
+
+  commandRegistry.register(command);
+}
+
+/**
+ * Print how much of the context window the pinned files take for the
+ * active model, with a warning when they crowd out the conversation
+ */
+async function printPinnedBudget(pinnedTokens: number): Promise<void> {
+  if (!isAIInitialized()) {
+    console.log(`Pinned files: ~${formatNumber(pinnedTokens)} tokens`);
+    return;
+  }
+  
+  try {
+    const aiClient = getAIClient();
+    const [model] = resolveModelChain(aiClient, 'ask');
+    const { contextLength } = await resolveContextLength(aiClient, model);
+    const { limit } = getContextLimits(contextLength);
+    const share = Math.round(pinnedTokens / limit * 100);
+    
+    console.log(`Pinned files: ~${formatNumber(pinnedTokens)} tokens, ${share}% of the ${formatNumber(limit)} available for a request${model ? ` to ${model}` : ''}`);
+    
+    const warning = getPinnedWarning(pinnedTokens, limit);
+    if (warning) {
+      console.log(`Warning: ${warning}. Use 'context remove' to unpin files.`);
+    }
+  } catch (error) {
+    logger.debug('Failed to get the context window for the pinned files', error);
+    console.log(`Pinned files: ~${formatNumber(pinnedTokens)} tokens`);
+  }
+}
+
+/**
+ * Register context command
+ */
+function registerContextCommand(): void {
+  logger.debug('Registering context command');
+
+  const command = {
+    name: 'context',
+    description: 'Pin files to the conversation so that every request of the session includes them',
+    category: 'session',
+    async handler(args: Record<string, any>): Promise<void> {
+      logger.info('Executing context command');
+      
+      const { action = 'list' } = args;
+      const references: string[] = (args._ || []).slice(1);
+      
+      if ((action === 'add' || action === 'remove') && references.length === 0) {
+        throw createUserError(`Which files should be ${action === 'add' ? 'pinned' : 'unpinned'}?`, {
+          category: ErrorCategory.VALIDATION,
+          resolution: action === 'add'
+            ? 'Give files, line ranges (file:start-end), directories or glob patterns.'
+            : "Give pinned files, glob patterns or numbers from 'context list'."
+        });
+      }
+      
+      // Pinning starts a session when there is none yet
+      const store = await requireSessionStore();
+      const session = await store.getCurrent() || store.create();
+      const { conversation } = session;
+      setCommandModels(conversation.commandModels);
+      
+      switch (action) {
+        case 'add': {
+          const { added, existing } = await pinFiles(conversation, references);
+          
+          if (added.length > 0) {
+            await store.save(session);
+            await store.setCurrent(session.id);
+            console.log(`Pinned ${added.length} file(s): ${added.map(getPinnedReference).join(', ')}`);
+          }
+          
+          if (existing.length > 0) {
+            console.log(`Already pinned: ${existing.join(', ')}`);
+          }
+          
+          const contents = await readPinnedFiles(conversation);
+          await printPinnedBudget(contents.reduce((total, content) => total + content.tokens, 0));
+          break;
+        }
+        
+        case 'remove': {
+          const removed = unpinFiles(conversation, references);
+          await store.save(session);
+          console.log(`Unpinned ${removed.length} file(s): ${removed.map(getPinnedReference).join(', ')}`);
+          break;
+        }
+        
+        case 'list': {
+          if (conversation.pinned.length === 0) {
+            console.log("No files are pinned. Use 'context add <paths>' to pin some.");
+            return;
+          }
+          
+          const contents = await readPinnedFiles(conversation);
+          const rows = contents.map((content, index) => [
+            String(index + 1),
+            content.reference,
+            content.file ? formatNumber(content.tokens) : '-',
+            content.file ? (content.changed ? 'changed on disk' : '') : content.problem || ''
+          ]);
+          
+          console.log(createTextTable(rows, ['#', 'File', 'Tokens', 'Status']));
+          console.log('');
+          await printPinnedBudget(contents.reduce((total, content) => total + content.tokens, 0));
+          break;
+        }
+        
+        case 'clear': {
+          const count = conversation.pinned.length;
+          
+          if (count === 0) {
+            console.log('No files are pinned.');
+            return;
+          }
+          
+          conversation.pinned = [];
+          await store.save(session);
+          console.log(`Unpinned ${count} file(s).`);
+          break;
+        }
+        
+        default:
+          throw createUserError(`Unknown context action: ${action}`, {
+            category: ErrorCategory.VALIDATION,
+            resolution: 'Use one of: add, remove, list, clear.'
+          });
+      }
+    },
+    args: [
+      {
+        name: 'action',
+        description: 'Action to perform',
+        type: ArgType.STRING,
+        position: 0,
+        required: false,
+        choices: ['add', 'remove', 'list', 'clear']
+      },
+      {
+        name: 'paths',
+        description: 'Files, line ranges (file:start-end), directories or glob patterns to pin; pinned files, patterns or list numbers to unpin',
+        type: ArgType.STRING,
+        position: 1,
+        required: false
+      }
+    ],
+    examples: [
+      'context add src/auth/oauth.ts src/auth/tokens.ts:1-80',
+      'context add "src/auth/*.ts"',
+      'context list',
+      'context remove 2',
+      'context clear'
+    ]
   };
 
   commandRegistry.register(command);
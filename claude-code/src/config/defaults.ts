@@ -33,7 +33,8 @@ export const defaultConfig: Partial<ConfigType> = {
     theme: 'system',
     showProgressIndicators: true,
     useColors: true,
-    codeHighlighting: true
+    codeHighlighting: true,
+    showReasoning: 'collapsed'
   },
   
   // Code analysis configuration
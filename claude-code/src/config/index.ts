@@ -28,7 +28,28 @@ const DEFAULT_CONFIG = {
     model: 'claude-3-opus-20240229',
     temperature: 0.5,
     maxTokens: 4096,
-    maxHistoryLength: 20
+    maxHistoryLength: 20,
+    // Per-command models and ordered fallback models, e.g.
+    // { commands: { generate: 'qwen2.5-coder:7b' }, fallback: ['llama3.2:3b'] }
+    routing: {
+      commands: {},
+      fallback: [],
+      timeout: 120000 // 2 minutes for a streamed answer to start before falling back
+    },
+    // Context window budgeting; `models` maps model names to context lengths
+    // for models whose provider does not report one
+    context: {
+      models: {},
+      defaultLength: 4096,
+      maxLength: 32768,
+      reserveTokens: 1024,
+      strategy: 'trim' // trim, chunk or summarize
+    },
+    // Embedding model and request batch size for semantic search
+    embeddings: {
+      model: 'nomic-embed-text',
+      batchSize: 32
+    }
   },
   
   // Authentication configuration
@@ -43,7 +64,8 @@ const DEFAULT_CONFIG = {
     theme: 'system',
     useColors: true,
     showProgressIndicators: true,
-    codeHighlighting: true
+    codeHighlighting: true,
+    showReasoning: 'collapsed'
   },
   
   // Telemetry configuration
@@ -64,6 +86,19 @@ const DEFAULT_CONFIG = {
     shell: process.env.SHELL || 'bash'
   },
   
+  // Response cache configuration
+  cache: {
+    enabled: true,
+    ttl: 7 * 24 * 60 * 60 * 1000, // 7 days
+    maxSizeBytes: 100 * 1024 * 1024 // 100MB
+  },
+  
+  // Path configuration
+  paths: {
+    app: path.join(os.homedir(), '.claude-code'),
+    cache: path.join(os.homedir(), '.claude-code', 'cache')
+  },
+  
   // Logger configuration
   logger: {
     level: 'info',
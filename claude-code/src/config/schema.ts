@@ -32,7 +32,8 @@ const TerminalConfigSchema = z.object({
   useColors: z.boolean().default(true),
   codeHighlighting: z.boolean().default(true),
   maxHeight: z.number().positive().optional(),
-  maxWidth: z.number().positive().optional()
+  maxWidth: z.number().positive().optional(),
+  showReasoning: z.enum(['collapsed', 'dimmed', 'hidden']).default('collapsed')
 });
 
 // Code analysis configuration schema
@@ -68,6 +69,13 @@ const EditorConfigSchema = z.object({
   formatOnSave: z.boolean().default(true)
 });
 
+// Response cache configuration schema
+const CacheConfigSchema = z.object({
+  enabled: z.boolean().default(true),
+  ttl: z.number().int().positive().default(7 * 24 * 60 * 60 * 1000),
+  maxSizeBytes: z.number().int().positive().default(100 * 1024 * 1024)
+});
+
 // Paths configuration schema - will be populated at runtime
 const PathsConfigSchema = z.object({
   home: z.string().optional(),
@@ -90,6 +98,7 @@ export const configSchema = z.object({
   codeAnalysis: CodeAnalysisConfigSchema.default({}),
   git: GitConfigSchema.default({}),
   editor: EditorConfigSchema.default({}),
+  cache: CacheConfigSchema.default({}),
   
   // Runtime configuration
   paths: PathsConfigSchema.optional(),
@@ -119,5 +128,6 @@ export {
   CodeAnalysisConfigSchema,
   GitConfigSchema,
   EditorConfigSchema,
+  CacheConfigSchema,
   PathsConfigSchema
 }; 
\ No newline at end of file
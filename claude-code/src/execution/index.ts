@@ -399,11 +399,9 @@ function setupProcessCleanup(executionEnv: ExecutionEnvironment): void {
     executionEnv.killAllBackgroundProcesses();
   });
   
-  process.on('SIGINT', () => {
-    executionEnv.killAllBackgroundProcesses();
-    process.exit(0);
-  });
-  
+  // No SIGINT handler: a first Ctrl+C only cancels the request in flight
+  // (see createInterruptHandler), and when it does exit, the handler above
+  // still cleans up
   process.on('SIGTERM', () => {
     executionEnv.killAllBackgroundProcesses();
     process.exit(0);
@@ -0,0 +1,86 @@
+/**
+ * Tests for glob pattern matching
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { expandGlob, globToRegExp, isGlobPattern } from './glob.js';
+
+describe('isGlobPattern', () => {
+  it('recognizes glob characters', () => {
+    expect(isGlobPattern('src/*.ts')).toBe(true);
+    expect(isGlobPattern('src/?.ts')).toBe(true);
+    expect(isGlobPattern('src/[ab].ts')).toBe(true);
+    expect(isGlobPattern('docs/*.{md,txt}')).toBe(true);
+    expect(isGlobPattern('src/app.ts')).toBe(false);
+  });
+});
+
+describe('globToRegExp', () => {
+  const matches = (pattern: string, file: string) => globToRegExp(pattern).test(file);
+
+  it('matches * within one directory', () => {
+    expect(matches('src/*.ts', 'src/app.ts')).toBe(true);
+    expect(matches('src/*.ts', 'src/lib/app.ts')).toBe(false);
+    expect(matches('src/*.ts', 'src/app.tsx')).toBe(false);
+  });
+
+  it('matches **/ across any number of directories, including none', () => {
+    expect(matches('src/**/*.ts', 'src/app.ts')).toBe(true);
+    expect(matches('src/**/*.ts', 'src/a/b/app.ts')).toBe(true);
+    expect(matches('src/**/*.ts', 'lib/app.ts')).toBe(false);
+  });
+
+  it('matches ?, character sets and alternatives', () => {
+    expect(matches('file?.js', 'file1.js')).toBe(true);
+    expect(matches('file?.js', 'file10.js')).toBe(false);
+    expect(matches('file[0-2].js', 'file2.js')).toBe(true);
+    expect(matches('file[!0-2].js', 'file2.js')).toBe(false);
+    expect(matches('docs/*.{md,txt}', 'docs/a.txt')).toBe(true);
+    expect(matches('docs/*.{md,txt}', 'docs/a.pdf')).toBe(false);
+  });
+
+  it('matches other characters literally', () => {
+    expect(matches('a.b+c(1).ts', 'a.b+c(1).ts')).toBe(true);
+    expect(matches('a.ts', 'abts')).toBe(false);
+  });
+});
+
+describe('expandGlob', () => {
+  let root: string;
+
+  beforeAll(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'glob-'));
+
+    for (const file of ['src/app.ts', 'src/lib/util.ts', 'src/lib/util.js', 'node_modules/pkg/index.ts', 'README.md']) {
+      await fs.mkdir(path.join(root, path.dirname(file)), { recursive: true });
+      await fs.writeFile(path.join(root, file), '');
+    }
+  });
+
+  afterAll(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('finds the matching files, sorted', async () => {
+    expect(await expandGlob(`${root}/src/**/*.ts`)).toEqual([
+      path.join(root, 'src/app.ts'),
+      path.join(root, 'src/lib/util.ts')
+    ]);
+  });
+
+  it('does not search deeper than a pattern without **', async () => {
+    expect(await expandGlob(`${root}/src/*`)).toEqual([path.join(root, 'src/app.ts')]);
+  });
+
+  it('skips node_modules unless the pattern names it', async () => {
+    expect(await expandGlob(`${root}/**/index.ts`)).toEqual([]);
+    expect(await expandGlob(`${root}/node_modules/**/*.ts`)).toEqual([path.join(root, 'node_modules/pkg/index.ts')]);
+  });
+
+  it('finds nothing under a missing directory', async () => {
+    expect(await expandGlob(`${root}/missing/*.ts`)).toEqual([]);
+  });
+});
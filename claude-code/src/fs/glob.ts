@@ -0,0 +1,131 @@
+/**
+ * Glob Patterns
+ *
+ * Expands glob patterns such as `src/**\/*.ts` or `docs/*.{md,txt}` into
+ * the files they match. Supports `*`, `?`, `**`, `{a,b}` and `[...]`.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { directoryExists } from './operations.js';
+
+/**
+ * Directories that are not searched unless the pattern names them
+ */
+const IGNORED_DIRECTORIES = ['node_modules', '.git'];
+
+/**
+ * Check if a path contains glob characters
+ */
+export function isGlobPattern(pattern: string): boolean {
+  return /[*?[{]/.test(pattern);
+}
+
+/**
+ * Convert a glob pattern to a regular expression matching whole paths
+ * with forward slashes
+ */
+export function globToRegExp(pattern: string): RegExp {
+  let source = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*') {
+      if (pattern[i + 1] === '*') {
+        // `**/` matches any number of directories, including none
+        const slash = pattern[i + 2] === '/';
+        source += slash ? '(?:[^/]*/)*' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const set = pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+        source += `[${set}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\/]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Get the leading directories of a pattern that contain no glob characters
+ */
+function getGlobBase(pattern: string): string {
+  const segments = pattern.split('/');
+  const base: string[] = [];
+
+  for (const segment of segments.slice(0, -1)) {
+    if (isGlobPattern(segment)) {
+      break;
+    }
+    base.push(segment);
+  }
+
+  return base.join('/');
+}
+
+/**
+ * Find the files matching a glob pattern
+ *
+ * Relative patterns are resolved against the working directory and the
+ * matches are returned in the same form as the pattern, sorted.
+ * node_modules and .git are skipped unless the pattern names them.
+ */
+export async function expandGlob(pattern: string): Promise<string[]> {
+  const normalized = pattern.replace(/\\/g, '/');
+  const regex = globToRegExp(normalized);
+  const base = getGlobBase(normalized);
+  const root = base || (normalized.startsWith('/') ? '/' : '.');
+  const segments = normalized.split('/');
+  const ignored = IGNORED_DIRECTORIES.filter(name => !segments.includes(name));
+
+  // Without `**` nothing deeper than the pattern itself can match
+  const maxDepth = normalized.includes('**') ? Infinity : segments.length;
+  const matches: string[] = [];
+
+  if (!await directoryExists(root)) {
+    return [];
+  }
+
+  async function traverse(dir: string): Promise<void> {
+    const entries = await fs.readdir(dir === '' ? '.' : dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const entryPath = dir === '' ? entry.name : `${dir.replace(/\/$/, '')}/${entry.name}`;
+
+      if (entry.isDirectory()) {
+        if (!ignored.includes(entry.name) && entryPath.split('/').length < maxDepth) {
+          await traverse(entryPath);
+        }
+      } else if (entry.isFile() && regex.test(entryPath)) {
+        matches.push(entryPath);
+      }
+    }
+  }
+
+  await traverse(base || (normalized.startsWith('/') ? '/' : ''));
+
+  return matches.sort().map(match => path.normalize(match));
+}
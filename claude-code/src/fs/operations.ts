@@ -12,7 +12,7 @@ import { createReadStream, createWriteStream } from 'fs';
 import { pipeline } from 'stream/promises';
 import { constants } from 'fs';
 import { createUserError } from '../errors/formatter.js';
-import { ErrorCategory } from '../errors/types.js';
+import { ErrorCategory, UserError } from '../errors/types.js';
 import { logger } from '../utils/logger.js';
 import { isValidPath, isValidFilePath, isValidDirectoryPath } from '../utils/validation.js';
 
@@ -123,6 +123,96 @@ export async function readFileLines(
   }
 }
 
+/**
+ * Image read from a file, base64-encoded
+ */
+export interface ImageFile {
+  mediaType: 'image/png' | 'image/jpeg' | 'image/webp';
+  data: string;
+}
+
+/**
+ * Largest image accepted by readImageFile
+ */
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Detect the image type from a file's leading bytes
+ */
+function detectImageType(buffer: Buffer): ImageFile['mediaType'] | null {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  
+  return null;
+}
+
+/**
+ * Read a PNG, JPEG or WebP image as base64
+ * 
+ * The type is taken from the file contents rather than its extension.
+ */
+export async function readImageFile(filePath: string): Promise<ImageFile> {
+  if (!isValidFilePath(filePath)) {
+    throw createUserError(`Invalid file path: ${filePath}`, {
+      category: ErrorCategory.VALIDATION,
+      resolution: 'Provide a valid file path.'
+    });
+  }
+
+  let buffer: Buffer;
+
+  try {
+    const stats = await fs.stat(filePath);
+
+    if (stats.size > MAX_IMAGE_BYTES) {
+      throw createUserError(`Image is too large: ${filePath} (${Math.round(stats.size / 1024 / 1024)} MB)`, {
+        category: ErrorCategory.VALIDATION,
+        resolution: `Use an image smaller than ${MAX_IMAGE_BYTES / 1024 / 1024} MB.`
+      });
+    }
+
+    buffer = await fs.readFile(filePath);
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+      throw createUserError(`File not found: ${filePath}`, {
+        cause: error,
+        category: ErrorCategory.FILE_NOT_FOUND,
+        resolution: 'Check the file path and try again.'
+      });
+    }
+
+    if (error instanceof UserError) {
+      throw error;
+    }
+
+    throw createUserError(`Failed to read file: ${filePath}`, {
+      cause: error,
+      category: ErrorCategory.FILE_READ,
+      resolution: 'Check file permissions and try again.'
+    });
+  }
+
+  const mediaType = detectImageType(buffer);
+
+  if (!mediaType) {
+    throw createUserError(`Not a PNG, JPEG or WebP image: ${filePath}`, {
+      category: ErrorCategory.VALIDATION,
+      resolution: 'Convert the image to PNG, JPEG or WebP and try again.'
+    });
+  }
+
+  return { mediaType, data: buffer.toString('base64') };
+}
+
 /**
  * Write text to a file
  */
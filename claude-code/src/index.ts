@@ -16,6 +16,7 @@ import { initExecutionEnvironment } from './execution/index.js';
 import { initErrorHandling } from './errors/index.js';
 import { initTelemetry } from './telemetry/index.js';
 import { logger } from './utils/logger.js';
+import { createInterruptHandler } from './utils/cancellation.js';
 import { ErrorLevel } from './errors/types.js';
 
 /**
@@ -151,11 +152,13 @@ export async function shutdown(app: AppInstance): Promise<void> {
  * Handle process signals for clean shutdown
  */
 function setupProcessHandlers(app: AppInstance): void {
-  process.on('SIGINT', async () => {
+  // The first Ctrl+C during an AI request only cancels that request;
+  // otherwise, or on a quick second Ctrl+C, shut down
+  process.on('SIGINT', createInterruptHandler(async () => {
     logger.info('Received SIGINT signal');
     await shutdown(app);
     process.exit(0);
-  });
+  }));
   
   process.on('SIGTERM', async () => {
     logger.info('Received SIGTERM signal');
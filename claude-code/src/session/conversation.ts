@@ -0,0 +1,100 @@
+/**
+ * Conversation State
+ *
+ * What a session sends along with the next prompt: the messages of the
+ * conversation so far, the files pinned to it, and the models it is held
+ * with. Resetting a conversation clears this state while
+ * the session keeps its record of past exchanges.
+ */
+
+import { Message } from '../ai/types.js';
+
+/**
+ * File kept in the context of every request of a conversation
+ */
+export interface PinnedFile {
+  /**
+   * Absolute path of the file, or of a directory whose listing is pinned
+   */
+  path: string;
+
+  /**
+   * Line range, 1-based and inclusive, when only part of the file is pinned
+   */
+  start?: number;
+  end?: number;
+
+  addedAt: number;
+
+  /**
+   * Modification time of the file when it was last read for a request
+   */
+  mtime?: number;
+}
+
+/**
+ * State of a conversation
+ */
+export interface Conversation {
+  /**
+   * Questions asked with ask and their answers since the conversation
+   * started or was last reset, oldest first
+   */
+  messages: Message[];
+
+  /**
+   * Files pinned to the conversation
+   */
+  pinned: PinnedFile[];
+
+  /**
+   * Models set per command with `ollama:use --command`, used instead of the
+   * configured routes while the conversation goes on
+   */
+  commandModels?: Record<string, string>;
+
+  /**
+   * Provider and model that answered last, switched back to when the
+   * session is resumed
+   */
+  provider?: string;
+  model?: string;
+
+  /**
+   * When the messages were last cleared
+   */
+  resetAt?: number;
+}
+
+/**
+ * Create a conversation without messages or pinned files
+ */
+export function createEmptyConversation(): Conversation {
+  return { messages: [], pinned: [] };
+}
+
+/**
+ * Clear the messages of a conversation, and with `all` its pinned files
+ *
+ * The per-command models, provider and model are kept.
+ *
+ * @returns Number of messages and pinned files removed
+ */
+export function resetConversation(
+  conversation: Conversation,
+  options: { all?: boolean } = {}
+): { messages: number; pinned: number } {
+  const removed = {
+    messages: conversation.messages.length,
+    pinned: options.all ? conversation.pinned.length : 0
+  };
+
+  conversation.messages = [];
+  conversation.resetAt = Date.now();
+
+  if (options.all) {
+    conversation.pinned = [];
+  }
+
+  return removed;
+}
@@ -0,0 +1,476 @@
+/**
+ * Session Export
+ *
+ * Writes sessions as Markdown or HTML transcripts to paste into documents,
+ * or as JSON that `session import` reads back.
+ */
+
+import os from 'os';
+import path from 'path';
+import { z } from 'zod';
+import { createUserError } from '../errors/formatter.js';
+import { ErrorCategory } from '../errors/types.js';
+import { formatDate } from '../utils/formatting.js';
+import { formatUsage } from '../terminal/formatting.js';
+import { ContextFile } from '../ai/budget.js';
+import { Session, SessionExchange, exchangesToMessages } from './store.js';
+import { getPinnedReference, toPinnedFile } from './pinned.js';
+
+/**
+ * Transcript formats
+ */
+export type ExportFormat = 'markdown' | 'json' | 'html';
+
+/**
+ * Export options
+ */
+export interface ExportOptions {
+  format: ExportFormat;
+
+  /**
+   * Include the reasoning the model gave before its answers
+   */
+  reasoning?: boolean;
+
+  /**
+   * Include the contents of attached files, not just their paths
+   */
+  files?: boolean;
+
+  /**
+   * Replace absolute paths: the working directory with `.`, the home
+   * directory with `~`, and other directories with `<redacted>`
+   */
+  redactPaths?: boolean;
+}
+
+/**
+ * Marker of JSON exports
+ */
+const EXPORT_FORMAT = 'term-code-session';
+
+/**
+ * Version of the JSON export format
+ */
+const EXPORT_VERSION = 1;
+
+/**
+ * Schema of the token usage of an answer
+ */
+const usageSchema = z.object({
+  inputTokens: z.number(),
+  outputTokens: z.number(),
+  totalTokens: z.number().optional(),
+  estimated: z.boolean().optional(),
+  loadDuration: z.number().optional(),
+  promptEvalDuration: z.number().optional(),
+  evalDuration: z.number().optional(),
+  totalDuration: z.number().optional(),
+  tokensPerSecond: z.number().optional()
+});
+
+/**
+ * Schema of one exported message: a prompt with its attachments, or an
+ * answer with the model and usage behind it
+ */
+const exportedMessageSchema = z.discriminatedUnion('role', [
+  z.object({
+    role: z.literal('user'),
+    content: z.string(),
+    command: z.string().default('ask'),
+    files: z.array(z.object({ path: z.string(), content: z.string().optional(), language: z.string().optional() })).optional(),
+    images: z.array(z.string()).optional(),
+    timestamp: z.number()
+  }),
+  z.object({
+    role: z.literal('assistant'),
+    content: z.string(),
+    reasoning: z.string().optional(),
+    provider: z.string().optional(),
+    model: z.string().optional(),
+    usage: usageSchema.optional(),
+    timestamp: z.number()
+  })
+]);
+
+/**
+ * Schema of JSON exports
+ */
+const sessionExportSchema = z.object({
+  format: z.literal(EXPORT_FORMAT),
+  version: z.number().max(EXPORT_VERSION),
+  exportedAt: z.string().optional(),
+  session: z.object({
+    id: z.string(),
+    name: z.string().optional(),
+    createdAt: z.number(),
+    updatedAt: z.number()
+  }),
+  pinned: z.array(z.string()).default([]),
+  resetAt: z.number().optional(),
+  messages: z.array(exportedMessageSchema)
+});
+
+type SessionExport = z.infer<typeof sessionExportSchema>;
+type ExportedMessage = z.infer<typeof exportedMessageSchema>;
+
+/**
+ * Pick the format for an output file from its extension
+ */
+export function getExportFormat(filePath: string): ExportFormat | undefined {
+  switch (path.extname(filePath).toLowerCase()) {
+    case '.md':
+    case '.markdown':
+      return 'markdown';
+    case '.json':
+      return 'json';
+    case '.html':
+    case '.htm':
+      return 'html';
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Replace absolute paths in text
+ */
+export function redactPaths(text: string, cwd = process.cwd(), home = os.homedir()): string {
+  const escape = (value: string) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  return text
+    .replace(new RegExp(`${escape(cwd)}(?=[\\\\/]|\\b|$)`, 'g'), '.')
+    .replace(new RegExp(`${escape(home)}(?=[\\\\/]|\\b|$)`, 'g'), '~')
+    // Other POSIX paths, leaving URLs and relative paths alone
+    .replace(/(?<![\w.~:/\\-])\/(?:[\w.@+-]+\/)+(?=[\w.@+-])/g, '<redacted>/')
+    // Windows paths
+    .replace(/\b[A-Za-z]:\\(?:[^\\\s"'`]+\\)*(?=[^\\\s"'`])/g, '<redacted>\\');
+}
+
+/**
+ * Turn a session into the exported message list
+ */
+function toExport(session: Session, options: ExportOptions): SessionExport {
+  const clean = options.redactPaths ? (text: string) => redactPaths(text) : (text: string) => text;
+  const messages: ExportedMessage[] = session.exchanges.flatMap((exchange): ExportedMessage[] => [
+    {
+      role: 'user',
+      content: clean(exchange.prompt),
+      command: exchange.command,
+      files: exchange.files?.map(file => ({
+        path: clean(file.path),
+        content: options.files === false ? undefined : clean(file.content),
+        language: file.language
+      })),
+      images: exchange.images?.map(clean),
+      timestamp: exchange.timestamp
+    },
+    {
+      role: 'assistant',
+      content: clean(exchange.response),
+      reasoning: options.reasoning && exchange.reasoning ? clean(exchange.reasoning) : undefined,
+      provider: exchange.provider,
+      model: exchange.model,
+      usage: exchange.usage,
+      timestamp: exchange.timestamp
+    }
+  ]);
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: {
+      id: session.id,
+      name: session.name,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt
+    },
+    pinned: session.conversation.pinned.map(file => clean(getPinnedReference(file))),
+    resetAt: session.conversation.resetAt,
+    messages
+  };
+}
+
+/**
+ * Wrap code in a fence longer than any backtick run inside it
+ */
+function fence(code: string, language = ''): string {
+  const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const marks = '`'.repeat(Math.max(3, longest + 1));
+
+  return `${marks}${language}\n${code.replace(/\n$/, '')}\n${marks}`;
+}
+
+/**
+ * Language of a file for code fences, from its extension
+ */
+function languageOf(filePath: string): string {
+  return path.extname(filePath).slice(1).toLowerCase();
+}
+
+/**
+ * Header line of an answer: model, time and token usage
+ */
+function answerHeader(message: Extract<ExportedMessage, { role: 'assistant' }>): string {
+  return [
+    formatUsage(message.usage, { colors: false, model: message.model || 'Assistant' }),
+    formatDate(new Date(message.timestamp))
+  ].join(' · ');
+}
+
+/**
+ * Title of a transcript
+ */
+function titleOf(data: SessionExport): string {
+  return `Conversation ${data.session.name ? `"${data.session.name}"` : data.session.id}`;
+}
+
+/**
+ * Render an export as Markdown
+ */
+function toMarkdown(data: SessionExport): string {
+  const lines = [
+    `# ${titleOf(data)}`,
+    '',
+    `Session \`${data.session.id}\`, started ${formatDate(new Date(data.session.createdAt))}, ${data.messages.length / 2} exchange(s)`,
+    ''
+  ];
+
+  for (const message of data.messages) {
+    if (message.role === 'user') {
+      lines.push('---', '', `### You · ${message.command} · ${formatDate(new Date(message.timestamp))}`, '', message.content, '');
+
+      for (const file of message.files || []) {
+        lines.push(file.content === undefined ? `Attached \`${file.path}\`` : `Attached \`${file.path}\`:`, '');
+
+        if (file.content !== undefined) {
+          lines.push(fence(file.content, file.language || languageOf(file.path)), '');
+        }
+      }
+
+      if (message.images?.length) {
+        lines.push(`Images: ${message.images.map(image => `\`${image}\``).join(', ')}`, '');
+      }
+    } else {
+      lines.push(`### ${answerHeader(message)}`, '');
+
+      if (message.reasoning) {
+        lines.push('> **Reasoning**', '>', ...message.reasoning.trim().split('\n').map(line => `> ${line}`.trimEnd()), '');
+      }
+
+      lines.push(message.content.trim(), '');
+    }
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render message text as HTML: fenced code as code blocks, the rest as
+ * paragraphs with inline code
+ */
+function textToHtml(text: string): string {
+  const parts = text.split(/^(`{3,})([^\n`]*)\n([\s\S]*?)^\1[ \t]*$/m);
+  const html: string[] = [];
+
+  // split() yields text, then the fence, language and code of each block
+  for (let i = 0; i < parts.length; i += 4) {
+    const paragraphs = parts[i].split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+
+    for (const paragraph of paragraphs) {
+      const inline = escapeHtml(paragraph).replace(/`([^`\n]+)`/g, '<code>$1</code>');
+      html.push(`<p>${inline}</p>`);
+    }
+
+    if (i + 3 < parts.length) {
+      const language = parts[i + 2].trim();
+      const className = language ? ` class="language-${escapeHtml(language)}"` : '';
+      html.push(`<pre><code${className}>${escapeHtml(parts[i + 3].replace(/\n$/, ''))}</code></pre>`);
+    }
+  }
+
+  return html.join('\n');
+}
+
+/**
+ * Styles of HTML transcripts
+ */
+const HTML_STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 860px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; line-height: 1.5; }
+header.meta { color: #59636e; margin-bottom: 2rem; }
+section { border-top: 1px solid #d1d9e0; padding: 0.5rem 0; }
+h3 { font-size: 0.9rem; color: #59636e; font-weight: 600; margin: 1rem 0 0.5rem; }
+section.user h3 { color: #0969da; }
+p { white-space: pre-wrap; margin: 0.5rem 0; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.875em; background: #eff2f5; padding: 0.1em 0.3em; border-radius: 4px; }
+pre { background: #f6f8fa; padding: 0.75rem 1rem; border-radius: 6px; overflow-x: auto; }
+pre code { background: none; padding: 0; }
+details { color: #59636e; margin: 0.5rem 0; }
+.attachment { font-size: 0.875rem; color: #59636e; }
+`.trim();
+
+/**
+ * Render an export as a self-contained HTML page
+ */
+function toHtml(data: SessionExport): string {
+  const body: string[] = [];
+
+  for (const message of data.messages) {
+    if (message.role === 'user') {
+      body.push('<section class="user">');
+      body.push(`<h3>You · ${escapeHtml(message.command)} · ${formatDate(new Date(message.timestamp))}</h3>`);
+      body.push(`<p>${escapeHtml(message.content)}</p>`);
+
+      for (const file of message.files || []) {
+        body.push(`<p class="attachment">Attached <code>${escapeHtml(file.path)}</code></p>`);
+
+        if (file.content !== undefined) {
+          const language = file.language || languageOf(file.path);
+          body.push(`<pre><code${language ? ` class="language-${escapeHtml(language)}"` : ''}>${escapeHtml(file.content)}</code></pre>`);
+        }
+      }
+
+      if (message.images?.length) {
+        body.push(`<p class="attachment">Images: ${message.images.map(image => `<code>${escapeHtml(image)}</code>`).join(', ')}</p>`);
+      }
+    } else {
+      body.push('<section class="assistant">');
+      body.push(`<h3>${escapeHtml(answerHeader(message))}</h3>`);
+
+      if (message.reasoning) {
+        body.push(`<details><summary>Reasoning</summary>\n${textToHtml(message.reasoning)}\n</details>`);
+      }
+
+      body.push(textToHtml(message.content));
+    }
+
+    body.push('</section>');
+  }
+
+  const title = escapeHtml(titleOf(data));
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${title}</title>`,
+    `<style>\n${HTML_STYLE}\n</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${title}</h1>`,
+    `<header class="meta">Session <code>${escapeHtml(data.session.id)}</code>, started ${formatDate(new Date(data.session.createdAt))}, ${data.messages.length / 2} exchange(s)</header>`,
+    ...body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Write a session as a transcript in the given format
+ */
+export function exportSession(session: Session, options: ExportOptions): string {
+  const data = toExport(session, options);
+
+  switch (options.format) {
+    case 'json':
+      return `${JSON.stringify(data, null, 2)}\n`;
+    case 'html':
+      return toHtml(data);
+    default:
+      return toMarkdown(data);
+  }
+}
+
+/**
+ * Read a JSON export back into a session
+ *
+ * The session gets the given ID, so importing never replaces an existing
+ * session. Files exported without their contents are kept out of the
+ * conversation, and pinned files are taken relative to the working
+ * directory; check them with readPinnedFiles, as they need not exist here.
+ */
+export function importSession(text: string, id: string): Session {
+  let parsed: unknown;
+
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw createUserError('The file is not valid JSON', {
+      cause: error,
+      category: ErrorCategory.VALIDATION,
+      resolution: "Import a file written by 'export --format json'."
+    });
+  }
+
+  const result = sessionExportSchema.safeParse(parsed);
+
+  if (!result.success) {
+    throw createUserError('The file is not a term-code session export', {
+      category: ErrorCategory.VALIDATION,
+      details: { issues: result.error.issues.slice(0, 5).map(issue => `${issue.path.join('.')}: ${issue.message}`) },
+      resolution: "Import a file written by 'export --format json'."
+    });
+  }
+
+  const data = result.data;
+  const exchanges: SessionExchange[] = [];
+
+  for (let i = 0; i < data.messages.length; i++) {
+    const user = data.messages[i];
+    const answer = data.messages[i + 1];
+
+    // Only prompts followed by their answer make an exchange
+    if (user.role !== 'user' || answer?.role !== 'assistant') {
+      continue;
+    }
+
+    const files = (user.files || [])
+      .filter((file): file is ContextFile => file.content !== undefined);
+
+    exchanges.push({
+      command: user.command,
+      prompt: user.content,
+      files: files.length > 0 ? files : undefined,
+      images: user.images,
+      response: answer.content,
+      reasoning: answer.reasoning,
+      provider: answer.provider,
+      model: answer.model,
+      usage: answer.usage,
+      timestamp: answer.timestamp
+    });
+    i++;
+  }
+
+  const resetAt = data.resetAt;
+  const last = exchanges[exchanges.length - 1];
+
+  return {
+    id,
+    name: data.session.name,
+    createdAt: data.session.createdAt,
+    updatedAt: data.session.updatedAt,
+    exchanges,
+    conversation: {
+      messages: exchangesToMessages(exchanges.filter(exchange => !resetAt || exchange.timestamp > resetAt)),
+      pinned: data.pinned.map(toPinnedFile),
+      provider: last?.provider,
+      model: last?.model,
+      resetAt
+    }
+  };
+}
@@ -0,0 +1,10 @@
+/**
+ * Sessions
+ *
+ * Persistent conversations that commands can continue.
+ */
+
+export * from './conversation.js';
+export * from './export.js';
+export * from './pinned.js';
+export * from './store.js';
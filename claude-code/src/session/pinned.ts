@@ -0,0 +1,267 @@
+/**
+ * Pinned Files
+ *
+ * Files pinned to a conversation are sent with every request of its
+ * session. They are read again for each request, so the model sees what is
+ * on disk, and the modification time recorded at the last read tells which
+ * of them changed in between.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createUserError } from '../errors/formatter.js';
+import { ErrorCategory } from '../errors/types.js';
+import { ContextFile, estimateFileTokens } from '../ai/budget.js';
+import {
+  FileReference,
+  MAX_GLOB_MATCHES,
+  parseFileReference,
+  formatFileReference,
+  readFileReference,
+  isBinary
+} from '../ai/mentions.js';
+import { isGlobPattern, globToRegExp, expandGlob } from '../fs/glob.js';
+import { fileExists, directoryExists } from '../fs/operations.js';
+import { Conversation, PinnedFile } from './conversation.js';
+
+/**
+ * Pinned file as read for a request
+ */
+export interface PinnedContent {
+  pinned: PinnedFile;
+
+  /**
+   * Reference to the file as shown to the user, e.g. src/app.ts:30-90
+   */
+  reference: string;
+
+  /**
+   * File as attached, or null when it could not be read
+   */
+  file: ContextFile | null;
+
+  /**
+   * Why the file could not be read
+   */
+  problem?: string;
+
+  /**
+   * Estimated tokens of the attached file
+   */
+  tokens: number;
+
+  /**
+   * Whether the file changed on disk since it was last read for a request
+   */
+  changed: boolean;
+}
+
+/**
+ * Get the path of a pinned file relative to the working directory, or
+ * absolute when it is outside of it
+ */
+function getPinnedPath(pinned: PinnedFile): string {
+  const relative = path.relative(process.cwd(), pinned.path);
+
+  if (relative === '') {
+    return '.';
+  }
+
+  return relative.startsWith('..') || path.isAbsolute(relative) ? pinned.path : relative;
+}
+
+/**
+ * Get the reference of a pinned file as shown to the user
+ */
+export function getPinnedReference(pinned: PinnedFile): string {
+  return formatFileReference({ path: getPinnedPath(pinned), start: pinned.start, end: pinned.end });
+}
+
+/**
+ * Turn a reference from getPinnedReference back into a pinned file, e.g.
+ * when importing a session in another workspace
+ *
+ * Relative paths are taken from the working directory and a leading `~`
+ * from the home directory.
+ */
+export function toPinnedFile(raw: string): PinnedFile {
+  const reference = parseFileReference(raw);
+  const filePath = /^~(?=[\\/]|$)/.test(reference.path)
+    ? path.join(os.homedir(), reference.path.slice(1))
+    : reference.path;
+
+  return { path: path.resolve(filePath), start: reference.start, end: reference.end, addedAt: Date.now() };
+}
+
+/**
+ * Check if a reference points to a pinned file
+ *
+ * Matches the reference as listed, the path with or without the pinned
+ * line range, a glob pattern, or the 1-based position in the list.
+ */
+function matchesPinned(raw: string, pinned: PinnedFile, index: number): boolean {
+  if (raw === String(index + 1) || raw === getPinnedReference(pinned)) {
+    return true;
+  }
+
+  const reference = parseFileReference(raw);
+
+  if (path.resolve(reference.path) === pinned.path) {
+    return reference.start === undefined || (reference.start === pinned.start && reference.end === pinned.end);
+  }
+
+  return isGlobPattern(reference.path) && globToRegExp(reference.path.replace(/\\/g, '/')).test(getPinnedPath(pinned));
+}
+
+/**
+ * Find the paths a reference to pin stands for: the path itself when it
+ * exists, otherwise the files a glob pattern matches
+ */
+async function findPinTargets(reference: FileReference): Promise<string[]> {
+  if (await directoryExists(reference.path) || await fileExists(reference.path)) {
+    return [reference.path];
+  }
+
+  const matches = isGlobPattern(reference.path) ? await expandGlob(reference.path) : [];
+
+  if (matches.length === 0) {
+    throw createUserError(`No file or directory matches ${formatFileReference(reference)}`, {
+      category: ErrorCategory.FILE_NOT_FOUND,
+      resolution: 'Check the path or pattern and try again.'
+    });
+  }
+
+  if (matches.length > MAX_GLOB_MATCHES) {
+    throw createUserError(`${reference.path} matches ${matches.length} files, more than the ${MAX_GLOB_MATCHES} that can be pinned at once`, {
+      category: ErrorCategory.VALIDATION,
+      resolution: 'Use a narrower pattern.'
+    });
+  }
+
+  return matches;
+}
+
+/**
+ * Pin files, line ranges, directories or the files matching glob patterns
+ * to a conversation
+ *
+ * Every reference is read once to check it, and binary files matched by a
+ * pattern are skipped.
+ *
+ * @returns The files pinned, and the references that already were
+ */
+export async function pinFiles(
+  conversation: Conversation,
+  references: string[]
+): Promise<{ added: PinnedFile[]; existing: string[] }> {
+  const added: PinnedFile[] = [];
+  const existing: string[] = [];
+
+  for (const raw of references) {
+    const reference = parseFileReference(raw);
+    const targets = await findPinTargets(reference);
+
+    for (const target of targets) {
+      const pinned: PinnedFile = {
+        path: path.resolve(target),
+        start: reference.start,
+        end: reference.end,
+        addedAt: Date.now()
+      };
+
+      if (conversation.pinned.some(other =>
+        other.path === pinned.path && other.start === pinned.start && other.end === pinned.end)) {
+        existing.push(getPinnedReference(pinned));
+        continue;
+      }
+
+      const file = await readFileReference({ ...reference, path: target });
+
+      if (isBinary(file.content)) {
+        if (targets.length > 1) {
+          continue;
+        }
+
+        throw createUserError(`${target} is a binary file`, {
+          category: ErrorCategory.VALIDATION,
+          resolution: 'Pin text files only.'
+        });
+      }
+
+      pinned.mtime = (await fs.stat(target)).mtimeMs;
+      conversation.pinned.push(pinned);
+      added.push(pinned);
+    }
+  }
+
+  return { added, existing };
+}
+
+/**
+ * Unpin files from a conversation
+ *
+ * @returns The files unpinned
+ */
+export function unpinFiles(conversation: Conversation, references: string[]): PinnedFile[] {
+  for (const raw of references) {
+    if (!conversation.pinned.some((pinned, index) => matchesPinned(raw, pinned, index))) {
+      throw createUserError(`No pinned file matches ${raw}`, {
+        category: ErrorCategory.VALIDATION,
+        resolution: "Use 'context list' to see the pinned files."
+      });
+    }
+  }
+
+  const removed = conversation.pinned.filter((pinned, index) =>
+    references.some(raw => matchesPinned(raw, pinned, index)));
+
+  conversation.pinned = conversation.pinned.filter(pinned => !removed.includes(pinned));
+
+  return removed;
+}
+
+/**
+ * Read the files pinned to a conversation as they are on disk
+ *
+ * With `update`, the files are marked as read, so that the next read only
+ * reports them as changed when they change again.
+ */
+export async function readPinnedFiles(
+  conversation: Conversation,
+  options: { update?: boolean } = {}
+): Promise<PinnedContent[]> {
+  const contents: PinnedContent[] = [];
+
+  for (const pinned of conversation.pinned) {
+    const reference = getPinnedReference(pinned);
+    let mtime: number;
+
+    try {
+      mtime = (await fs.stat(pinned.path)).mtimeMs;
+    } catch {
+      contents.push({ pinned, reference, file: null, problem: 'not found', tokens: 0, changed: false });
+      continue;
+    }
+
+    const changed = pinned.mtime !== undefined && mtime !== pinned.mtime;
+
+    try {
+      const file: ContextFile = {
+        ...await readFileReference({ path: getPinnedPath(pinned), start: pinned.start, end: pinned.end }),
+        pinned: true
+      };
+
+      contents.push({ pinned, reference, file, tokens: estimateFileTokens(file), changed });
+    } catch (error) {
+      const problem = error instanceof Error ? error.message : String(error);
+      contents.push({ pinned, reference, file: null, problem, tokens: 0, changed });
+    }
+
+    if (options.update) {
+      pinned.mtime = mtime;
+    }
+  }
+
+  return contents;
+}
@@ -0,0 +1,377 @@
+/**
+ * Session Store
+ *
+ * Keeps conversations on disk so that later commands can continue them.
+ * Each session is a JSON file with every exchange: the prompt, the files
+ * and images attached to it, the response, and the model and usage that
+ * produced it, along with the state of its conversation. One session is
+ * current at a time.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { createUserError } from '../errors/formatter.js';
+import { ErrorCategory } from '../errors/types.js';
+import {
+  fileExists,
+  directoryExists,
+  ensureDirectory,
+  readTextFile,
+  writeTextFile,
+  deleteFile,
+  listDirectory
+} from '../fs/operations.js';
+import { buildPrompt, ContextFile } from '../ai/budget.js';
+import { AIUsage, Message } from '../ai/types.js';
+import { Conversation, createEmptyConversation } from './conversation.js';
+
+/**
+ * One prompt and the response to it
+ */
+export interface SessionExchange {
+  /**
+   * Command the prompt was sent with, e.g. ask or explain
+   */
+  command: string;
+
+  /**
+   * Prompt as the user gave it
+   */
+  prompt: string;
+
+  /**
+   * Files attached to the prompt
+   */
+  files?: ContextFile[];
+
+  /**
+   * Paths of images attached to the prompt. Image data is not stored.
+   */
+  images?: string[];
+
+  /**
+   * Answer of the model
+   */
+  response: string;
+
+  /**
+   * Reasoning the model gave before its answer
+   */
+  reasoning?: string;
+
+  /**
+   * Provider and model that answered
+   */
+  provider?: string;
+  model?: string;
+
+  usage?: AIUsage;
+
+  timestamp: number;
+}
+
+/**
+ * Stored conversation
+ */
+export interface Session {
+  id: string;
+  name?: string;
+  createdAt: number;
+  updatedAt: number;
+
+  /**
+   * Every exchange of the session, including those from before a reset
+   */
+  exchanges: SessionExchange[];
+
+  /**
+   * What is sent with the next prompt
+   */
+  conversation: Conversation;
+}
+
+/**
+ * Overview of a session for listings
+ */
+export interface SessionSummary {
+  id: string;
+  name?: string;
+  createdAt: number;
+  updatedAt: number;
+  exchanges: number;
+
+  /**
+   * First prompt of the session
+   */
+  preview: string;
+}
+
+/**
+ * Session store configuration
+ */
+export interface SessionStoreConfig {
+  /**
+   * Directory the sessions are stored in
+   */
+  directory: string;
+}
+
+/**
+ * File holding the ID of the current session
+ */
+const CURRENT_FILE = 'current';
+
+/**
+ * Build the session store configuration from the application configuration
+ */
+export function getSessionStoreConfig(config: any): SessionStoreConfig | null {
+  if (!config.paths?.app) {
+    return null;
+  }
+
+  return {
+    directory: path.join(config.paths.app, 'sessions')
+  };
+}
+
+/**
+ * Commands whose exchanges are part of the conversation
+ *
+ * Other commands, such as explain or fix, are recorded in the session but
+ * not sent again: each of them attaches whole files for a single task.
+ */
+const CONVERSATION_COMMANDS = ['ask'];
+
+/**
+ * Turn the exchanges that are part of the conversation into messages, with
+ * attached files inlined as they were sent
+ */
+export function exchangesToMessages(exchanges: SessionExchange[]): Message[] {
+  return exchanges
+    .filter(exchange => CONVERSATION_COMMANDS.includes(exchange.command))
+    .flatMap((exchange): Message[] => [
+      { role: 'user', content: buildPrompt(exchange.prompt, exchange.files || []) },
+      { role: 'assistant', content: exchange.response }
+    ]);
+}
+
+/**
+ * Get the conversation history of a session
+ */
+export function getSessionMessages(session: Session): Message[] {
+  return session.conversation.messages;
+}
+
+/**
+ * On-disk store of sessions, one JSON file per session
+ */
+export class SessionStore {
+  private config: SessionStoreConfig;
+
+  /**
+   * Create a new session store
+   */
+  constructor(config: SessionStoreConfig) {
+    this.config = config;
+  }
+
+  /**
+   * Get the file path of a session
+   */
+  private getSessionPath(id: string): string {
+    return path.join(this.config.directory, `${id}.json`);
+  }
+
+  /**
+   * Start a new session. It is only written once it has an exchange.
+   */
+  create(name?: string): Session {
+    const now = Date.now();
+
+    return {
+      id: crypto.randomBytes(4).toString('hex'),
+      name,
+      createdAt: now,
+      updatedAt: now,
+      exchanges: [],
+      conversation: createEmptyConversation()
+    };
+  }
+
+  /**
+   * Load a session by its ID
+   */
+  async load(id: string): Promise<Session | null> {
+    const sessionPath = this.getSessionPath(id);
+
+    if (!/^[\w-]+$/.test(id) || !await fileExists(sessionPath)) {
+      return null;
+    }
+
+    try {
+      const session = JSON.parse(await readTextFile(sessionPath)) as Session;
+
+      // Sessions written before conversations were kept continue from
+      // all of their exchanges
+      session.conversation ??= { ...createEmptyConversation(), messages: exchangesToMessages(session.exchanges) };
+
+      return session;
+    } catch (error) {
+      logger.warn(`Failed to read session ${id}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Write a session
+   */
+  async save(session: Session): Promise<void> {
+    await ensureDirectory(this.config.directory);
+    await writeTextFile(this.getSessionPath(session.id), JSON.stringify(session, null, 2));
+  }
+
+  /**
+   * List all sessions, most recently used first
+   */
+  async list(): Promise<SessionSummary[]> {
+    if (!await directoryExists(this.config.directory)) {
+      return [];
+    }
+
+    const files = (await listDirectory(this.config.directory)).filter(file => file.endsWith('.json'));
+    const summaries: SessionSummary[] = [];
+
+    for (const file of files) {
+      const session = await this.load(path.basename(file, '.json'));
+
+      if (session) {
+        summaries.push({
+          id: session.id,
+          name: session.name,
+          createdAt: session.createdAt,
+          updatedAt: session.updatedAt,
+          exchanges: session.exchanges.length,
+          preview: session.exchanges[0]?.prompt || ''
+        });
+      }
+    }
+
+    return summaries.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Find a session by its ID, the start of its ID or its name
+   */
+  async find(ref: string): Promise<Session> {
+    const exact = await this.load(ref);
+
+    if (exact) {
+      return exact;
+    }
+
+    const sessions = await this.list();
+    const matches = sessions.filter(session => session.name === ref);
+    const candidates = matches.length > 0 ? matches : sessions.filter(session => session.id.startsWith(ref));
+
+    if (candidates.length === 0) {
+      throw createUserError(`No session matches '${ref}'`, {
+        category: ErrorCategory.VALIDATION,
+        resolution: "Use 'session list' to see the available sessions."
+      });
+    }
+
+    if (candidates.length > 1) {
+      throw createUserError(`'${ref}' matches ${candidates.length} sessions: ${candidates.map(session => session.id).join(', ')}`, {
+        category: ErrorCategory.VALIDATION,
+        resolution: 'Use the session ID instead.'
+      });
+    }
+
+    return (await this.load(candidates[0].id))!;
+  }
+
+  /**
+   * Delete a session, clearing it as the current one
+   */
+  async delete(id: string): Promise<void> {
+    await deleteFile(this.getSessionPath(id));
+
+    if (await this.getCurrentId() === id) {
+      await this.setCurrent(null);
+    }
+  }
+
+  /**
+   * Rename a session
+   */
+  async rename(session: Session, name: string): Promise<void> {
+    session.name = name;
+    await this.save(session);
+  }
+
+  /**
+   * Get the ID of the current session
+   */
+  private async getCurrentId(): Promise<string | null> {
+    const currentPath = path.join(this.config.directory, CURRENT_FILE);
+
+    if (!await fileExists(currentPath)) {
+      return null;
+    }
+
+    return (await readTextFile(currentPath)).trim() || null;
+  }
+
+  /**
+   * Get the current session, if there is one
+   */
+  async getCurrent(): Promise<Session | null> {
+    const id = await this.getCurrentId();
+    return id ? this.load(id) : null;
+  }
+
+  /**
+   * Make a session the current one, or clear the current session
+   */
+  async setCurrent(id: string | null): Promise<void> {
+    await ensureDirectory(this.config.directory);
+    await writeTextFile(path.join(this.config.directory, CURRENT_FILE), id || '');
+  }
+
+  /**
+   * Append an exchange to a session and, when it is part of the
+   * conversation, to its messages, then save the session and make it
+   * current
+   */
+  async addExchange(session: Session, exchange: SessionExchange): Promise<void> {
+    session.exchanges.push(exchange);
+    session.conversation.messages.push(...exchangesToMessages([exchange]));
+    session.conversation.provider = exchange.provider;
+    session.conversation.model = exchange.model;
+    session.updatedAt = exchange.timestamp;
+
+    await this.save(session);
+    await this.setCurrent(session.id);
+  }
+}
+
+/**
+ * Open the session store with the session to record a command in
+ *
+ * This is the current session, or a new one when there is none or
+ * newSession is set. Returns null when no app directory is configured.
+ */
+export async function openSessionStore(newSession = false): Promise<{ store: SessionStore; session: Session } | null> {
+  const { loadConfig } = await import('../config/index.js');
+  const storeConfig = getSessionStoreConfig(await loadConfig());
+
+  if (!storeConfig) {
+    return null;
+  }
+
+  const store = new SessionStore(storeConfig);
+  const session = (!newSession && await store.getCurrent()) || store.create();
+
+  return { store, session };
+}
@@ -190,12 +190,9 @@ class TelemetryManager {
       this.flushSync();
     });
     
-    // Handle SIGINT (Ctrl+C)
-    process.on('SIGINT', () => {
-      this.trackEvent(TelemetryEventType.CLI_EXIT, { reason: 'SIGINT' });
-      this.flushSync();
-      process.exit(0);
-    });
+    // Ctrl+C is left to the application's interrupt handler, which cancels
+    // a request in flight instead of exiting; an exit it causes is tracked
+    // above
     
     // Handle uncaught exceptions
     process.on('uncaughtException', (error) => {
@@ -504,17 +501,11 @@ export async function initTelemetry(config: any = {}): Promise<any> {
         version: config.version || 'unknown'
       });
       
-      // Set up process exit handler to ensure telemetry is flushed
-      process.on('exit', () => {
-        telemetryManager.flush();
-      });
-      
-      process.on('SIGINT', () => {
-        telemetryManager.trackEvent(TelemetryEventType.CLI_EXIT, {
-          reason: 'SIGINT'
-        });
-        telemetryManager.flush();
-        process.exit(0);
+      // Flush while the event loop can still send, before the process
+      // exits on its own. SIGINT is not handled here, so that Ctrl+C can
+      // cancel a request without ending the process.
+      process.on('beforeExit', () => {
+        void telemetryManager.flush();
       });
       
       process.on('SIGTERM', () => {
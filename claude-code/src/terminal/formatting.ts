@@ -5,6 +5,9 @@
  */
 
 import chalk from 'chalk';
+import { AIUsage } from '../ai/types.js';
+import { ContextBudget, estimateTokens } from '../ai/budget.js';
+import { ReasoningDisplay } from './types.js';
 
 /**
  * Clear the terminal screen
@@ -216,4 +219,93 @@ export function wordWrap(text: string, width: number): string {
     
     return wrappedLines.join('\n');
   }).join('\n');
-} 
\ No newline at end of file
+} 
+
+/**
+ * Format the answering model, token usage and generation speed as a one-line summary
+ */
+export function formatUsage(
+  usage: AIUsage | undefined,
+  options: FormatOptions & { cached?: boolean; model?: string } = {}
+): string {
+  const { colors = true, cached = false, model } = options;
+  const parts: string[] = [];
+  
+  if (model) {
+    parts.push(model);
+  }
+  
+  if (usage) {
+    parts.push(`${usage.estimated ? '~' : ''}${usage.inputTokens} in / ${usage.outputTokens} out tokens`);
+    
+    if (usage.tokensPerSecond !== undefined) {
+      parts.push(`${usage.tokensPerSecond.toFixed(1)} tokens/s`);
+    }
+    
+    if (usage.totalDuration !== undefined) {
+      parts.push(`${(usage.totalDuration / 1000).toFixed(2)}s`);
+    }
+    
+    if (usage.loadDuration !== undefined && usage.loadDuration >= 1000) {
+      parts.push(`model load ${(usage.loadDuration / 1000).toFixed(2)}s`);
+    }
+  }
+  
+  if (cached) {
+    parts.push('cached');
+  }
+  
+  const summary = parts.join(' · ');
+  return colors ? chalk.dim(summary) : summary;
+}
+
+/**
+ * Format the token breakdown of a request against the model's context window
+ */
+export function formatContextBudget(budget: ContextBudget, options: FormatOptions = {}): string {
+  const { colors = true } = options;
+  const rows: Array<[string, number]> = [
+    ['System prompt', budget.system],
+    ['History', budget.history],
+    ['Prompt', budget.prompt],
+    ...budget.files.map(file => [`${file.pinned ? 'Pinned' : 'File'} ${file.path}`, file.tokens] as [string, number])
+  ];
+  const labelWidth = Math.max(...rows.map(([label]) => label.length), 'Reserved for answer'.length, 'Total (estimated)'.length);
+  const row = (label: string, tokens: number) => `  ${label.padEnd(labelWidth)}  ${String(tokens).padStart(7)}`;
+  const fits = budget.total <= budget.limit;
+  
+  const lines = [
+    `Context window: ${budget.contextLength} tokens (${budget.source})${budget.model ? ` for ${budget.model}` : ''}`,
+    ...rows.map(([label, tokens]) => row(label, tokens)),
+    row('Reserved for answer', budget.reserved),
+    row('Total (estimated)', budget.total + budget.reserved),
+    fits
+      ? `Fits, with ${budget.limit - budget.total} tokens to spare.`
+      : `Exceeds the window by ${budget.total - budget.limit} tokens; strategy: ${budget.strategy}.`,
+    ...budget.adjustments.map(adjustment => `  - ${adjustment}`),
+    ...budget.warnings.map(warning => `  ! ${warning}`)
+  ];
+  
+  const text = lines.join('\n');
+  return colors && (!fits || budget.warnings.length > 0) ? chalk.yellow(text) : text;
+}
+
+/**
+ * Format the reasoning of a response as configured by terminal.showReasoning
+ *
+ * Returns an empty string when the reasoning is hidden.
+ */
+export function formatReasoning(reasoning: string, display: ReasoningDisplay, options: FormatOptions = {}): string {
+  const { colors = true } = options;
+  const text = reasoning.trim();
+  
+  if (!text || display === 'hidden') {
+    return '';
+  }
+  
+  const formatted = display === 'dimmed'
+    ? text
+    : `▸ Reasoning hidden (~${estimateTokens(text)} tokens); set terminal.showReasoning to "dimmed" to show it`;
+  
+  return colors ? chalk.dim(formatted) : formatted;
+}
\ No newline at end of file
@@ -12,7 +12,9 @@ import terminalLink from 'terminal-link';
 import { table } from 'table';
 import { logger } from '../utils/logger.js';
 import { TerminalInterface, TerminalConfig, PromptOptions, SpinnerInstance } from './types.js';
-import { formatOutput, clearScreen, getTerminalSize } from './formatting.js';
+import { formatOutput, formatReasoning, clearScreen, getTerminalSize } from './formatting.js';
+import { MarkdownStreamRenderer } from './stream.js';
+import { ProgressRenderer } from './progress.js';
 import { createPrompt } from './prompt.js';
 import { getActiveProvider, AIProvider } from '../ai/index.js';
 
@@ -40,6 +42,20 @@ const PROVIDER_CONFIGS: Record<string, ProviderTerminalConfig> = {
     welcomeSubtitle: 'Terminal-based AI coding assistant',
     welcomeTip: 'Pro tip: Use ollama:list to see available models.',
     providerColor: 'green'
+  },
+  [AIProvider.OPENAI_COMPATIBLE]: {
+    promptText: 'term-code>',
+    welcomeTitle: 'Term-Code (OpenAI-compatible)',
+    welcomeSubtitle: 'Terminal-based AI coding assistant',
+    welcomeTip: 'Pro tip: Use model:list to see available models.',
+    providerColor: 'magenta'
+  },
+  [AIProvider.REPLAY]: {
+    promptText: 'term-code>',
+    welcomeTitle: 'Term-Code (replaying a cassette)',
+    welcomeSubtitle: 'Responses come from a recording, not a model',
+    welcomeTip: 'Pro tip: Set TERM_CODE_CASSETTE_MODE=record to record a new cassette.',
+    providerColor: 'yellow'
   }
 };
 
@@ -56,6 +72,7 @@ export async function initTerminal(config: any): Promise<TerminalInterface> {
     codeHighlighting: config.terminal?.codeHighlighting !== false,
     maxHeight: config.terminal?.maxHeight,
     maxWidth: config.terminal?.maxWidth,
+    showReasoning: config.terminal?.showReasoning || 'collapsed',
     provider: config.provider || AIProvider.OLLAMA // Default to Ollama
   };
   
@@ -277,6 +294,42 @@ class Terminal implements TerminalInterface {
     return createPrompt(options, this.config) as T;
   }
 
+  /**
+   * Create a renderer for markdown that arrives in chunks
+   */
+  createStreamRenderer(): MarkdownStreamRenderer {
+    return new MarkdownStreamRenderer({
+      width: this.terminalWidth,
+      colors: this.config.useColors,
+      codeHighlighting: this.config.codeHighlighting,
+      redraw: this.isInteractive,
+      reasoning: this.config.showReasoning
+    });
+  }
+
+  /**
+   * Display the reasoning of a complete response
+   */
+  displayReasoning(reasoning: string): void {
+    const formatted = formatReasoning(reasoning, this.config.showReasoning || 'collapsed', {
+      colors: this.config.useColors
+    });
+    
+    if (formatted) {
+      console.log(`${formatted}\n`);
+    }
+  }
+
+  /**
+   * Create a renderer for a group of progress bars
+   */
+  createProgressRenderer(): ProgressRenderer {
+    return new ProgressRenderer({
+      colors: this.config.useColors,
+      redraw: this.isInteractive
+    });
+  }
+
   /**
    * Create a spinner for showing progress
    */
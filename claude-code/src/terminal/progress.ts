@@ -0,0 +1,163 @@
+/**
+ * Progress Bars
+ *
+ * Renders a group of progress bars that update in place, such as one bar
+ * per layer of a model download. Without cursor movement, a line is printed
+ * when a bar starts and when it completes instead.
+ */
+
+import chalk from 'chalk';
+import { formatFileSize } from '../utils/formatting.js';
+
+/**
+ * Options for the progress renderer
+ */
+export interface ProgressRendererOptions {
+  /**
+   * Redraw the bars in place. Needs a terminal that understands cursor movement.
+   */
+  redraw?: boolean;
+
+  /**
+   * Whether to use colors
+   */
+  colors?: boolean;
+
+  /**
+   * Width of each bar in characters
+   */
+  barWidth?: number;
+
+  /**
+   * Output function, defaults to writing to stdout
+   */
+  write?: (text: string) => void;
+}
+
+/**
+ * State of one bar
+ */
+interface ProgressBar {
+  label: string;
+  completed: number;
+  total: number;
+}
+
+/**
+ * Minimum time between redraws in milliseconds
+ */
+const REDRAW_INTERVAL_MS = 100;
+
+/**
+ * Format a progress bar with its percentage and transferred size
+ */
+export function formatProgressBar(completed: number, total: number, width = 30, colors = true): string {
+  const ratio = total > 0 ? Math.min(1, completed / total) : 0;
+  const filled = Math.round(ratio * width);
+  const bar = '█'.repeat(filled) + '░'.repeat(width - filled);
+  const percent = `${Math.floor(ratio * 100)}%`.padStart(4);
+  const size = total > 0 ? ` ${formatFileSize(completed)} / ${formatFileSize(total)}` : '';
+
+  return `${colors ? chalk.cyan(bar) : bar} ${percent}${size}`;
+}
+
+/**
+ * Renderer for a group of progress bars
+ */
+export class ProgressRenderer {
+  private options: ProgressRendererOptions;
+  private write: (text: string) => void;
+  private bars: Map<string, ProgressBar> = new Map();
+  private renderedLines = 0;
+  private lastRender = 0;
+
+  /**
+   * Create a new progress renderer
+   */
+  constructor(options: ProgressRendererOptions = {}) {
+    this.options = options;
+    this.write = options.write || (text => process.stdout.write(text));
+  }
+
+  /**
+   * Print a status line above the bars
+   */
+  status(text: string): void {
+    this.clear();
+    this.write(`${text}\n`);
+    this.render(true);
+  }
+
+  /**
+   * Update a bar, adding it if it is new
+   */
+  update(id: string, label: string, completed: number, total: number): void {
+    const previous = this.bars.get(id);
+    this.bars.set(id, { label, completed, total });
+
+    if (this.options.redraw) {
+      this.render(completed >= total);
+      return;
+    }
+
+    // Without redraws only the start and the end of each bar are shown
+    const finished = total > 0 && completed >= total;
+    const wasFinished = previous !== undefined && previous.total > 0 && previous.completed >= previous.total;
+
+    if (!previous || (finished && !wasFinished)) {
+      this.write(`${this.formatBar({ label, completed, total })}\n`);
+    }
+  }
+
+  /**
+   * Draw the final state of the bars
+   */
+  end(): void {
+    this.render(true);
+    this.renderedLines = 0;
+    this.bars.clear();
+  }
+
+  /**
+   * Format one bar as a line
+   */
+  private formatBar(bar: ProgressBar): string {
+    const { barWidth = 30, colors = true } = this.options;
+    return `${bar.label} ${formatProgressBar(bar.completed, bar.total, barWidth, colors)}`;
+  }
+
+  /**
+   * Erase the bars drawn last time
+   */
+  private clear(): void {
+    if (!this.options.redraw || this.renderedLines === 0) {
+      return;
+    }
+
+    this.write(`\x1b[${this.renderedLines}A\r\x1b[J`);
+    this.renderedLines = 0;
+  }
+
+  /**
+   * Redraw all bars, at most once per interval unless forced
+   */
+  private render(force = false): void {
+    if (!this.options.redraw) {
+      return;
+    }
+
+    const now = Date.now();
+    if (!force && now - this.lastRender < REDRAW_INTERVAL_MS) {
+      return;
+    }
+
+    this.lastRender = now;
+    this.clear();
+
+    for (const bar of this.bars.values()) {
+      this.write(`${this.formatBar(bar)}\n`);
+    }
+
+    this.renderedLines = this.bars.size;
+  }
+}
@@ -5,6 +5,7 @@
  */
 
 import inquirer, { Question, Answers } from 'inquirer';
+import readline from 'readline';
 import { PromptOptions, TerminalConfig } from './types.js';
 import { logger } from '../utils/logger.js';
 
@@ -19,6 +20,12 @@ export async function createPrompt<T extends Answers>(options: any, config: Term
     throw new Error('Cannot prompt for input in non-interactive terminal');
   }
   
+  // Inquirer has no tab completion, so inputs with a completer use readline
+  if (options.completer && (options.type || 'input') === 'input') {
+    const value = await readLine(options.message || '', options.completer);
+    return { [options.name || 'value']: value } as T;
+  }
+  
   try {
     // Create a properly typed question object
     const question = {
@@ -44,6 +51,40 @@ export async function createPrompt<T extends Answers>(options: any, config: Term
   }
 }
 
+/**
+ * Read a line of input with tab completion
+ * 
+ * Like inquirer, Ctrl+C while reading terminates the process.
+ */
+function readLine(
+  message: string,
+  completer: (line: string) => Promise<[string[], string]>
+): Promise<string> {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: true,
+    completer: (line: string, callback: (error: Error | null, result: [string[], string]) => void) => {
+      completer(line).then(
+        result => callback(null, result),
+        () => callback(null, [[], line])
+      );
+    }
+  });
+  
+  rl.on('SIGINT', () => {
+    rl.close();
+    process.kill(process.pid, 'SIGINT');
+  });
+  
+  return new Promise(resolve => {
+    rl.question(message ? `${message} ` : '', answer => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
 /**
  * Create a text input prompt
  */
@@ -0,0 +1,206 @@
+/**
+ * Streaming Output
+ *
+ * Renders markdown that arrives in chunks. Lines are formatted once they are
+ * complete and code blocks once their closing fence arrives, so highlighting
+ * and borders match the output of formatOutput for the full text.
+ * Reasoning is shown before the answer as configured by showReasoning.
+ */
+
+import chalk from 'chalk';
+import { formatOutput, formatReasoning, FormatOptions, getTerminalSize } from './formatting.js';
+import { ReasoningDisplay } from './types.js';
+
+/**
+ * Options for the stream renderer
+ */
+export interface StreamRendererOptions extends FormatOptions {
+  /**
+   * Show incomplete lines as they arrive and redraw them once formatted.
+   * Needs a terminal that understands cursor movement.
+   */
+  redraw?: boolean;
+
+  /**
+   * How to show reasoning, defaults to collapsed
+   */
+  reasoning?: ReasoningDisplay;
+
+  /**
+   * Output function, defaults to writing to stdout
+   */
+  write?: (text: string) => void;
+}
+
+/**
+ * Incremental markdown renderer for streamed responses
+ */
+export class MarkdownStreamRenderer {
+  private options: StreamRendererOptions;
+  private write: (text: string) => void;
+  private line = '';
+  private rawLength = 0;
+  private codeBlock: string[] | null = null;
+  private reasoning = '';
+  private reasoningDone = false;
+
+  /**
+   * Create a new stream renderer
+   */
+  constructor(options: StreamRendererOptions = {}) {
+    this.options = options;
+    this.write = options.write || (text => process.stdout.write(text));
+  }
+
+  /**
+   * Whether reasoning is written out as it arrives
+   */
+  get showsReasoning(): boolean {
+    return this.options.reasoning === 'dimmed';
+  }
+
+  /**
+   * Add a chunk of streamed reasoning
+   */
+  pushReasoning(chunk: string): void {
+    if (this.reasoningDone) {
+      return;
+    }
+
+    // Dimmed reasoning is written raw, without markdown formatting
+    if (this.showsReasoning) {
+      const text = this.reasoning ? chunk : chunk.trimStart();
+      this.write(this.options.colors === false ? text : chalk.dim(text));
+    }
+
+    this.reasoning += chunk;
+  }
+
+  /**
+   * Add a chunk of streamed text
+   */
+  push(chunk: string): void {
+    this.endReasoning();
+
+    const lines = (this.line + chunk).split('\n');
+    this.line = lines.pop() || '';
+
+    for (const line of lines) {
+      this.completeLine(line);
+    }
+
+    this.showPartialLine();
+  }
+
+  /**
+   * Flush any remaining text once the stream has finished
+   */
+  end(): void {
+    this.endReasoning();
+
+    if (this.line) {
+      this.completeLine(this.line);
+      this.line = '';
+    }
+
+    // An unclosed code block is printed as it is
+    if (this.codeBlock) {
+      this.output(this.codeBlock.join('\n'));
+      this.codeBlock = null;
+    }
+  }
+
+  /**
+   * Close the reasoning once the answer starts, writing the collapsed note
+   */
+  private endReasoning(): void {
+    if (this.reasoningDone) {
+      return;
+    }
+
+    this.reasoningDone = true;
+
+    if (!this.reasoning.trim()) {
+      return;
+    }
+
+    if (this.showsReasoning) {
+      this.write(this.reasoning.endsWith('\n') ? '\n' : '\n\n');
+      return;
+    }
+
+    const note = formatReasoning(this.reasoning, this.options.reasoning || 'collapsed', this.options);
+    if (note) {
+      this.write(`${note}\n\n`);
+    }
+  }
+
+  /**
+   * Handle a line that ended with a newline
+   */
+  private completeLine(line: string): void {
+    const isFence = line.trimStart().startsWith('```');
+
+    if (this.codeBlock) {
+      this.codeBlock.push(line);
+
+      if (isFence) {
+        this.output(this.codeBlock.join('\n'));
+        this.codeBlock = null;
+      }
+      return;
+    }
+
+    this.clearPartialLine();
+
+    if (isFence) {
+      this.codeBlock = [line];
+      return;
+    }
+
+    this.output(line);
+  }
+
+  /**
+   * Show the raw text of the incomplete line, unless it may open a code block
+   */
+  private showPartialLine(): void {
+    if (!this.options.redraw || this.codeBlock) {
+      return;
+    }
+
+    const trimmed = this.line.trimStart();
+    if (trimmed.startsWith('```') || '```'.startsWith(trimmed)) {
+      return;
+    }
+
+    this.write(this.line.slice(this.rawLength));
+    this.rawLength = this.line.length;
+  }
+
+  /**
+   * Erase the raw text of the incomplete line so it can be redrawn formatted
+   */
+  private clearPartialLine(): void {
+    if (this.rawLength === 0) {
+      return;
+    }
+
+    const width = this.options.width || getTerminalSize().columns;
+    const rows = Math.ceil(this.rawLength / width);
+
+    if (rows > 1) {
+      this.write(`\x1b[${rows - 1}A`);
+    }
+
+    this.write('\r\x1b[J');
+    this.rawLength = 0;
+  }
+
+  /**
+   * Format and write a complete line or code block
+   */
+  private output(text: string): void {
+    this.write(formatOutput(text, this.options) + '\n');
+  }
+}
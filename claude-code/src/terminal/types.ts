@@ -5,12 +5,23 @@
  */
 
 import { AIProvider } from '../ai/providers/index.js';
+import { MarkdownStreamRenderer } from './stream.js';
+import { ProgressRenderer } from './progress.js';
 
 /**
  * Terminal theme options
  */
 export type TerminalTheme = 'dark' | 'light' | 'system';
 
+/**
+ * How the reasoning of reasoning models is shown
+ *
+ * - collapsed: a one-line note with its size
+ * - dimmed: the full reasoning, dimmed, before the answer
+ * - hidden: nothing
+ */
+export type ReasoningDisplay = 'collapsed' | 'dimmed' | 'hidden';
+
 /**
  * Terminal configuration
  */
@@ -45,6 +56,11 @@ export interface TerminalConfig {
    */
   maxWidth?: number;
 
+  /**
+   * How to show the reasoning of reasoning models
+   */
+  showReasoning?: ReasoningDisplay;
+
   /**
    * Active AI provider
    */
@@ -138,6 +154,11 @@ export interface InputPromptOptions extends BasePromptOptions {
   type: 'input';
   filter?: (input: string) => any;
   transformer?: (input: string) => string;
+  
+  /**
+   * Tab completion: the candidates for a line and the text they replace
+   */
+  completer?: (line: string) => Promise<[string[], string]>;
 }
 
 /**
@@ -255,6 +276,22 @@ export interface TerminalInterface {
    * Create a spinner for showing progress
    */
   spinner(text: string, id?: string): SpinnerInstance;
+  
+  /**
+   * Create a renderer for markdown that arrives in chunks
+   */
+  createStreamRenderer(): MarkdownStreamRenderer;
+  
+  /**
+   * Display the reasoning of a complete response, as configured by
+   * `terminal.showReasoning`
+   */
+  displayReasoning(reasoning: string): void;
+  
+  /**
+   * Create a renderer for a group of progress bars
+   */
+  createProgressRenderer(): ProgressRenderer;
 
   /**
    * Update the active provider for terminal customization
@@ -40,6 +40,18 @@ export interface RetryOptions {
    * Optional callback to execute before each retry
    */
   onRetry?: (error: Error, attempt: number) => void;
+  
+  /**
+   * Optional function returning the delay an error asks for, such as a
+   * Retry-After header, used instead of the backoff delay
+   */
+  getRetryDelay?: (error: Error) => number | undefined;
+  
+  /**
+   * Optional function that waits before a retry instead of a plain delay,
+   * e.g. to show a countdown
+   */
+  wait?: (ms: number, error: Error, attempt: number) => Promise<void>;
 }
 
 /**
@@ -108,7 +120,9 @@ export function withRetry<T extends (...args: any[]) => Promise<any>>(
     maxDelayMs: options.maxDelayMs ?? 10000,
     backoff: options.backoff ?? true,
     isRetryable: options.isRetryable,
-    onRetry: options.onRetry
+    onRetry: options.onRetry,
+    getRetryDelay: options.getRetryDelay,
+    wait: options.wait
   };
   
   // Return a function that wraps the original function with retry logic
@@ -122,9 +136,9 @@ export function withRetry<T extends (...args: any[]) => Promise<any>>(
           return await fn(...args);
         }
         
-        // Wait before retry
-        const delayMs = calculateRetryDelay(attempt, retryOptions);
-        await delay(delayMs);
+        // Wait before retry, as long as the error asks for if it does
+        const delayMs = retryOptions.getRetryDelay?.(lastError) ?? calculateRetryDelay(attempt, retryOptions);
+        await (retryOptions.wait ? retryOptions.wait(delayMs, lastError, attempt) : delay(delayMs));
         
         // Execute retry callback if provided
         if (retryOptions.onRetry) {
@@ -0,0 +1,88 @@
+/**
+ * Request Cancellation
+ *
+ * Tracks the AI request in flight so that Ctrl+C can abort it
+ * without ending the whole session.
+ */
+
+import { logger } from './logger.js';
+
+/**
+ * Two interrupts within this window count as a request to exit
+ */
+const DOUBLE_INTERRUPT_WINDOW_MS = 2000;
+
+/**
+ * Controller for the request currently in flight
+ */
+let activeController: AbortController | null = null;
+
+/**
+ * Create the error thrown when a request is cancelled
+ */
+export function createAbortError(): Error {
+  const error = new Error('Request cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Check whether an error comes from a cancelled request
+ */
+export function isAbortError(error: unknown): boolean {
+  return error instanceof Error && error.name === 'AbortError';
+}
+
+/**
+ * Run a request that can be cancelled with cancelActiveRequest()
+ *
+ * @param fn Function that performs the request with the given signal
+ * @returns The result of the function
+ */
+export async function withCancellation<T>(fn: (signal: AbortSignal) => Promise<T>): Promise<T> {
+  const controller = new AbortController();
+  const previousController = activeController;
+  activeController = controller;
+
+  try {
+    return await fn(controller.signal);
+  } finally {
+    activeController = previousController;
+  }
+}
+
+/**
+ * Abort the request currently in flight
+ *
+ * @returns Whether there was a request to abort
+ */
+export function cancelActiveRequest(): boolean {
+  if (!activeController || activeController.signal.aborted) {
+    return false;
+  }
+
+  activeController.abort();
+  return true;
+}
+
+/**
+ * Create a SIGINT handler that cancels the active request on the first
+ * interrupt, and calls onExit when there is nothing to cancel or on a
+ * second interrupt in quick succession
+ */
+export function createInterruptHandler(onExit: () => void | Promise<void>): () => void {
+  let lastInterrupt = 0;
+
+  return () => {
+    const now = Date.now();
+    const isDoubleInterrupt = now - lastInterrupt < DOUBLE_INTERRUPT_WINDOW_MS;
+    lastInterrupt = now;
+
+    if (!isDoubleInterrupt && cancelActiveRequest()) {
+      logger.info('Cancelled the active request');
+      return;
+    }
+
+    void onExit();
+  };
+}
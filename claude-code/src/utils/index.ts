@@ -6,6 +6,7 @@
 
 export * from './logger.js';
 export * from './async.js';
+export * from './cancellation.js';
 export * from './formatting.js';
 export * from './validation.js';
 export * from './types.js';
\ No newline at end of file
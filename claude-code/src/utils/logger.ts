@@ -82,6 +82,13 @@ class Logger {
     this.config.level = level;
   }
   
+  /**
+   * Whether verbose or debug output was asked for
+   */
+  isVerbose(): boolean {
+    return this.config.verbose || this.config.level === LogLevel.DEBUG;
+  }
+  
   /**
    * Log a debug message
    */